@@ -3,14 +3,35 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { NIGHTSCOUT_APIS, createNightscoutClient } = require('./lib/nightscout-client');
+const { GlookoDaemon } = require('./lib/daemon');
+const { GlookoBackfill } = require('./lib/backfill');
+const { loadAccounts, MultiAccountRunner } = require('./lib/accounts');
+const { NightscoutServer } = require('./lib/nightscout-server');
+const { ALERT_RULES, AlertEngine, loadAlertsConfig } = require('./lib/alerts');
+const { getRanges, computeGlycemicStats } = require('./lib/glucose-stats');
+const { formatReportLines, renderHtmlReport } = require('./lib/report');
+const { reconcileEntries } = require('./lib/reconcile');
+const { ReadingStore } = require('./lib/reading-store');
+const { GlookoExportImporter } = require('./lib/glooko-import');
+const { getExporter, getFormats, filterByTimeRange } = require('./lib/exporters');
+const { SessionCache } = require('./lib/session-cache');
+const { HttpAuthenticator } = require('./lib/http-auth');
+const { version: UPLOADER_VERSION } = require('./package.json');
+const { getSystemTimezone, getTimezoneOffsetMs, isValidTimezone, normalizeGlookoTimestamp, formatLocalTime } = require('./lib/time');
+const { computeTrends, getTrendHistory } = require('./lib/trend');
+const { DEFAULT_SLOT_MS, toSlot, addSeenSlots, pruneSlots, findGaps } = require('./lib/gaps');
+const { buildProfileTargets, getExistingProfileUnits, buildNightscoutProfile, hashTargets } = require('./lib/nightscout-profile');
+const { DEFAULT_QUALITY_OPTIONS, CALCULATED_ACTIONS, applyDataQuality, isTrendable } = require('./lib/data-quality');
+const { LEVELS, FORMATS, createLogger } = require('./lib/logger');
+const { graphValueToMgdl, preferenceToMgdl, mgdlToMmol, toBothUnits, getUnitLabel, formatGlucose } = require('./lib/units');
 
 /**
  * Glooko CGM Reader with incremental fetching support
- * Handles authentication via Puppeteer and maintains checkpoint for efficient data sync
+ * Handles authentication via HTTP login (or Puppeteer) and maintains checkpoint for efficient data sync
  */
 class GlookoCGMReader {
   constructor(config) {
@@ -20,22 +41,62 @@ class GlookoCGMReader {
       env: config.env || 'eu',
       webUrl: config.webUrl || this.getWebUrl(config.env || 'eu'),
       apiUrl: config.apiUrl || this.getApiUrl(config.env || 'eu'),
+      authStrategy: config.authStrategy || 'http',
       timezoneOffset: config.timezoneOffset || 0,
+      timezone: config.timezone || getSystemTimezone(),
+      displayTimezone: config.displayTimezone || config.timezone || getSystemTimezone(),
+      timestampMode: config.timestampMode || 'auto',
+      locale: config.locale || 'en-FI',
       checkpointFile: config.checkpointFile || 'glooko-checkpoint.json',
-      debug: config.debug || false
+      store: config.store !== false,
+      storeFile: config.storeFile || 'glooko-readings.jsonl',
+      gapLookbackHours: config.gapLookbackHours !== undefined ? config.gapLookbackHours : 24,
+      gapMaxAttempts: config.gapMaxAttempts || 3,
+      gapMaxWindows: config.gapMaxWindows || 5,
+      quality: { ...DEFAULT_QUALITY_OPTIONS, ...config.quality },
+      sessionCache: config.sessionCache !== false,
+      sessionFile: config.sessionFile || 'glooko-session.json',
+      sessionKey: config.sessionKey || null,
+      profileStateFile: config.profileStateFile || 'glooko-profile-state.json',
+      alerts: config.alerts || null,
+      alertStateFile: config.alertStateFile || 'glooko-alert-state.json',
+      nightscoutUrl: config.nightscoutUrl || null,
+      nightscoutApiSecret: config.nightscoutApiSecret || null,
+      nightscoutToken: config.nightscoutToken || null,
+      nightscoutApi: config.nightscoutApi || 'auto',
+      retryDelayMs: config.retryDelayMs !== undefined ? config.retryDelayMs : 5000,
+      logLevel: config.logLevel || (config.debug ? 'debug' : 'info'),
+      logFormat: config.logFormat || 'pretty'
     };
     
+    this.logger = config.logger || createLogger({ level: this.config.logLevel, format: this.config.logFormat });
+    [this.config.password, this.config.nightscoutApiSecret, this.config.nightscoutToken, this.config.sessionKey]
+      .forEach(secret => this.logger.addSecret(secret));
+    
+    // Transports are injectable so the reader can run against a mock Glooko server
+    // httpClient must be axios-compatible (request/get); launchBrowser takes puppeteer launch options
+    this.http = config.httpClient || axios;
+    this.launchBrowser = config.launchBrowser || null;
+    
     this.session = null;
     this.sessionExpiry = null;
     this.lastGuid = null;
     this.lastReadingTime = null;
+    this.recentReadings = [];
+    this.seenSlots = [];
+    this.gapAttempts = {};
+    this.openBasal = null;
+    this.checkpointLoaded = false;
     this.userProfile = null;
     this.deviceStatus = null;
+    this.treatmentData = { boluses: [], carbs: [], basals: [], suspends: [] };
+    this.rejectedReadings = [];
     
-    this.log('🚀 Glooko CGM Reader initialized');
-    this.log(`   Environment: ${this.config.env}`);
-    this.log(`   Web URL: ${this.config.webUrl}`);
-    this.log(`   API URL: ${this.config.apiUrl}`);
+    this.logger.info('🚀 Glooko CGM Reader initialized');
+    this.logger.debug(`   Environment: ${this.config.env}`);
+    this.logger.debug(`   Web URL: ${this.config.webUrl}`);
+    this.logger.debug(`   API URL: ${this.config.apiUrl}`);
+    this.logger.debug(`   Timezone: ${this.config.timezone} (display: ${this.config.displayTimezone})`);
   }
 
   getWebUrl(env) {
@@ -56,18 +117,15 @@ class GlookoCGMReader {
     return urls[env] || urls['eu'];
   }
 
-  log(message, data = null) {
-    if (this.config.debug) {
-      console.log(`[${new Date().toISOString()}] ${message}`);
-      if (data) {
-        console.log(JSON.stringify(data, null, 2));
-      }
-    } else {
-      // In non-debug mode, only show important messages
-      if (message.includes('✅') || message.includes('❌') || message.includes('📊') || message.includes('🚀')) {
-        console.log(message);
-      }
-    }
+  /**
+   * Cookies and the patient ID are redacted from every log line once they are known
+   */
+  registerSessionSecrets(session) {
+    this.logger.addSecret(session.patientId);
+    this.logger.addSecret(session.cookieHeader);
+    (session.cookieHeader || '').split(';').forEach(cookie => {
+      this.logger.addSecret(cookie.split('=').slice(1).join('=').trim());
+    });
   }
 
   async authenticate(forceNew = false) {
@@ -75,15 +133,115 @@ class GlookoCGMReader {
     
     // Reuse session if still valid (23 hours) and not forcing new
     if (!forceNew && this.session && this.sessionExpiry && this.sessionExpiry > now) {
-      this.log('♻️  Using cached session');
+      this.logger.debug('♻️  Using cached session');
+      return this.session;
+    }
+
+    // Try the on-disk session cache before starting a browser
+    if (this.config.sessionCache) {
+      if (forceNew) {
+        this.getSessionCache().clear();
+      } else if (await this.restoreCachedSession()) {
+        return this.session;
+      }
+    }
+
+    this.logger.debug('🔐 Authenticating with Glooko...');
+    
+    try {
+      let credentials;
+      
+      if (this.config.authStrategy === 'browser') {
+        credentials = await this.loginWithBrowser();
+      } else {
+        try {
+          credentials = await this.loginWithHttp();
+        } catch (error) {
+          // Puppeteer stays available as a fallback when it is installed
+          if (!this.isBrowserAvailable()) {
+            throw error;
+          }
+          this.logger.warn(`⚠️  HTTP login failed (${error.message}), falling back to browser login`);
+          credentials = await this.loginWithBrowser();
+        }
+      }
+      
+      this.patientId = credentials.patientId;
+      
+      // Save session
+      this.session = {
+        patientId: this.patientId,
+        cookieHeader: credentials.cookieHeader,
+        timestamp: now
+      };
+      
+      this.sessionExpiry = now + (23 * 60 * 60 * 1000); // 23 hours
+      
+      this.registerSessionSecrets(this.session);
+      this.logger.info('✅ Authentication successful');
+      
+      if (this.config.sessionCache) {
+        this.getSessionCache().save(this.session, this.sessionExpiry);
+      }
+      
+      // Fetch user profile and device status
+      await this.fetchUserProfile();
+      
       return this.session;
+      
+    } catch (error) {
+      this.logger.error(`❌ Authentication failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async loginWithHttp() {
+    this.logger.debug('🌐 Using HTTP login');
+    
+    const authenticator = new HttpAuthenticator({
+      webUrl: this.config.webUrl,
+      email: this.config.email,
+      password: this.config.password,
+      httpClient: this.http
+    }, this.logger.child({ component: 'auth' }));
+    
+    return authenticator.login();
+  }
+
+  isBrowserAvailable() {
+    if (this.launchBrowser) {
+      return true;
+    }
+    try {
+      require.resolve('puppeteer');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getBrowserLauncher() {
+    if (this.launchBrowser) {
+      return this.launchBrowser;
+    }
+    
+    let puppeteer;
+    try {
+      puppeteer = require('puppeteer');
+    } catch (error) {
+      throw new Error('Browser login requires the optional puppeteer package (npm install puppeteer)');
     }
+    return options => puppeteer.launch(options);
+  }
 
-    this.log('🔐 Authenticating with Glooko...');
+  async loginWithBrowser() {
+    this.logger.debug('🖥️  Using browser login');
+    
+    const launch = this.getBrowserLauncher();
     
     let browser;
     try {
-      browser = await puppeteer.launch({
+      browser = await launch({
         headless: true,
         args: [
           '--no-sandbox',
@@ -98,15 +256,15 @@ class GlookoCGMReader {
 
       const page = await browser.newPage();
       
-      // Only capture important console logs if debugging
-      if (this.config.debug) {
+      // Only capture important console logs when tracing
+      if (this.logger.isLevelEnabled('trace')) {
         page.on('console', msg => {
           const text = msg.text();
           // Only show important messages, filter out noise
           if (text.includes('window.patient:') || 
               text.includes('window.current_user_glooko_code:') ||
               text.includes('Looking for patient ID')) {
-            this.log(`   Browser: ${text}`);
+            this.logger.trace(`   Browser: ${text}`);
           }
         });
       }
@@ -118,7 +276,7 @@ class GlookoCGMReader {
       await page.setViewport({ width: 1920, height: 1080 });
       
       // Navigate to login page
-      this.log(`📄 Navigating to login page...`);
+      this.logger.debug(`📄 Navigating to login page...`);
       await page.goto(`${this.config.webUrl}/users/sign_in`, {
         waitUntil: 'networkidle0',
         timeout: 30000
@@ -126,10 +284,10 @@ class GlookoCGMReader {
       
       // Check if already on dashboard (existing session)
       if (page.url().includes('/dashboard')) {
-        this.log('✅ Already logged in');
+        this.logger.info('✅ Already logged in');
       } else {
         // Fill login form
-        this.log('📝 Logging in...');
+        this.logger.debug('📝 Logging in...');
         await page.waitForSelector('input[name="user[email]"]', { timeout: 10000 });
         await page.type('input[name="user[email]"]', this.config.email, { delay: 100 });
         await page.type('input[name="user[password]"]', this.config.password, { delay: 100 });
@@ -152,7 +310,7 @@ class GlookoCGMReader {
         
         // If not on dashboard, navigate to it
         if (!page.url().includes('/dashboard')) {
-          this.log('📍 Navigating to dashboard...');
+          this.logger.debug('📍 Navigating to dashboard...');
           await page.goto(`${this.config.webUrl}/dashboard`, {
             waitUntil: 'networkidle0',
             timeout: 30000
@@ -161,11 +319,11 @@ class GlookoCGMReader {
       }
       
       // Wait for JavaScript to load patient data
-      this.log('⏳ Extracting patient data...');
+      this.logger.debug('⏳ Extracting patient data...');
       await new Promise(resolve => setTimeout(resolve, 3000));
       
       // Extract patient ID
-      const patientId = await page.evaluate(() => {
+      let patientId = await page.evaluate(() => {
         if (typeof console !== 'undefined' && console.log) {
           console.log('Looking for patient ID...');
           console.log('window.patient:', window.patient);
@@ -181,7 +339,7 @@ class GlookoCGMReader {
       
       if (!patientId) {
         // Try alternative extraction from page content
-        const alternativeId = await page.evaluate(() => {
+        patientId = await page.evaluate(() => {
           const scripts = Array.from(document.querySelectorAll('script'));
           for (const script of scripts) {
             const match = script.textContent.match(/["']?patient["']?\s*:\s*["']([^"']+)["']/);
@@ -190,38 +348,17 @@ class GlookoCGMReader {
           return null;
         });
         
-        if (!alternativeId) {
+        if (!patientId) {
           throw new Error('Could not extract patient ID from page');
         }
-        
-        this.patientId = alternativeId;
-      } else {
-        this.patientId = patientId;
       }
       
       // Get all cookies
       const cookies = await page.cookies();
       const cookieHeader = cookies.map(c => `${c.name}=${c.value}`).join('; ');
       
-      // Save session
-      this.session = {
-        patientId: this.patientId,
-        cookieHeader,
-        timestamp: now
-      };
-      
-      this.sessionExpiry = now + (23 * 60 * 60 * 1000); // 23 hours
-      
-      this.log(`✅ Authentication successful! Patient ID: ${this.patientId}`);
-      
-      // Fetch user profile and device status
-      await this.fetchUserProfile();
-      
-      return this.session;
+      return { patientId, cookieHeader };
       
-    } catch (error) {
-      this.log(`❌ Authentication failed: ${error.message}`);
-      throw error;
     } finally {
       if (browser) {
         await browser.close();
@@ -229,15 +366,134 @@ class GlookoCGMReader {
     }
   }
 
-  async fetchUserProfile() {
+  getSessionCache() {
+    if (!this.sessionCacheStore) {
+      this.sessionCacheStore = new SessionCache({
+        file: this.config.sessionFile,
+        encryptionKey: this.config.sessionKey
+      }, this.logger.child({ component: 'session' }));
+    }
+    return this.sessionCacheStore;
+  }
+
+  async restoreCachedSession() {
+    const cached = this.getSessionCache().load();
+    if (!cached) {
+      return false;
+    }
+
+    this.session = cached.session;
+    this.sessionExpiry = cached.sessionExpiry;
+    this.patientId = cached.session.patientId;
+    this.registerSessionSecrets(this.session);
+
+    // Cheap check that Glooko still accepts the cookies
+    try {
+      await this.fetchUserProfile({ throwOnError: true });
+      this.logger.info(`✅ Restored cached session (expires ${new Date(this.sessionExpiry).toLocaleString()})`);
+      return true;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status !== 401 && status !== 403) {
+        // Timeouts and server errors say nothing about the cookies; keep them and let the data request decide
+        this.logger.warn(`⚠️  Could not validate cached session (${error.message}), keeping it`);
+        return true;
+      }
+
+      this.logger.warn(`⚠️  Cached session rejected: ${error.message}`);
+      this.session = null;
+      this.sessionExpiry = null;
+      this.getSessionCache().clear();
+      return false;
+    }
+  }
+
+  /**
+   * Map a /api/v3/session/users currentUser record to userProfile and deviceStatus
+   */
+  applyUserProfile(user) {
+    this.userProfile = {
+      id: user.id,
+      name: `${user.firstName} ${user.lastName}`.trim(),
+      email: user.email,
+      glookoCode: user.glookoCode,
+      country: user.countryOfResidence,
+      euResident: user.euResident,
+      diabetesType: user.diabetesType,
+      userType: user.userType,
+      activated: user.activated,
+      meterUnits: user.meterUnits,
+      language: user.preference?.language || 'en',
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    };
+
+    // Glooko stores targets as mg/dL × 100 whatever the account's display unit
+    const normalMin = preferenceToMgdl(user.preference?.normalGlucoseMin);
+    const beforeMealMax = preferenceToMgdl(user.preference?.beforeMealNormalGlucoseMax);
+    const afterMealMax = preferenceToMgdl(user.preference?.afterMealNormalGlucoseMax);
+    
+    this.userProfile.glucoseTargets = {
+      units: user.meterUnits, // 'mmoll' or 'mgdl'
+      // Canonical mg/dL, with the mmol/L equivalents alongside
+      normalMin,
+      beforeMealMax,
+      afterMealMax,
+      mmol: {
+        normalMin: normalMin !== null ? mgdlToMmol(normalMin) : null,
+        beforeMealMax: beforeMealMax !== null ? mgdlToMmol(beforeMealMax) : null,
+        afterMealMax: afterMealMax !== null ? mgdlToMmol(afterMealMax) : null
+      },
+      mealTimes: {
+        breakfast: user.preference?.breakfastBegin / 3600, // Convert seconds to hours
+        lunch: user.preference?.lunchBegin / 3600,
+        dinner: user.preference?.dinnerBegin / 3600,
+        midnightSnack: user.preference?.midnightSnackBegin / 3600
+      }
+    };
+
+    // Extract device connection status
+    this.deviceStatus = {
+      connectedDevices: [],
+      hasData: false,
+      lastSyncTimestamps: user.lastSyncTimestamps || {}
+    };
+
+    // Check device connections
+    const deviceFlags = [
+      { name: 'Eversense CGM', connected: user.eversenseConnected, type: 'cgm' },
+      { name: 'iGlucose', connected: user.iglucoseConnected, type: 'cgm' },
+      { name: 'Insulet Dash Cloud', connected: user.insuletDashCloudConnected, type: 'pump' },
+      { name: 'Omnipod 5', connected: user.hasOmnipod5, type: 'pump' },
+      { name: 'Abbott CSV', connected: user.hasAbbottCsv, type: 'cgm' },
+      { name: 'Medtronic Closed Loop', connected: user.hasMedtronicClosedLoopData, type: 'pump' },
+      { name: 'Control IQ', connected: user.hasControlIqData, type: 'pump' },
+      { name: 'Closed Loop Device', connected: user.hasClosedLoopDevice, type: 'pump' }
+    ];
+
+    deviceFlags.forEach(device => {
+      if (device.connected) {
+        this.deviceStatus.connectedDevices.push({
+          name: device.name,
+          type: device.type,
+          connected: true
+        });
+        this.deviceStatus.hasData = true;
+      }
+    });
+  }
+
+  async fetchUserProfile(options = {}) {
+    const { throwOnError = false } = options;
+    
     if (!this.session) {
       throw new Error('Must authenticate before fetching user profile');
     }
 
     try {
-      this.log('👤 Fetching user profile and device status...');
+      this.logger.debug('👤 Fetching user profile and device status...');
       
-      const response = await axios.get(`${this.config.apiUrl}/api/v3/session/users`, {
+      const response = await this.http.get(`${this.config.apiUrl}/api/v3/session/users`, {
         headers: {
           'Accept': 'application/json',
           'Cookie': this.session.cookieHeader,
@@ -251,82 +507,25 @@ class GlookoCGMReader {
       if (response.data && response.data.currentUser) {
         const user = response.data.currentUser;
         
-        this.userProfile = {
-          id: user.id,
-          name: `${user.firstName} ${user.lastName}`.trim(),
-          email: user.email,
-          glookoCode: user.glookoCode,
-          country: user.countryOfResidence,
-          euResident: user.euResident,
-          diabetesType: user.diabetesType,
-          userType: user.userType,
-          activated: user.activated,
-          meterUnits: user.meterUnits,
-          language: user.preference?.language || 'en',
-          createdAt: user.createdAt,
-          updatedAt: user.updatedAt
-        };
-
-        // Extract glucose preferences (convert from Glooko internal units)
-        this.userProfile.glucoseTargets = {
-          units: user.meterUnits, // 'mmoll' or 'mgdl'
-          normalMin: user.preference?.normalGlucoseMin / 1000, // Convert to mmol/L
-          beforeMealMax: user.preference?.beforeMealNormalGlucoseMax / 1000,
-          afterMealMax: user.preference?.afterMealNormalGlucoseMax / 1000,
-          mealTimes: {
-            breakfast: user.preference?.breakfastBegin / 3600, // Convert seconds to hours
-            lunch: user.preference?.lunchBegin / 3600,
-            dinner: user.preference?.dinnerBegin / 3600,
-            midnightSnack: user.preference?.midnightSnackBegin / 3600
-          }
-        };
-
-        // Extract device connection status
-        this.deviceStatus = {
-          connectedDevices: [],
-          hasData: false,
-          lastSyncTimestamps: user.lastSyncTimestamps || {}
-        };
-
-        // Check device connections
-        const deviceFlags = [
-          { name: 'Eversense CGM', connected: user.eversenseConnected, type: 'cgm' },
-          { name: 'iGlucose', connected: user.iglucoseConnected, type: 'cgm' },
-          { name: 'Insulet Dash Cloud', connected: user.insuletDashCloudConnected, type: 'pump' },
-          { name: 'Omnipod 5', connected: user.hasOmnipod5, type: 'pump' },
-          { name: 'Abbott CSV', connected: user.hasAbbottCsv, type: 'cgm' },
-          { name: 'Medtronic Closed Loop', connected: user.hasMedtronicClosedLoopData, type: 'pump' },
-          { name: 'Control IQ', connected: user.hasControlIqData, type: 'pump' },
-          { name: 'Closed Loop Device', connected: user.hasClosedLoopDevice, type: 'pump' }
-        ];
-
-        deviceFlags.forEach(device => {
-          if (device.connected) {
-            this.deviceStatus.connectedDevices.push({
-              name: device.name,
-              type: device.type,
-              connected: true
-            });
-            this.deviceStatus.hasData = true;
-          }
-        });
+        this.applyUserProfile(user);
+        const { normalMin, afterMealMax } = this.userProfile.glucoseTargets;
 
         // Log profile summary
-        this.log(`👤 User Profile: ${this.userProfile.name} (${this.userProfile.country})`);
-        this.log(`📊 Glucose Units: ${this.userProfile.meterUnits === 'mmoll' ? 'mmol/L' : 'mg/dL'}`);
-        this.log(`🎯 Glucose Targets: ${this.userProfile.glucoseTargets.normalMin}-${this.userProfile.glucoseTargets.afterMealMax} mmol/L`);
+        this.logger.debug(`👤 User Profile: ${this.userProfile.name} (${this.userProfile.country})`);
+        this.logger.info(`📊 Glucose Units: ${getUnitLabel(this.userProfile.meterUnits)}`);
+        this.logger.debug(`🎯 Glucose Targets: ${this.formatGlucose(normalMin)} - ${this.formatGlucose(afterMealMax)}`);
         
         if (this.deviceStatus.connectedDevices.length > 0) {
-          this.log(`📱 Connected Devices: ${this.deviceStatus.connectedDevices.map(d => d.name).join(', ')}`);
+          this.logger.debug(`📱 Connected Devices: ${this.deviceStatus.connectedDevices.map(d => d.name).join(', ')}`);
         } else {
-          this.log(`📱 No devices currently connected`);
+          this.logger.debug(`📱 No devices currently connected`);
         }
 
         // Check sync timestamps
         const syncTypes = Object.keys(this.deviceStatus.lastSyncTimestamps);
         const recentSyncs = syncTypes.filter(type => this.deviceStatus.lastSyncTimestamps[type]).length;
         if (recentSyncs > 0) {
-          this.log(`🔄 Recent syncs: ${recentSyncs}/${syncTypes.length} device types`);
+          this.logger.debug(`🔄 Recent syncs: ${recentSyncs}/${syncTypes.length} device types`);
         }
 
       } else {
@@ -334,7 +533,10 @@ class GlookoCGMReader {
       }
 
     } catch (error) {
-      this.log(`⚠️  Failed to fetch user profile: ${error.message}`);
+      this.logger.warn(`⚠️  Failed to fetch user profile: ${error.message}`);
+      if (throwOnError) {
+        throw error;
+      }
       // Don't throw - profile is optional for CGM reading
     }
   }
@@ -346,57 +548,89 @@ class GlookoCGMReader {
       maxRetries = 3 
     } = options;
     
+    // Determine fetch parameters
+    const now = new Date();
+    let startTime;
+    
+    if (forceFullFetch || !this.lastGuid || !this.lastReadingTime) {
+      // Full fetch
+      startTime = new Date(now.getTime() - (hoursBack * 60 * 60 * 1000));
+      this.logger.info(`📊 Performing FULL fetch (last ${hoursBack} hours)`);
+    } else {
+      // Incremental fetch
+      startTime = new Date(this.lastReadingTime);
+      const hoursSinceLastReading = (now.getTime() - startTime.getTime()) / (1000 * 60 * 60);
+      this.logger.info(`📊 Performing INCREMENTAL fetch (${hoursSinceLastReading.toFixed(1)} hours since last reading)`);
+    }
+    
+    const { readings, treatmentData } = await this.fetchGraphRange(startTime.toISOString(), now.toISOString(), { maxRetries });
+    
+    // Insulin and carb series share the same request
+    this.treatmentData = treatmentData;
+    
+    // Raw CGM values from Glooko before transformation (trace level only)
+    if (this.logger.isLevelEnabled('trace')) {
+      this.logger.trace(`📋 Raw Glooko CGM data: ${readings.length} readings from the graph API`, readings.map(r => ({
+        value: r.value,
+        timestamp: r.timestampUTC || r.timestamp,
+        trend: r.trend || r.trendArrow || r.trendValue || 'N/A',
+        guid: r.guid || r.id || r.recordId
+      })));
+    }
+    
+    // Update checkpoint with newest reading
+    if (readings.length > 0) {
+      const newestReading = readings[0];
+      this.lastGuid = newestReading.guid || newestReading.id || newestReading.recordId;
+      this.lastReadingTime = newestReading.timestampUTC || newestReading.timestamp;
+      
+      this.logger.info(`✅ Retrieved ${readings.length} readings`);
+      this.logger.debug(`   Newest: ${new Date(this.lastReadingTime).toLocaleString()}`);
+      this.logger.debug(`   Oldest: ${new Date(readings[readings.length - 1].timestampUTC || readings[readings.length - 1].timestamp).toLocaleString()}`);
+    } else {
+      this.logger.debug(`ℹ️  No new readings available`);
+    }
+    
+    return readings;
+  }
+
+  /**
+   * Use readings parsed from a Glooko CSV/ZIP export in place of a graph API fetch
+   * The incremental fetch cursor is left alone: an export says nothing about what the graph API delivered
+   */
+  useImportedData(importedData) {
+    const { readings, treatmentData } = importedData;
+    this.treatmentData = treatmentData;
+    
+    this.logger.debug(`📂 Imported ${readings.length} readings from Glooko export`);
+    
+    return readings;
+  }
+
+  async fetchGraphRange(startDate, endDate, options = {}) {
+    const { maxRetries = 3 } = options;
+    
     let retryCount = 0;
     
     while (retryCount < maxRetries) {
       try {
         const session = await this.authenticate(retryCount > 0);
         
-        // Determine fetch parameters
-        const now = new Date();
-        let guid, startTime, fetchType;
-        
-        if (forceFullFetch || !this.lastGuid || !this.lastReadingTime) {
-          // Full fetch
-          guid = '1e0c094e-1e54-4a4f-8e6a-f94484b53789'; // Dummy GUID for initial fetch
-          startTime = new Date(now.getTime() - (hoursBack * 60 * 60 * 1000));
-          fetchType = 'FULL';
-          this.log(`📊 Performing FULL fetch (last ${hoursBack} hours)`);
-        } else {
-          // Incremental fetch
-          guid = this.lastGuid;
-          startTime = new Date(this.lastReadingTime);
-          fetchType = 'INCREMENTAL';
-          const hoursSinceLastReading = (now.getTime() - startTime.getTime()) / (1000 * 60 * 60);
-          this.log(`📊 Performing INCREMENTAL fetch (${hoursSinceLastReading.toFixed(1)} hours since last reading)`);
-        }
-        
-        // Calculate limit (5-minute intervals = 12 per hour)
-        const hoursSinceStart = (now.getTime() - startTime.getTime()) / (1000 * 60 * 60);
-        const limit = Math.min(2880, Math.ceil(hoursSinceStart * 12)); // Max 10 days
-        
-        // Use internal graph API (cookie-based authentication)
-        const startDate = forceFullFetch ? 
-          new Date(now.toISOString().split('T')[0] + 'T00:00:00.000Z').toISOString() : 
-          startTime.toISOString();
-        const endDate = forceFullFetch ? 
-          new Date(now.toISOString().split('T')[0] + 'T23:59:59.999Z').toISOString() : 
-          now.toISOString();
-        
-        this.log(`📅 Time range: ${startDate} to ${endDate}`);
+        this.logger.debug(`📅 Time range: ${startDate} to ${endDate}`);
         
         // Internal graph API - the only viable option with cookie authentication
         const graphApiUrl = `${this.config.apiUrl}/api/v3/graph/data` +
                            `?patient=${session.patientId}` +
                            `&startDate=${startDate}` +
                            `&endDate=${endDate}` +
-                           `&series[]=cgmHigh&series[]=cgmNormal&series[]=cgmLow` +
+                           ['cgmHigh', 'cgmNormal', 'cgmLow', ...this.getTreatmentSeries()]
+                             .map(name => `&series[]=${name}`).join('') +
                            `&locale=en&insulinTooltips=true&filterBgReadings=true&splitByDay=false`;
         
-        this.log(`🌐 Fetching CGM data from internal API...`);
-        this.log(`   URL: ${graphApiUrl}`);
+        this.logger.debug(`🌐 Fetching CGM data from internal API...`);
+        this.logger.debug(`   URL: ${graphApiUrl}`);
         
-        const response = await axios.get(graphApiUrl, {
+        const response = await this.http.get(graphApiUrl, {
           headers: {
             'Accept': 'application/json',
             'Cookie': session.cookieHeader,
@@ -410,103 +644,40 @@ class GlookoCGMReader {
           timeout: 30000
         });
         
-        this.log(`✅ Internal graph API responded successfully`);
+        this.logger.info(`✅ Internal graph API responded successfully`);
         
         // Parse graph API response
         const series = response.data.series || {};
-        const allCgmReadings = [
-          ...(series.cgmHigh || []),
-          ...(series.cgmNormal || []),
-          ...(series.cgmLow || [])
-        ];
+        const readings = this.parseCGMSeries(series);
+        const treatmentData = this.parseTreatmentSeries(series);
         
-        // Convert graph data to readings format
-        const readings = allCgmReadings.map(point => ({
-          // The 'value' field from Glooko is already in a special format (y * 1801.43)
-          // For Nightscout, we need mg/dL, so convert: mmol/L × 18.0143
-          value: Math.round(point.y * 18.0143),
-          timestampUTC: point.timestamp,
-          timestamp: point.timestamp,
-          y_mmol: point.y, // Actual glucose value in mmol/L
-          x: point.x, // epoch timestamp in seconds
-          mealTag: point.mealTag,
-          calculated: point.calculated,
-          glookoValue: point.value, // Glooko's internal value (y * 1801.43)
-          // Generate a simple ID since graph data doesn't have GUIDs
-          guid: `glooko_${point.x}_${point.y}`,
-          trend: null, // Graph API doesn't provide trend data
-          deviceName: 'glooko-cgm'
-        }));
-        
-        this.log(`📊 Using graph API response format`);
-        this.log(`   cgmHigh: ${series.cgmHigh?.length || 0} readings`);
-        this.log(`   cgmNormal: ${series.cgmNormal?.length || 0} readings`);
-        this.log(`   cgmLow: ${series.cgmLow?.length || 0} readings`);
+        this.logger.info(`📊 Using graph API response format`);
+        this.logger.debug(`   cgmHigh: ${series.cgmHigh?.length || 0} readings`);
+        this.logger.debug(`   cgmNormal: ${series.cgmNormal?.length || 0} readings`);
+        this.logger.debug(`   cgmLow: ${series.cgmLow?.length || 0} readings`);
+        this.logger.debug(`   boluses: ${treatmentData.boluses.length}, carbs: ${treatmentData.carbs.length}`);
+        this.logger.debug(`   basals: ${treatmentData.basals.length}, suspends: ${treatmentData.suspends.length}`);
         
         // Log the latest reading from each category for debugging
         if (series.cgmLow?.length > 0) {
           const latestLow = series.cgmLow[series.cgmLow.length - 1];
-          this.log(`   ⚠️  Latest LOW: ${latestLow.y} mmol/L @ ${latestLow.timestamp}`);
-        }
-        if (allCgmReadings.length > 0) {
-          // Sort by timestamp to find actual latest
-          const sorted = [...allCgmReadings].sort((a, b) => 
-            new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-          );
-          const latest = sorted[0];
-          this.log(`   📍 Actual latest: ${latest.y} mmol/L @ ${latest.timestamp}`);
-        }
-        
-        // Log raw CGM values from Glooko before transformation
-        console.log('\n📋 RAW GLOOKO CGM DATA:');
-        console.log('========================');
-        console.log(`API Used: GRAPH`);
-        console.log(`Retrieved ${readings.length} raw readings from Glooko API`);
-        if (readings.length > 0) {
-          console.log('Sample raw reading structure:');
-          console.log(JSON.stringify(readings[0], null, 2));
-          if (readings.length > 1) {
-            console.log(`\nAll ${readings.length} raw values:`, readings.map(r => ({
-              value: r.value,
-              timestamp: r.timestampUTC || r.timestamp,
-              trend: r.trend || r.trendArrow || r.trendValue || 'N/A',
-              guid: r.guid || r.id || r.recordId
-            })));
-          }
+          this.logger.debug(`   ⚠️  Latest LOW: ${this.formatGlucose(graphValueToMgdl(latestLow, this.userProfile?.meterUnits))} @ ${latestLow.timestamp}`);
         }
-        console.log('========================\n');
-        
-        // Update checkpoint with newest reading
         if (readings.length > 0) {
-          // Sort by timestamp to ensure we get the newest
-          readings.sort((a, b) => {
-            const timeA = new Date(a.timestampUTC || a.timestamp).getTime();
-            const timeB = new Date(b.timestampUTC || b.timestamp).getTime();
-            return timeB - timeA; // Newest first
-          });
-          
-          const newestReading = readings[0];
-          this.lastGuid = newestReading.guid || newestReading.id || newestReading.recordId;
-          this.lastReadingTime = newestReading.timestampUTC || newestReading.timestamp;
-          
-          this.log(`✅ Retrieved ${readings.length} readings`);
-          this.log(`   Newest: ${new Date(this.lastReadingTime).toLocaleString()}`);
-          this.log(`   Oldest: ${new Date(readings[readings.length - 1].timestampUTC || readings[readings.length - 1].timestamp).toLocaleString()}`);
-        } else {
-          this.log(`ℹ️  No new readings available`);
+          this.logger.debug(`   📍 Actual latest: ${this.formatGlucose(readings[0].value)} @ ${readings[0].timestamp}`);
         }
         
-        return readings;
+        return { readings, treatmentData };
         
       } catch (error) {
         retryCount++;
         
         if (error.response?.status === 401 || error.response?.status === 403) {
-          this.log(`⚠️  Authentication error, retrying... (${retryCount}/${maxRetries})`);
+          this.logger.warn(`⚠️  Authentication error, retrying... (${retryCount}/${maxRetries})`);
           this.session = null;
           this.sessionExpiry = null;
         } else {
-          this.log(`❌ API error (attempt ${retryCount}/${maxRetries}): ${error.message}`);
+          this.logger.error(`❌ API error (attempt ${retryCount}/${maxRetries}): ${error.message}`);
         }
         
         if (retryCount >= maxRetries) {
@@ -514,30 +685,171 @@ class GlookoCGMReader {
         }
         
         // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 5000 * retryCount));
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs * retryCount));
       }
     }
   }
 
-  transformToNightscout(glookoReadings) {
-    this.log(`🔄 Converting ${glookoReadings.length} readings to Nightscout format...`);
+  parseCGMSeries(series) {
+    const allCgmReadings = [
+      ...(series.cgmHigh || []),
+      ...(series.cgmNormal || []),
+      ...(series.cgmLow || [])
+    ];
     
-    const entries = glookoReadings.map(reading => {
-      // Glooko timestamps appear to be in UTC+2 (not pure UTC)
-      // The timestamp field shows UTC but the actual time seems to be local
-      const timestamp = new Date(reading.timestampUTC || reading.timestamp);
-      
-      // Subtract 1 hour to correct for the timezone offset issue
-      // (Glooko seems to provide UTC+2 timestamps labeled as UTC)
-      const correctedTimestamp = new Date(timestamp.getTime() - (2 * 60 * 60 * 1000));
+    // Convert graph data to readings format
+    // `y` is in the account's unit (mmol/L or mg/dL), so it is normalized with meterUnits
+    const meterUnits = this.userProfile?.meterUnits;
+    const readings = allCgmReadings.map(point => {
+      const { mgdl, mmol } = toBothUnits(graphValueToMgdl(point, meterUnits));
+      return {
+        value: mgdl, // Canonical mg/dL for Nightscout
+        timestampUTC: point.timestamp,
+        timestamp: point.timestamp,
+        y_mmol: mmol,
+        x: point.x, // epoch timestamp in seconds
+        mealTag: point.mealTag,
+        calculated: point.calculated,
+        glookoValue: point.value, // Glooko's internal value (mg/dL × 100)
+        // Generate a simple ID since graph data doesn't have GUIDs
+        guid: `glooko_${point.x}_${point.y}`,
+        trend: null, // Graph API doesn't provide trend data
+        deviceName: 'glooko-cgm'
+      };
+    });
+    
+    // Sort by timestamp (newest first)
+    readings.sort((a, b) => {
+      const timeA = new Date(a.timestampUTC || a.timestamp).getTime();
+      const timeB = new Date(b.timestampUTC || b.timestamp).getTime();
+      return timeB - timeA;
+    });
+    
+    return readings;
+  }
+
+  hasPump() {
+    return !!this.deviceStatus?.connectedDevices.some(device => device.type === 'pump');
+  }
+
+  getTreatmentSeries() {
+    const series = ['deliveredBolus', 'automaticBolus', 'injectionBolus', 'carbAll'];
+    
+    // Basal data only exists for pump users
+    if (this.hasPump()) {
+      series.push('scheduledBasal', 'temporaryBasal', 'suspendBasal');
+    }
+    
+    return series;
+  }
+
+  parseTreatmentSeries(series) {
+    const toBolus = (point, bolusType) => ({
+      insulin: point.insulin ?? point.insulinDelivered ?? point.y,
+      // Carbs entered in the bolus wizard come along in the tooltip data
+      carbs: point.carbs ?? point.carbsInput ?? point.data?.carbsInput ?? 0,
+      timestamp: point.timestamp,
+      x: point.x,
+      bolusType,
+      guid: `glooko_bolus_${point.x}_${point.insulin ?? point.y}`
+    });
+    
+    const boluses = [
+      ...(series.deliveredBolus || []).map(point => toBolus(point, 'pump')),
+      ...(series.automaticBolus || []).map(point => toBolus(point, 'automatic')),
+      ...(series.injectionBolus || []).map(point => toBolus(point, 'injection'))
+    ];
+    
+    const carbs = (series.carbAll || []).map(point => ({
+      carbs: point.carbs ?? point.y,
+      timestamp: point.timestamp,
+      x: point.x,
+      guid: `glooko_carbs_${point.x}_${point.carbs ?? point.y}`
+    }));
+    
+    const basals = [
+      ...(series.scheduledBasal || []).map(point => this.parseBasalPoint(point, 'scheduled')),
+      ...(series.temporaryBasal || []).map(point => this.parseBasalPoint(point, 'temporary'))
+    ].sort((a, b) => a.x - b.x);
+    
+    // Segments without an explicit duration last until the next segment starts
+    basals.forEach((basal, i) => {
+      if (basal.durationMinutes === null && basals[i + 1]) {
+        basal.durationMinutes = (basals[i + 1].x - basal.x) / 60;
+      }
+    });
+    
+    const suspends = (series.suspendBasal || []).map(point => ({
+      timestamp: point.timestamp,
+      x: point.x,
+      durationMinutes: point.duration !== undefined ? point.duration / 60 : null,
+      guid: `glooko_suspend_${point.x}`
+    }));
+    
+    return { boluses, carbs, basals, suspends };
+  }
+
+  parseBasalPoint(point, basalType) {
+    const rate = point.rate ?? point.y;
+    return {
+      rate,
+      timestamp: point.timestamp,
+      x: point.x,
+      // Glooko reports durations in seconds
+      durationMinutes: point.duration !== undefined ? point.duration / 60 : null,
+      basalType,
+      guid: `glooko_basal_${basalType}_${point.x}_${rate}`
+    };
+  }
+
+  correctTimestamp(point) {
+    // Glooko may label local wall-clock times as UTC; compare against the `x` epoch to find out
+    return normalizeGlookoTimestamp(point, {
+      timeZone: this.config.timezone,
+      mode: this.config.timestampMode,
+      fixedOffsetMs: this.config.timezoneOffset
+    }).date;
+  }
+
+  formatLocalTime(date) {
+    return formatLocalTime(date, this.config.displayTimezone, this.config.locale);
+  }
+
+  /**
+   * Format a mg/dL value in the account's preferred unit (mmol/L until the profile is known)
+   */
+  formatGlucose(mgdl) {
+    return formatGlucose(mgdl, this.userProfile?.meterUnits);
+  }
+
+  transformToNightscout(glookoReadings, trendHistory = this.recentReadings) {
+    this.logger.debug(`🔄 Converting ${glookoReadings.length} readings to Nightscout format...`);
+    
+    const { entries, rejected } = this.convertReadings(glookoReadings, trendHistory);
+    this.reportRejected(rejected);
+    
+    this.logger.info(`✅ Transformed ${entries.length} valid entries`);
+    
+    return entries;
+  }
+
+  /**
+   * Readings to Nightscout entries with quality checks and trends, without recording the rejections
+   */
+  convertReadings(glookoReadings, trendHistory) {
+    const rawEntries = glookoReadings.map(reading => {
+      const correctedTimestamp = this.correctTimestamp({
+        timestamp: reading.timestampUTC || reading.timestamp,
+        x: reading.x
+      });
       
       const entry = {
         type: 'sgv',
         sgv: Math.round(reading.value), // This is mg/dL for Nightscout compatibility
-        sgv_mmol: reading.y_mmol, // Keep mmol/L value for display
+        sgv_mmol: reading.y_mmol, // mmol/L equivalent, kept alongside the mg/dL value
         date: correctedTimestamp.getTime(), // Corrected timestamp
         dateString: correctedTimestamp.toISOString(),
-        localTime: correctedTimestamp.toLocaleString('en-FI', { timeZone: 'Europe/Helsinki' }),
+        localTime: this.formatLocalTime(correctedTimestamp),
         direction: this.getTrendArrow(reading.trend || reading.trendArrow || reading.trendValue),
         device: reading.deviceName || 'glooko-cgm'
       };
@@ -549,19 +861,153 @@ class GlookoCGMReader {
       if (reading.unfiltered !== undefined) entry.unfiltered = reading.unfiltered;
       if (reading.rssi !== undefined) entry.rssi = reading.rssi;
       if (reading.guid) entry.glookoGuid = reading.guid;
+      if (reading.calculated) entry.calculated = true;
       
       return entry;
-    }).filter(entry => {
-      // Filter out invalid readings (check mmol/L values)
-      return entry.sgv_mmol && entry.sgv_mmol > 0 && entry.sgv_mmol < 30;
     });
     
+    // Sensor limits, calculated points, duplicates and impossible jumps (newest first afterwards)
+    const { entries, rejected } = applyDataQuality(rawEntries, this.config.quality, trendHistory);
+    
+    // The graph API has no trend: derive it from these and the previous run's readings
+    // LOW/HIGH placeholders are not measured values and stay out of the calculation
+    const trends = computeTrends(entries.filter(isTrendable), trendHistory);
+    entries.forEach(entry => {
+      const trend = isTrendable(entry) ? trends.get(entry.date) : null;
+      if (!trend) return;
+      if (entry.direction === 'NONE') {
+        entry.direction = trend.direction;
+      }
+      if (trend.delta !== null) {
+        entry.delta = trend.delta;
+      }
+    });
+    
+    return { entries, rejected };
+  }
+
+  reportRejected(rejected) {
+    if (rejected.length === 0) return;
+    this.rejectedReadings.push(...rejected);
+    const reasons = {};
+    rejected.forEach(point => { reasons[point.reason] = (reasons[point.reason] || 0) + 1; });
+    this.logger.warn(`⚠️  Rejected ${rejected.length} readings: ${Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ')}`);
+  }
+
+  transformTreatmentsToNightscout(treatmentData = this.treatmentData) {
+    const { boluses = [], carbs = [], basals = [], suspends = [] } = treatmentData;
+    const mealWindowMs = 15 * 60 * 1000;
+    const usedCarbs = new Set();
+    const toTreatment = this.createTreatment.bind(this);
+    
+    const treatments = boluses.filter(bolus => bolus.insulin > 0).map(bolus => {
+      const timestamp = this.correctTimestamp(bolus);
+      let mealCarbs = bolus.carbs || 0;
+      
+      // Pair the bolus with carbs logged close to it
+      if (!mealCarbs) {
+        const match = carbs.find(carb =>
+          !usedCarbs.has(carb) &&
+          carb.carbs > 0 &&
+          Math.abs(new Date(carb.timestamp).getTime() - new Date(bolus.timestamp).getTime()) <= mealWindowMs
+        );
+        if (match) {
+          usedCarbs.add(match);
+          mealCarbs = match.carbs;
+        }
+      }
+      
+      const fields = {
+        insulin: Math.round(bolus.insulin * 100) / 100,
+        notes: `Glooko ${bolus.bolusType} bolus`
+      };
+      if (bolus.bolusType === 'automatic') fields.automatic = true;
+      
+      return mealCarbs > 0 ?
+        toTreatment('Meal Bolus', timestamp, bolus.guid, { ...fields, carbs: mealCarbs }) :
+        toTreatment('Correction Bolus', timestamp, bolus.guid, fields);
+    });
+    
+    carbs.filter(carb => carb.carbs > 0 && !usedCarbs.has(carb)).forEach(carb => {
+      treatments.push(toTreatment('Carb Correction', this.correctTimestamp(carb), carb.guid, {
+        carbs: carb.carbs
+      }));
+    });
+    
+    treatments.push(...this.transformBasalTreatments(basals, suspends));
+    
     // Sort by date (newest first)
-    entries.sort((a, b) => b.date - a.date);
+    treatments.sort((a, b) => b.date - a.date);
     
-    this.log(`✅ Transformed ${entries.length} valid entries`);
+    this.logger.info(`✅ Transformed ${treatments.length} treatments`);
     
-    return entries;
+    return treatments;
+  }
+
+  createTreatment(eventType, timestamp, guid, fields = {}) {
+    return {
+      eventType,
+      created_at: timestamp.toISOString(),
+      date: timestamp.getTime(),
+      enteredBy: 'glooko2nightscout',
+      glookoGuid: guid,
+      ...fields
+    };
+  }
+
+  /**
+   * Add the segment held back by the previous run and work out durations; the newest segment without
+   * a duration is still running, so it comes back as openBasal instead of being uploaded with a guess
+   * (its guid does not include the duration, so dedupe would never correct it)
+   */
+  closeBasalSegments(basals = [], openBasal = null) {
+    const segments = basals.map(basal => ({ ...basal }));
+    if (openBasal && !segments.some(basal => basal.guid === openBasal.guid)) {
+      segments.push({ ...openBasal });
+    }
+    segments.sort((a, b) => a.x - b.x);
+    segments.forEach((basal, i) => {
+      if (basal.durationMinutes === null && segments[i + 1]) {
+        basal.durationMinutes = (segments[i + 1].x - basal.x) / 60;
+      }
+    });
+    
+    const newest = segments[segments.length - 1];
+    return {
+      basals: segments.filter(basal => basal.durationMinutes !== null),
+      openBasal: newest && newest.durationMinutes === null ? newest : null
+    };
+  }
+
+  transformBasalTreatments(basals = [], suspends = []) {
+    const treatments = [];
+    
+    // Segments still running have no duration yet; closeBasalSegments() holds them back
+    basals.filter(basal => basal.rate !== undefined && basal.rate !== null && basal.durationMinutes !== null).forEach(basal => {
+      treatments.push(this.createTreatment('Temp Basal', this.correctTimestamp(basal), basal.guid, {
+        rate: basal.rate,
+        absolute: basal.rate,
+        duration: Math.round(basal.durationMinutes),
+        notes: `Glooko ${basal.basalType} basal`
+      }));
+    });
+    
+    suspends.forEach(suspend => {
+      const suspendedAt = this.correctTimestamp(suspend);
+      treatments.push(this.createTreatment('Suspend Pump', suspendedAt, suspend.guid, {
+        duration: suspend.durationMinutes !== null ? Math.round(suspend.durationMinutes) : undefined,
+        notes: 'Glooko pump suspend'
+      }));
+      
+      if (suspend.durationMinutes !== null) {
+        const resumedAt = new Date(suspendedAt.getTime() + suspend.durationMinutes * 60 * 1000);
+        treatments.push(this.createTreatment('Resume Pump', resumedAt, `${suspend.guid}_resume`, {
+          notes: 'Glooko pump resume'
+        }));
+      }
+    });
+    
+    return treatments;
   }
 
   getTrendArrow(trend) {
@@ -600,56 +1046,319 @@ class GlookoCGMReader {
     const checkpoint = {
       lastGuid: this.lastGuid,
       lastReadingTime: this.lastReadingTime,
+      recentReadings: this.recentReadings,
+      seenSlots: this.seenSlots,
+      gapAttempts: this.gapAttempts,
+      openBasal: this.openBasal,
       patientId: this.patientId,
       savedAt: new Date().toISOString()
     };
     
     try {
       fs.writeFileSync(this.config.checkpointFile, JSON.stringify(checkpoint, null, 2));
-      this.log(`💾 Checkpoint saved`);
+      this.logger.debug(`💾 Checkpoint saved`);
       return checkpoint;
     } catch (error) {
-      this.log(`⚠️  Failed to save checkpoint: ${error.message}`);
+      this.logger.warn(`⚠️  Failed to save checkpoint: ${error.message}`);
       return null;
     }
   }
 
   loadCheckpoint() {
+    this.checkpointLoaded = true;
+    
     try {
       if (fs.existsSync(this.config.checkpointFile)) {
         const checkpoint = JSON.parse(fs.readFileSync(this.config.checkpointFile, 'utf8'));
         this.lastGuid = checkpoint.lastGuid;
         this.lastReadingTime = checkpoint.lastReadingTime;
+        this.recentReadings = checkpoint.recentReadings || [];
+        this.seenSlots = checkpoint.seenSlots || [];
+        this.gapAttempts = checkpoint.gapAttempts || {};
+        this.openBasal = checkpoint.openBasal || null;
         this.patientId = checkpoint.patientId;
         
-        this.log(`♻️  Loaded checkpoint from ${new Date(this.lastReadingTime).toLocaleString()}`);
+        this.logger.debug(`♻️  Loaded checkpoint from ${new Date(this.lastReadingTime).toLocaleString()}`);
         
         return checkpoint;
       }
     } catch (error) {
-      this.log(`⚠️  Failed to load checkpoint: ${error.message}`);
+      this.logger.warn(`⚠️  Failed to load checkpoint: ${error.message}`);
     }
     
-    this.log('📋 No checkpoint found, will perform full fetch');
+    this.logger.debug('📋 No checkpoint found, will perform full fetch');
     return null;
   }
 
-  async getLatestCGMData(options = {}) {
-    const startTime = Date.now();
-    
+  getUploader() {
+    if (!this.uploader) {
+      this.uploader = createNightscoutClient({
+        url: this.config.nightscoutUrl,
+        apiSecret: this.config.nightscoutApiSecret,
+        token: this.config.nightscoutToken,
+        api: this.config.nightscoutApi
+      }, this.logger.child({ component: 'uploader' }));
+    }
+    return this.uploader;
+  }
+
+  getAlertEngine() {
+    if (!this.alertEngine) {
+      (this.config.alerts.notifiers || []).forEach(notifier => this.logger.addSecret(notifier.password));
+      this.alertEngine = new AlertEngine({
+        ...this.config.alerts,
+        stateFile: this.config.alertStateFile,
+        http: this.http
+      }, this.logger.child({ component: 'alerts' }));
+    }
+    return this.alertEngine;
+  }
+
+  /**
+   * Evaluate alert rules after a run; a failed run still counts toward the no-data rule
+   */
+  async checkAlerts(entries) {
+    if (!this.config.alerts) {
+      return [];
+    }
     try {
-      // Load checkpoint for incremental fetching
-      this.loadCheckpoint();
-      
-      // Fetch readings
-      const readings = await this.fetchCGMReadings(options);
-      
-      // Transform to Nightscout format
-      const nightscoutEntries = this.transformToNightscout(readings);
-      
-      // Save checkpoint for next run
-      if (readings.length > 0) {
-        this.saveCheckpoint();
+      return await this.getAlertEngine().process({
+        entries,
+        history: this.recentReadings,
+        targets: this.userProfile?.glucoseTargets,
+        meterUnits: this.userProfile?.meterUnits
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️  Alert check failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Whether Glooko has reported any connected device or device sync for this account
+   */
+  hasDeviceData() {
+    const status = this.deviceStatus;
+    return !!status && (status.connectedDevices.length > 0 || Object.values(status.lastSyncTimestamps).some(Boolean));
+  }
+
+  /**
+   * Nightscout devicestatus record for this run, or null when Glooko has no device data to report
+   * Glooko has no battery or reservoir levels, so there is no `pump` object or `uploader.battery`:
+   * Nightscout would show those pills with whatever it finds there
+   */
+  buildDeviceStatus(outcome) {
+    if (!this.hasDeviceData()) {
+      return null;
+    }
+    
+    const devices = this.deviceStatus.connectedDevices;
+    const now = new Date();
+    
+    return {
+      device: 'glooko2nightscout',
+      created_at: now.toISOString(),
+      mills: now.getTime(),
+      uploader: {
+        name: 'glooko2nightscout',
+        version: UPLOADER_VERSION
+      },
+      glooko: {
+        region: this.config.env,
+        cgm: devices.filter(d => d.type === 'cgm').map(d => d.name),
+        pump: devices.filter(d => d.type === 'pump').map(d => d.name),
+        lastSyncTimestamps: this.deviceStatus.lastSyncTimestamps,
+        lastReadingTime: this.lastReadingTime,
+        lastFetch: {
+          success: outcome.success,
+          count: outcome.count || 0,
+          treatmentCount: outcome.treatmentCount || 0,
+          error: outcome.error || null,
+          at: now.toISOString()
+        }
+      }
+    };
+  }
+
+  async uploadDeviceStatus(deviceStatus) {
+    if (!deviceStatus) {
+      this.logger.debug('📱 No device data from Glooko, device status not uploaded');
+      return false;
+    }
+    try {
+      await this.getUploader().uploadDeviceStatus(deviceStatus);
+      return true;
+    } catch (error) {
+      // Device status is informational; never fail a run because of it
+      this.logger.warn(`⚠️  Failed to upload device status: ${error.message}`);
+      return false;
+    }
+  }
+
+  getReadingStore() {
+    if (!this.readingStore) {
+      this.readingStore = new ReadingStore({ file: this.config.storeFile }, this.logger.child({ component: 'store' }));
+    }
+    return this.readingStore;
+  }
+
+  async healGaps(entries) {
+    const slotMs = DEFAULT_SLOT_MS;
+    const fromSlot = toSlot(Date.now() - this.config.gapLookbackHours * 60 * 60 * 1000, slotMs);
+    const seen = addSeenSlots(this.seenSlots, entries, slotMs);
+    const gapAttempts = { ...this.gapAttempts };
+    const recovered = [];
+    const filled = [];
+    
+    const gaps = findGaps(seen, fromSlot, { slotMs });
+    const trendHistory = [...this.recentReadings, ...entries.filter(isTrendable)];
+    const retryable = gaps
+      .filter(gap => (gapAttempts[gap.startSlot] || 0) < this.config.gapMaxAttempts)
+      .slice(-this.config.gapMaxWindows);
+    
+    if (gaps.length > 0) {
+      this.logger.debug(`🩹 Found ${gaps.length} gaps in the last ${this.config.gapLookbackHours}h, re-querying ${retryable.length}`);
+    }
+    
+    for (const gap of retryable) {
+      const gapStart = gap.startSlot * slotMs - slotMs / 2;
+      const gapEnd = gap.endSlot * slotMs + slotMs / 2;
+      
+      // Glooko may label local times as UTC, so widen the query by the timezone offset
+      const offset = getTimezoneOffsetMs(this.config.timezone, gapStart);
+      const queryStart = new Date(gapStart + Math.min(0, offset) - slotMs).toISOString();
+      const queryEnd = new Date(gapEnd + Math.max(0, offset) + slotMs).toISOString();
+      
+      // The widened query returns readings the run already has; only points in the gap count
+      const inGap = point => {
+        const slot = toSlot(point.date, slotMs);
+        return slot >= gap.startSlot && slot <= gap.endSlot && !seen.has(slot);
+      };
+      
+      let found = [];
+      try {
+        const { readings } = await this.fetchGraphRange(queryStart, queryEnd);
+        this.logger.debug(`🩹 Converting ${readings.length} readings around the gap at ${gap.start}`);
+        // The run's readings and the previous run's are the neighbours for trends and the jump check
+        const { entries: converted, rejected } = this.convertReadings(readings, trendHistory);
+        found = converted.filter(inGap);
+        this.reportRejected(rejected.filter(inGap));
+      } catch (error) {
+        this.logger.warn(`⚠️  Failed to re-query gap ${gap.start} to ${gap.end}: ${error.message}`);
+      }
+      
+      found.forEach(entry => seen.add(toSlot(entry.date, slotMs)));
+      recovered.push(...found);
+      if (found.length > 0) {
+        filled.push({ start: gap.start, end: gap.end, recovered: found.length });
+      }
+      if (found.length < gap.slots) {
+        gapAttempts[gap.startSlot] = (gapAttempts[gap.startSlot] || 0) + 1;
+      }
+    }
+    
+    const missing = findGaps(seen, fromSlot, { slotMs }).map(gap => ({
+      start: gap.start,
+      end: gap.end,
+      slots: gap.slots,
+      attempts: gapAttempts[gap.startSlot] || 0
+    }));
+    
+    // Forget attempts for gaps that were filled or left the lookback window
+    const openGaps = new Set(findGaps(seen, fromSlot, { slotMs }).map(gap => String(gap.startSlot)));
+    Object.keys(gapAttempts).forEach(slot => {
+      if (!openGaps.has(slot)) delete gapAttempts[slot];
+    });
+    
+    return {
+      entries: recovered,
+      filled,
+      missing,
+      seenSlots: pruneSlots(seen, fromSlot),
+      gapAttempts
+    };
+  }
+
+  async getLatestCGMData(options = {}) {
+    const startTime = Date.now();
+    const { upload = false } = options;
+    // The fetch moves the cursor forward straight away; a run that fails after it puts the cursor back
+    // so the next run (or the next daemon poll) fetches the same readings again
+    let previousCursor = null;
+    
+    try {
+      // Load checkpoint for incremental fetching (once per process in daemon mode)
+      if (!this.checkpointLoaded) {
+        this.loadCheckpoint();
+      }
+      previousCursor = { lastGuid: this.lastGuid, lastReadingTime: this.lastReadingTime };
+      this.rejectedReadings = [];
+      
+      // Fetch readings (or take them from an offline export)
+      const readings = options.importedData ?
+        this.useImportedData(options.importedData) :
+        await this.fetchCGMReadings(options);
+      
+      // An incremental fetch returns the reading it starts from again; only later ones are new data
+      const cursorTime = previousCursor.lastReadingTime ? Date.parse(previousCursor.lastReadingTime) : -Infinity;
+      const newReadings = readings.filter(reading => Date.parse(reading.timestampUTC || reading.timestamp) > cursorTime).length;
+      
+      // Transform to Nightscout format
+      const nightscoutEntries = this.transformToNightscout(readings);
+      // An offline export is history; it neither closes nor replaces the live running segment
+      const basalSegments = this.closeBasalSegments(this.treatmentData.basals, options.importedData ? null : this.openBasal);
+      const treatments = this.transformTreatmentsToNightscout({ ...this.treatmentData, basals: basalSegments.basals });
+      
+      // Re-query gaps inside the lookback window (late Glooko syncs, failed runs)
+      let gapReport = null;
+      if (this.config.gapLookbackHours > 0 && !options.importedData) {
+        gapReport = await this.healGaps(nightscoutEntries);
+        if (gapReport.entries.length > 0) {
+          nightscoutEntries.push(...gapReport.entries);
+          nightscoutEntries.sort((a, b) => b.date - a.date);
+        }
+      }
+      
+      // Upload before advancing the checkpoint so a failed upload is retried next run
+      // The whole batch goes up: the uploader skips what Nightscout already has (date and glookoGuid)
+      let uploadResult = null;
+      if (upload) {
+        try {
+          const uploader = this.getUploader();
+          uploadResult = await uploader.uploadEntries(nightscoutEntries);
+          uploadResult.treatments = await uploader.uploadTreatments(treatments);
+        } catch (error) {
+          throw new Error(`Nightscout upload failed: ${error.message}`);
+        }
+      }
+      
+      // The store only keeps what it has not seen; it never decides what is uploaded or returned
+      const stored = this.config.store ? this.getReadingStore().append(nightscoutEntries) : null;
+      
+      // Save checkpoint for next run, keeping the tail needed for trends
+      if (!options.importedData) {
+        this.openBasal = basalSegments.openBasal;
+      }
+      if (gapReport) {
+        this.seenSlots = gapReport.seenSlots;
+        this.gapAttempts = gapReport.gapAttempts;
+      }
+      if (!options.importedData && (readings.length > 0 || gapReport || basalSegments.basals.length > 0)) {
+        this.recentReadings = getTrendHistory(nightscoutEntries.filter(isTrendable), this.recentReadings);
+        this.saveCheckpoint();
+      }
+      
+      // Old readings from an offline import must not page anyone
+      const alerts = options.importedData ? [] : await this.checkAlerts(nightscoutEntries);
+      
+      const deviceStatusRecord = this.buildDeviceStatus({
+        success: true,
+        count: nightscoutEntries.length,
+        treatmentCount: treatments.length
+      });
+      // An offline import says nothing about the health of the Glooko connection
+      if (upload && !options.importedData) {
+        uploadResult.deviceStatus = await this.uploadDeviceStatus(deviceStatusRecord);
       }
       
       // Calculate statistics
@@ -659,11 +1368,20 @@ class GlookoCGMReader {
         success: true,
         entries: nightscoutEntries,
         count: nightscoutEntries.length,
+        newReadings,
+        stored,
         latestReading: nightscoutEntries[0],
         oldestReading: nightscoutEntries[nightscoutEntries.length - 1],
+        treatments,
+        treatmentCount: treatments.length,
         executionTime: `${executionTime}s`,
         userProfile: this.userProfile,
         deviceStatus: this.deviceStatus,
+        deviceStatusRecord,
+        upload: uploadResult,
+        gaps: gapReport ? { filled: gapReport.filled, missing: gapReport.missing } : null,
+        rejected: this.rejectedReadings,
+        alerts,
         checkpoint: {
           lastGuid: this.lastGuid,
           lastReadingTime: this.lastReadingTime
@@ -671,111 +1389,478 @@ class GlookoCGMReader {
       };
       
       // Display summary
-      console.log('\n📊 GLOOKO CGM DATA SUMMARY');
-      console.log('===========================');
+      this.logger.info('\n📊 GLOOKO CGM DATA SUMMARY');
       
       // User profile summary
       if (this.userProfile) {
-        console.log(`👤 User: ${this.userProfile.name} (${this.userProfile.country?.toUpperCase()})`);
-        console.log(`📊 Units: ${this.userProfile.meterUnits === 'mmoll' ? 'mmol/L' : 'mg/dL'}`);
-        console.log(`🎯 Targets: ${this.userProfile.glucoseTargets.normalMin.toFixed(1)}-${this.userProfile.glucoseTargets.afterMealMax.toFixed(1)} mmol/L`);
+        this.logger.info(`👤 User: ${this.userProfile.name} (${this.userProfile.country?.toUpperCase()})`);
+        this.logger.info(`📊 Units: ${getUnitLabel(this.userProfile.meterUnits)}`);
+        this.logger.info(`🎯 Targets: ${this.formatGlucose(this.userProfile.glucoseTargets.normalMin)} - ${this.formatGlucose(this.userProfile.glucoseTargets.afterMealMax)}`);
         
         if (this.deviceStatus?.connectedDevices.length > 0) {
-          console.log(`📱 Connected: ${this.deviceStatus.connectedDevices.map(d => d.name).join(', ')}`);
+          this.logger.info(`📱 Connected: ${this.deviceStatus.connectedDevices.map(d => d.name).join(', ')}`);
         } else {
-          console.log(`📱 Devices: None currently connected`);
+          this.logger.info(`📱 Devices: None currently connected`);
         }
-        console.log('');
       }
       
       if (result.count > 0) {
-        console.log(`✅ Success: ${result.count} readings retrieved`);
-        console.log(`⏱️  Execution time: ${result.executionTime}`);
-        console.log(`📈 Latest: ${result.latestReading.sgv_mmol} mmol/L @ ${result.latestReading.localTime}`);
-        console.log(`📉 Oldest: ${result.oldestReading.sgv_mmol} mmol/L @ ${result.oldestReading.localTime}`);
-        console.log(`➡️  Trend: ${result.latestReading.direction}`);
-        console.log(`\n🩸 All readings (mmol/L, Helsinki time):`);
+        this.logger.info(`✅ Success: ${result.count} readings retrieved`);
+        this.logger.info(`⏱️  Execution time: ${result.executionTime}`);
+        this.logger.info(`📈 Latest: ${this.formatGlucose(result.latestReading.sgv)} @ ${result.latestReading.localTime}`);
+        this.logger.info(`📉 Oldest: ${this.formatGlucose(result.oldestReading.sgv)} @ ${result.oldestReading.localTime}`);
+        this.logger.info(`➡️  Trend: ${result.latestReading.direction}`);
+        this.logger.info(`\n🩸 All readings (${getUnitLabel(this.userProfile?.meterUnits)}, ${this.config.displayTimezone} time):`);
         result.entries.slice(0, 10).forEach((entry, i) => {
-          console.log(`   ${i + 1}. ${entry.sgv_mmol} mmol/L @ ${entry.localTime}`);
+          this.logger.info(`   ${i + 1}. ${this.formatGlucose(entry.sgv)} @ ${entry.localTime}`);
         });
         if (result.entries.length > 10) {
-          console.log(`   ... and ${result.entries.length - 10} more`);
+          this.logger.info(`   ... and ${result.entries.length - 10} more`);
         }
       } else {
-        console.log('ℹ️  No new readings available');
+        this.logger.info('ℹ️  No new readings available');
+      }
+      
+      if (gapReport && (gapReport.filled.length > 0 || gapReport.missing.length > 0)) {
+        const recoveredCount = gapReport.filled.reduce((sum, gap) => sum + gap.recovered, 0);
+        this.logger.info(`🩹 Gaps: ${gapReport.filled.length} filled (${recoveredCount} readings recovered), ${gapReport.missing.length} still missing`);
+        gapReport.missing.slice(0, 5).forEach(gap => {
+          this.logger.info(`   ${this.formatLocalTime(gap.start)} - ${this.formatLocalTime(gap.end)} (${gap.slots} readings)`);
+        });
+      }
+      
+      if (result.rejected.length > 0) {
+        this.logger.info(`🚫 Rejected: ${result.rejected.length} readings`);
+        result.rejected.slice(0, 5).forEach(point => {
+          this.logger.info(`   ${point.dateString ? this.formatLocalTime(point.dateString) : 'no time'}: ${point.reason} (${point.detail})`);
+        });
+      }
+      
+      if (result.treatmentCount > 0) {
+        const countOf = type => treatments.filter(t => t.eventType === type).length;
+        this.logger.info(`💉 Treatments: ${countOf('Meal Bolus')} meal boluses, ${countOf('Correction Bolus')} correction boluses, ${countOf('Carb Correction')} carb entries`);
+        if (this.hasPump() || countOf('Temp Basal') > 0) {
+          this.logger.info(`💧 Basal: ${countOf('Temp Basal')} basal segments, ${countOf('Suspend Pump')} suspends`);
+        }
+      }
+      
+      if (uploadResult) {
+        this.logger.info(`📤 Nightscout: ${uploadResult.uploaded} uploaded, ${uploadResult.skipped} already present`);
+        this.logger.info(`📤 Treatments: ${uploadResult.treatments.uploaded} uploaded, ${uploadResult.treatments.skipped} already present`);
       }
       
       return result;
       
     } catch (error) {
+      if (previousCursor) {
+        this.lastGuid = previousCursor.lastGuid;
+        this.lastReadingTime = previousCursor.lastReadingTime;
+      }
       const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
       
-      console.log(`\n❌ FETCH FAILED`);
-      console.log(`   Error: ${error.message}`);
-      console.log(`   Execution time: ${executionTime}s`);
+      this.logger.error(`\n❌ FETCH FAILED`);
+      this.logger.error(`   Error: ${error.message}`);
+      this.logger.error(`   Execution time: ${executionTime}s`);
+      
+      // Let caregivers see failed runs in Nightscout too
+      const deviceStatusRecord = this.buildDeviceStatus({ success: false, error: error.message });
+      if (upload && this.config.nightscoutUrl && !options.importedData) {
+        await this.uploadDeviceStatus(deviceStatusRecord);
+      }
+      
+      const alerts = options.importedData ? [] : await this.checkAlerts([]);
       
       return {
         success: false,
         error: error.message,
         entries: [],
+        treatments: [],
+        alerts,
+        deviceStatusRecord,
         executionTime: `${executionTime}s`
       };
     }
   }
 
-  async exportToFile(filename = null) {
-    const data = await this.getLatestCGMData();
+  async syncNightscoutProfile(options = {}) {
+    const { dryRun = false, force = false } = options;
     
-    if (data.success && data.entries.length > 0) {
-      const outputFile = filename || `cgm-readings-${new Date().toISOString().split('T')[0]}.json`;
-      
-      const exportData = {
-        exportedAt: new Date().toISOString(),
-        source: 'Glooko',
-        patientId: this.patientId,
-        userProfile: this.userProfile,
-        deviceStatus: this.deviceStatus,
-        count: data.count,
-        entries: data.entries
-      };
-      
-      fs.writeFileSync(outputFile, JSON.stringify(exportData, null, 2));
-      console.log(`\n📄 Exported ${data.count} readings to ${outputFile}`);
-      
-      return outputFile;
-    } else {
-      console.log('\n⚠️  No data to export');
+    await this.authenticate();
+    if (!this.userProfile?.glucoseTargets) {
+      throw new Error('Glooko user profile is not available');
+    }
+    
+    const targets = buildProfileTargets(this.userProfile, this.config.timezone);
+    const hash = hashTargets(targets);
+    
+    // Only push when the targets changed since the last push
+    let state = null;
+    try {
+      if (fs.existsSync(this.config.profileStateFile)) {
+        state = JSON.parse(fs.readFileSync(this.config.profileStateFile, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to load profile state: ${error.message}`);
+    }
+    
+    if (!force && state?.hash === hash) {
+      this.logger.info(`ℹ️  Profile unchanged since ${state.pushedAt}, nothing to push`);
+      return { pushed: false, changed: false, targets };
+    }
+    
+    const uploader = dryRun ? null : this.getUploader();
+    const existing = uploader ? await uploader.fetchCurrentProfile() : null;
+    
+    // An existing profile keeps its units; its sensitivity and carb ratios are in them
+    const existingUnits = getExistingProfileUnits(existing);
+    let profileTargets = targets;
+    if (existingUnits && existingUnits !== targets.units) {
+      this.logger.info(`ℹ️  Nightscout profile is in ${existingUnits}, pushing the targets in ${existingUnits}`);
+      profileTargets = buildProfileTargets(this.userProfile, this.config.timezone, existingUnits);
+    }
+    const profile = buildNightscoutProfile(profileTargets, existing);
+    
+    if (dryRun) {
+      this.logger.info('📋 Nightscout profile (dry run):', profile);
+      return { pushed: false, changed: true, targets: profileTargets, profile };
+    }
+    
+    await uploader.uploadProfile(profile);
+    
+    try {
+      fs.writeFileSync(this.config.profileStateFile, JSON.stringify({
+        hash,
+        targets,
+        pushedAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to save profile state: ${error.message}`);
+    }
+    
+    const lowBlock = profileTargets.target_low[0];
+    this.logger.info(`✅ Profile pushed to Nightscout (target ${lowBlock.value}-${profileTargets.target_high.map(b => b.value).join('/')} ${profileTargets.units}, ${profileTargets.target_high.length} blocks)`);
+    
+    return { pushed: true, changed: true, targets: profileTargets, profile };
+  }
+
+  async exportToFile(filename = null, options = {}) {
+    const { format = 'json', since = null, until = null, hoursBack = 24 } = options;
+    const exporter = getExporter(format);
+    const data = await this.getLatestCGMData(options);
+    
+    if (!data.success) {
+      this.logger.warn('\n⚠️  No data to export');
       return null;
     }
+    
+    // An incremental fetch only returns what is new; the store has every reading of the export window,
+    // and --since/--until can reach back to anything an earlier run stored
+    const entries = this.config.store ?
+      this.getReadingStore().query(since || until ? {} : { from: Date.now() - hoursBack * 60 * 60 * 1000 }) :
+      data.entries;
+    
+    return this.writeExport(filename, { ...data, entries }, { format: exporter.name, since, until });
+  }
+
+  async importGlookoExport(source, options = {}) {
+    const { exportFile = false, format = 'json', dateFormat = 'auto' } = options;
+    const importer = new GlookoExportImporter({
+      timezone: this.config.timezone,
+      dateFormat
+    }, this.logger.child({ component: 'import' }));
+    
+    this.logger.info(`📂 Importing Glooko export from ${source}`);
+    const importedData = importer.parse(source);
+    if (importedData.files.length === 0) {
+      throw new Error(`No Glooko CSV files found in ${source}`);
+    }
+    
+    const data = await this.getLatestCGMData({ ...options, importedData });
+    if (data.success && exportFile !== false) {
+      this.writeExport(exportFile || null, data, { format, since: options.since, until: options.until });
+    }
+    
+    return data;
+  }
+
+  writeExport(filename, data, options = {}) {
+    const { format = 'json', since = null, until = null } = options;
+    const exporter = getExporter(format);
+    
+    // Plain dates are days in the account's timezone
+    const range = { from: since, to: until, timezone: this.config.timezone };
+    const entries = filterByTimeRange(data.entries || [], range);
+    const treatments = filterByTimeRange(data.treatments || [], range);
+    
+    if (entries.length === 0 && treatments.length === 0) {
+      this.logger.warn('\n⚠️  No data to export');
+      return null;
+    }
+    
+    const outputFile = filename || `cgm-readings-${new Date().toISOString().split('T')[0]}.${exporter.extension}`;
+    
+    const content = exporter.serialize({
+      exportedAt: new Date().toISOString(),
+      patientId: this.patientId,
+      userProfile: this.userProfile,
+      deviceStatus: this.deviceStatus,
+      entries,
+      treatments
+    }, {
+      timezone: this.config.timezone
+    });
+    
+    fs.writeFileSync(outputFile, content);
+    this.logger.info(`\n📄 Exported ${entries.length} readings to ${outputFile} (${exporter.name})`);
+    
+    return outputFile;
+  }
+
+  /**
+   * Nightscout entries for the last `days` from a full graph fetch
+   * Reports and reconciliation never move the incremental checkpoint
+   */
+  async fetchPeriodEntries(days) {
+    const to = Date.now();
+    const from = to - days * 24 * 60 * 60 * 1000;
+    
+    const checkpoint = { lastGuid: this.lastGuid, lastReadingTime: this.lastReadingTime };
+    const readings = await this.fetchCGMReadings({ hoursBack: days * 24, forceFullFetch: true });
+    this.lastGuid = checkpoint.lastGuid;
+    this.lastReadingTime = checkpoint.lastReadingTime;
+    
+    const entries = this.transformToNightscout(readings).filter(entry => entry.date >= from && entry.date <= to);
+    return { from, to, entries };
+  }
+
+  /**
+   * Time in range, GMI, CV and AGP over the last `days`, from a full graph fetch
+   * ranges: 'auto' (Glooko targets when known), 'glooko' or 'consensus'
+   */
+  async generateReport(options = {}) {
+    const { days = 14, ranges = 'auto', htmlFile = null, jsonFile = null } = options;
+    const { from, to, entries } = await this.fetchPeriodEntries(days);
+    const stats = computeGlycemicStats(entries, {
+      from,
+      to,
+      ranges: getRanges(this.userProfile?.glucoseTargets, ranges),
+      timezone: this.config.displayTimezone
+    });
+    
+    formatReportLines(stats, this.userProfile?.meterUnits).forEach(line => this.logger.info(line));
+    
+    if (jsonFile) {
+      fs.writeFileSync(jsonFile, JSON.stringify({ ...stats, units: this.userProfile?.meterUnits || null }, null, 2));
+      this.logger.info(`\n📄 Report data written to ${jsonFile}`);
+    }
+    if (htmlFile) {
+      fs.writeFileSync(htmlFile, renderHtmlReport(stats, {
+        meterUnits: this.userProfile?.meterUnits,
+        name: this.userProfile?.name
+      }));
+      this.logger.info(`📄 HTML report written to ${htmlFile}`);
+    }
+    
+    return stats;
+  }
+
+  /**
+   * Compare the last `days` of Glooko readings with Nightscout and optionally upload the missing and outranked ones
+   * options: toleranceMs, conflictMgdl, priority (device patterns, best first), upload, jsonFile
+   */
+  async reconcileNightscout(options = {}) {
+    const { days = 1, upload = false, jsonFile = null, ...matchOptions } = options;
+    const { from, to, entries } = await this.fetchPeriodEntries(days);
+    
+    const uploader = this.getUploader();
+    const nightscoutEntries = await uploader.fetchEntries(from, to);
+    this.logger.info(`📥 Nightscout holds ${nightscoutEntries.length} SGV entries in this period`);
+    
+    const result = reconcileEntries(entries, nightscoutEntries, matchOptions);
+    const { summary } = result;
+    
+    this.logger.info(`\n🔍 RECONCILE (${days} days, ${this.formatLocalTime(from)} - ${this.formatLocalTime(to)})`);
+    this.logger.info(`🩸 Glooko: ${summary.glooko} readings, Nightscout: ${summary.nightscout} entries`);
+    this.logger.info(`✅ Matched: ${summary.matched}`);
+    this.logger.info(`❓ Missing in Nightscout: ${summary.missing}`);
+    result.missing.slice(0, 5).forEach(entry => {
+      this.logger.info(`   ${this.formatLocalTime(entry.date)}: ${this.formatGlucose(entry.sgv)}`);
+    });
+    if (summary.outranked > 0) {
+      this.logger.info(`🔽 Only lower-priority copies in Nightscout: ${summary.outranked}`);
+      result.outranked.slice(0, 5).forEach(entry => {
+        this.logger.info(`   ${this.formatLocalTime(entry.date)}: ${this.formatGlucose(entry.sgv)}`);
+      });
+    }
+    this.logger.info(`➕ Only in Nightscout: ${summary.extra}`);
+    result.extra.slice(0, 5).forEach(entry => {
+      this.logger.info(`   ${this.formatLocalTime(entry.date)}: ${this.formatGlucose(entry.sgv)} (${entry.device || 'no device'})`);
+    });
+    this.logger.info(`⚠️  Conflicting values: ${summary.conflicts}`);
+    result.conflicts.slice(0, 5).forEach(conflict => {
+      this.logger.info(`   ${this.formatLocalTime(conflict.glooko.date)}: Glooko ${this.formatGlucose(conflict.glooko.sgv)}, ${conflict.nightscout.device || 'Nightscout'} ${this.formatGlucose(conflict.nightscout.sgv)}`);
+    });
+    this.logger.info(`♊ Readings with several copies: ${summary.duplicates}`);
+    result.duplicates.slice(0, 5).forEach(duplicate => {
+      this.logger.info(`   ${this.formatLocalTime(duplicate.kept.date)}: keep ${duplicate.kept.device || 'no device'}, redundant ${duplicate.redundant.map(entry => entry.device || 'no device').join(', ')}`);
+    });
+    
+    const pending = [...result.missing, ...result.outranked].sort((a, b) => a.date - b.date);
+    if (upload && pending.length > 0) {
+      result.upload = await uploader.uploadEntries(pending);
+    }
+    
+    if (jsonFile) {
+      fs.writeFileSync(jsonFile, JSON.stringify(result, null, 2));
+      this.logger.info(`\n📄 Reconcile report written to ${jsonFile}`);
+    }
+    
+    return result;
   }
 }
 
 // Command-line interface
+/**
+ * alerts test | snooze RULE [MINUTES] | status
+ */
+async function runAlertsCommand([action, ...rest], config, logger) {
+  if (!config.alerts) {
+    throw new Error('alerts needs an alerts file (--alerts FILE or GLOOKO_ALERTS_FILE)');
+  }
+  const engine = new AlertEngine({
+    ...config.alerts,
+    stateFile: config.alertStateFile || 'glooko-alert-state.json'
+  }, logger);
+  
+  if (action === 'test') {
+    const delivered = await engine.sendTest();
+    if (delivered < engine.notifiers.length) {
+      throw new Error(`${engine.notifiers.length - delivered} of ${engine.notifiers.length} notifiers failed`);
+    }
+    logger.info(`✅ Test alert sent to ${delivered} notifiers`);
+  } else if (action === 'snooze') {
+    const minutes = parseFloat(rest[1] || '60');
+    if (!rest[0] || !(minutes > 0)) {
+      throw new Error('Usage: alerts snooze RULE|all [MINUTES]');
+    }
+    engine.snooze(rest[0], minutes);
+  } else if (action === 'status') {
+    const state = engine.loadState();
+    const now = Date.now();
+    if (state.lastReading) {
+      logger.info(`🩸 Last reading: ${state.lastReading.sgv} mg/dL @ ${new Date(state.lastReading.date).toLocaleString()}`);
+    }
+    ALERT_RULES.forEach(name => {
+      const ruleState = state.rules[name] || {};
+      const details = [];
+      if (!engine.rules[name].enabled) details.push('disabled');
+      else if (ruleState.active) details.push(`active since ${new Date(ruleState.since).toLocaleString()}`);
+      if (ruleState.snoozedUntil > now) details.push(`snoozed until ${new Date(ruleState.snoozedUntil).toLocaleString()}`);
+      logger.info(`${ruleState.active ? '🔴' : '🟢'} ${name}: ${details.join(', ') || 'ok'}`);
+    });
+  } else {
+    throw new Error(`Unknown alerts action "${action || ''}" (use test, snooze or status)`);
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('-') ? args[0] : 'fetch';
   
   // Check for help
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
 Glooko CGM Reader - Fetch CGM data from Glooko
 
-Usage: node glooko-cgm-reader.js [options]
+Usage: node glooko-cgm-reader.js [command] [options]
+
+Commands:
+  fetch               Fetch CGM data (default)
+  profile             Push Glooko glucose targets to the Nightscout profile
+                      (only when changed; --force to always push, --dry-run to print)
+  backfill            Import history: --from YYYY-MM-DD --to YYYY-MM-DD
+                      [--chunk day|week] [--delay SECONDS] [--upload] [--export FILE]
+                      (resumable; progress in glooko-backfill-checkpoint.json;
+                      the export is JSON Lines, --format is refused)
+  import PATH         Read a Glooko data export (ZIP or folder of CSVs) instead of
+                      logging in; [--upload] [--export FILE] [--date-format dmy|mdy|ymd]
+  serve               Keep polling Glooko and serve the readings over a read-only
+                      Nightscout API for followers: [--port N] [--host H]
+                      [--serve-token T] [--interval N] [--upload]
+  report              Time in range, GMI, CV and AGP: [--days N] (default: 14)
+                      [--ranges auto|glooko|consensus] [--html FILE] [--json [FILE]]
+                      (HTML defaults to glooko-report-YYYY-MM-DD.html)
+  reconcile           Compare Glooko readings with Nightscout: [--days N] (default: 1)
+                      [--tolerance SECONDS] [--conflict-mgdl N] [--prefer xdrip,*,glooko]
+                      [--json FILE] [--upload] (uploads the missing readings and
+                      those whose only Nightscout copies rank below Glooko)
+  alerts test         Send a test alert through every configured notifier
+  alerts snooze R [M] Silence rule R (or all) for M minutes (default: 60)
+  alerts status       Show active and snoozed alerts
 
 Options:
   --email EMAIL        Glooko account email (or set GLOOKO_EMAIL env var)
   --password PASSWORD  Glooko account password (or set GLOOKO_PASSWORD env var)
+  --accounts FILE     Caregiver mode: fetch, daemon or profile for every account in a
+                      JSON accounts file, each with its own Nightscout and state files
+  --concurrency N     Accounts processed at the same time (default: from the file, or 2)
+  --alerts FILE       Alert rules and notifiers (JSON); checked after every fetch
   --env ENV           Environment: eu, us, de (default: eu)
   --hours N           Hours of data to fetch (default: 24)
+  --no-store          Do not keep readings in the local store
+  --gap-lookback N    Hours to check for gaps and re-query (default: 24, 0 disables)
   --full              Force full fetch, ignore checkpoint
-  --export [FILE]     Export data to JSON file
-  --debug             Enable debug logging
+  --calculated A      Points Glooko marks as calculated: keep, flag, drop (default: flag)
+  --max-rate N        Reject single-reading spikes faster than N mg/dL/min (default: 15, 0 disables)
+  --sensor-limits L,H Sensor LO/HI limits in mg/dL, sent as Nightscout LOW/HIGH (default: 40,400)
+  --export [FILE]     Export data to a file
+  --format F          Export format: json, csv, nightscout, tidepool, fhir (default: json)
+  --since DATE        Only export data from DATE (ISO date or timestamp)
+  --until DATE        Only export data up to DATE (a plain date includes the whole day)
+  --upload            Upload entries to Nightscout (requires NIGHTSCOUT_URL)
+  --nightscout-api A  auto, v1 or v3 (default: auto, v3 when the server has it and
+                      NIGHTSCOUT_TOKEN is set)
+  --daemon            Keep running and poll on a schedule
+  --interval N        Poll interval in minutes for daemon mode (default: 5)
+  --max-interval N    Maximum backoff interval in minutes (default: 30)
+  --no-session-cache  Do not read or write the on-disk session cache
+  --auth-strategy S   Login strategy: http, browser (default: http, falls back
+                      to browser when puppeteer is installed)
+  --timezone TZ       IANA timezone of the Glooko account (e.g. Europe/Helsinki)
+  --display-timezone TZ  IANA timezone used for the summary output
+  --timestamp-mode M  How Glooko timestamps are read: auto, local, utc (default: auto)
+  --date-format F     Date order in imported CSVs: auto, dmy, mdy, ymd (default: auto)
+  --debug             Enable debug logging (same as --log-level debug)
+  --log-level L       error, warn, info, debug or trace (trace adds the raw Glooko data)
+  --log-format F      pretty or json (one JSON object per line, for journald/Loki)
   --help, -h          Show this help message
 
 Environment Variables:
   GLOOKO_EMAIL        Glooko account email
   GLOOKO_PASSWORD     Glooko account password
+  GLOOKO_ACCOUNTS_FILE  Accounts file for caregiver mode (same as --accounts)
+  GLOOKO_ALERTS_FILE  Alerts file (same as --alerts)
+  GLOOKO_ALERT_STATE_FILE  Active alerts and snoozes (default: glooko-alert-state.json)
   GLOOKO_ENV          Environment (eu/us/de)
-  GLOOKO_TZ_OFFSET    Timezone offset in milliseconds
+  GLOOKO_TZ_OFFSET    Legacy fixed correction in milliseconds subtracted from
+                      Glooko timestamps (overrides timezone detection)
+  GLOOKO_TIMEZONE     IANA timezone of the Glooko account (default: system)
+  GLOOKO_DISPLAY_TIMEZONE  IANA timezone for the summary (default: GLOOKO_TIMEZONE)
+  GLOOKO_TIMESTAMP_MODE    auto, local or utc (default: auto)
+  GLOOKO_AUTH_STRATEGY  Login strategy (http/browser)
+  GLOOKO_LOG_LEVEL    Log level (error/warn/info/debug/trace)
+  GLOOKO_LOG_FORMAT   Log format (pretty/json)
+  GLOOKO_GAP_LOOKBACK_HOURS  Gap detection window in hours
+  GLOOKO_STORE_FILE   Local reading store (default: glooko-readings.jsonl)
+  GLOOKO_SESSION_FILE Session cache file (default: glooko-session.json)
+  GLOOKO_SESSION_KEY  Passphrase to encrypt the session cache
+  GLOOKO_SERVE_PORT   Port for serve (default: 1337)
+  GLOOKO_SERVE_HOST   Address for serve to listen on (default: 127.0.0.1)
+  GLOOKO_SERVE_TOKEN  Token followers must send to serve (?token=, Bearer or api-secret)
+  NIGHTSCOUT_URL      Nightscout base URL for --upload
+  NIGHTSCOUT_API_SECRET  Nightscout API_SECRET (plain or SHA1-hashed)
+  NIGHTSCOUT_TOKEN    Nightscout access token (alternative to API_SECRET, required for v3)
+  NIGHTSCOUT_API_VERSION  Nightscout API: auto, v1 or v3 (same as --nightscout-api)
 
 Examples:
   # Fetch latest data using environment variables
@@ -787,8 +1872,44 @@ Examples:
   # Fetch last 48 hours and export
   node glooko-cgm-reader.js --hours 48 --export
 
+  # Export as a FHIR Observation bundle
+  node glooko-cgm-reader.js --export readings.fhir.json --format fhir
+
   # Force full fetch with debug output
   node glooko-cgm-reader.js --full --debug
+
+  # Fetch and upload new entries to Nightscout
+  node glooko-cgm-reader.js --upload
+
+  # Keep running, polling every 5 minutes and uploading
+  node glooko-cgm-reader.js --daemon --interval 5 --upload
+
+  # Sync Glooko targets to the Nightscout profile
+  node glooko-cgm-reader.js profile
+
+  # Backfill a month of history into Nightscout, one week per request
+  node glooko-cgm-reader.js backfill --from 2025-01-01 --to 2025-01-31 --chunk week --upload
+
+  # Upload a Glooko data export downloaded from the web app
+  node glooko-cgm-reader.js import export.zip --timezone Europe/Helsinki --upload
+
+  # Let xDrip or a watchface follow Glooko data on the local network
+  node glooko-cgm-reader.js serve --host 0.0.0.0 --serve-token my-follower-token
+
+  # Poll every 5 minutes and alert on lows, highs and missing data
+  node glooko-cgm-reader.js --daemon --alerts alerts.json
+
+  # Silence the high alert for two hours
+  node glooko-cgm-reader.js alerts snooze high 120 --alerts alerts.json
+
+  # Two-week AGP report as HTML and JSON
+  node glooko-cgm-reader.js report --days 14 --json
+
+  # Find readings a phone uploader missed and fill them in from Glooko
+  node glooko-cgm-reader.js reconcile --days 3 --upload
+
+  # Follow several patients, each uploading to their own Nightscout
+  node glooko-cgm-reader.js --accounts accounts.json --daemon --upload
 `);
     process.exit(0);
   }
@@ -801,44 +1922,354 @@ Examples:
   // Parse command-line arguments
   const getArg = (name, defaultValue = null) => {
     const index = args.indexOf(name);
-    return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : defaultValue;
   };
   
+  const sensorLimits = (getArg('--sensor-limits') || `${DEFAULT_QUALITY_OPTIONS.sensorLowMgdl},${DEFAULT_QUALITY_OPTIONS.sensorHighMgdl}`)
+    .split(',').map(value => parseFloat(value));
+  
   const config = {
     email: getArg('--email') || process.env.GLOOKO_EMAIL,
     password: getArg('--password') || process.env.GLOOKO_PASSWORD,
     env: getArg('--env') || process.env.GLOOKO_ENV || 'eu',
+    authStrategy: getArg('--auth-strategy') || process.env.GLOOKO_AUTH_STRATEGY || 'http',
     timezoneOffset: parseInt(process.env.GLOOKO_TZ_OFFSET || '0'),
-    debug: args.includes('--debug')
+    store: !args.includes('--no-store'),
+    storeFile: process.env.GLOOKO_STORE_FILE,
+    gapLookbackHours: parseFloat(getArg('--gap-lookback') || process.env.GLOOKO_GAP_LOOKBACK_HOURS || '24'),
+    timezone: getArg('--timezone') || process.env.GLOOKO_TIMEZONE,
+    displayTimezone: getArg('--display-timezone') || process.env.GLOOKO_DISPLAY_TIMEZONE,
+    timestampMode: getArg('--timestamp-mode') || process.env.GLOOKO_TIMESTAMP_MODE,
+    sessionCache: !args.includes('--no-session-cache'),
+    sessionFile: process.env.GLOOKO_SESSION_FILE,
+    sessionKey: process.env.GLOOKO_SESSION_KEY,
+    alertStateFile: process.env.GLOOKO_ALERT_STATE_FILE,
+    quality: {
+      calculated: getArg('--calculated') || DEFAULT_QUALITY_OPTIONS.calculated,
+      maxRateMgdlPerMin: parseFloat(getArg('--max-rate') || DEFAULT_QUALITY_OPTIONS.maxRateMgdlPerMin),
+      sensorLowMgdl: sensorLimits[0],
+      sensorHighMgdl: sensorLimits[1]
+    },
+    nightscoutUrl: process.env.NIGHTSCOUT_URL,
+    nightscoutApiSecret: process.env.NIGHTSCOUT_API_SECRET,
+    nightscoutToken: process.env.NIGHTSCOUT_TOKEN,
+    nightscoutApi: getArg('--nightscout-api') || process.env.NIGHTSCOUT_API_VERSION || 'auto',
+    debug: args.includes('--debug'),
+    logLevel: getArg('--log-level') || process.env.GLOOKO_LOG_LEVEL || (args.includes('--debug') ? 'debug' : 'info'),
+    logFormat: getArg('--log-format') || process.env.GLOOKO_LOG_FORMAT || 'pretty'
   };
   
-  // Validate credentials
-  if (!config.email || !config.password) {
-    console.error('❌ Error: Email and password are required');
-    console.error('   Set via --email/--password flags or GLOOKO_EMAIL/GLOOKO_PASSWORD environment variables');
-    console.error('   Run with --help for more information');
+  // Everything after this point goes through the leveled logger
+  if (!LEVELS.includes(config.logLevel) || !FORMATS.includes(config.logFormat)) {
+    console.error(`❌ Error: --log-level must be one of ${LEVELS.join(', ')} and --log-format one of ${FORMATS.join(', ')}`);
     process.exit(1);
   }
+  const logger = createLogger({ level: config.logLevel, format: config.logFormat });
+  config.logger = logger;
+  
+  const accountsFile = getArg('--accounts') || process.env.GLOOKO_ACCOUNTS_FILE;
+  if (accountsFile && !['fetch', 'profile'].includes(command)) {
+    logger.error(`❌ Error: --accounts supports fetch, --daemon and profile, not ${command}`);
+    process.exit(1);
+  }
+  if (accountsFile && args.includes('--export')) {
+    logger.error('❌ Error: --export is not available with --accounts');
+    process.exit(1);
+  }
+  
+  const concurrency = getArg('--concurrency') ? parseInt(getArg('--concurrency')) : null;
+  if (concurrency !== null && !(concurrency >= 1)) {
+    logger.error('❌ Error: --concurrency must be a positive number');
+    process.exit(1);
+  }
+  
+  const alertsFile = getArg('--alerts') || process.env.GLOOKO_ALERTS_FILE;
+  if (alertsFile) {
+    try {
+      config.alerts = loadAlertsConfig(alertsFile);
+    } catch (error) {
+      logger.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  if (command === 'alerts' && accountsFile) {
+    logger.error('❌ Error: alerts works on one account; use the accounts file for per-account alerts');
+    process.exit(1);
+  }
+  
+  // Validate credentials (an offline import never logs in; accounts bring their own)
+  if (!['import', 'alerts'].includes(command) && !accountsFile && (!config.email || !config.password)) {
+    logger.error('❌ Error: Email and password are required');
+    logger.error('   Set via --email/--password flags or GLOOKO_EMAIL/GLOOKO_PASSWORD environment variables');
+    logger.error('   Run with --help for more information');
+    process.exit(1);
+  }
+  
+  if (!['fetch', 'profile', 'backfill', 'import', 'serve', 'report', 'reconcile', 'alerts'].includes(command)) {
+    logger.error(`❌ Error: Unknown command "${command}"`);
+    logger.error('   Run with --help for more information');
+    process.exit(1);
+  }
+  
+  const needsNightscout = args.includes('--upload') || command === 'reconcile' || (command === 'profile' && !args.includes('--dry-run'));
+  if (needsNightscout && !accountsFile && !config.nightscoutUrl) {
+    logger.error(`❌ Error: ${['profile', 'reconcile'].includes(command) ? command : '--upload'} requires NIGHTSCOUT_URL`);
+    logger.error('   Also set NIGHTSCOUT_API_SECRET or NIGHTSCOUT_TOKEN');
+    process.exit(1);
+  }
+  
+  for (const tz of [config.timezone, config.displayTimezone]) {
+    if (tz && !isValidTimezone(tz)) {
+      logger.error(`❌ Error: Unknown timezone "${tz}" (use an IANA name like Europe/Helsinki)`);
+      process.exit(1);
+    }
+  }
+  
+  if (getArg('--format') && !getFormats().includes(getArg('--format'))) {
+    logger.error(`❌ Error: Unknown export format "${getArg('--format')}" (use ${getFormats().join(', ')})`);
+    process.exit(1);
+  }
+  
+  if (config.timestampMode && !['auto', 'local', 'utc'].includes(config.timestampMode)) {
+    logger.error(`❌ Error: Unknown timestamp mode "${config.timestampMode}" (use auto, local or utc)`);
+    process.exit(1);
+  }
+  
+  if (!CALCULATED_ACTIONS.includes(config.quality.calculated)) {
+    logger.error(`❌ Error: Unknown --calculated action "${config.quality.calculated}" (use ${CALCULATED_ACTIONS.join(', ')})`);
+    process.exit(1);
+  }
+  
+  if (!Number.isFinite(config.quality.maxRateMgdlPerMin) || config.quality.maxRateMgdlPerMin < 0 ||
+      sensorLimits.length !== 2 || !sensorLimits.every(Number.isFinite) || sensorLimits[0] >= sensorLimits[1]) {
+    logger.error('❌ Error: --max-rate must be a non-negative number and --sensor-limits LOW,HIGH in mg/dL');
+    process.exit(1);
+  }
+  
+  const dateFormat = getArg('--date-format') || 'auto';
+  if (!['auto', 'dmy', 'mdy', 'ymd'].includes(dateFormat)) {
+    logger.error(`❌ Error: Unknown date format "${dateFormat}" (use auto, dmy, mdy or ymd)`);
+    process.exit(1);
+  }
+  
+  if (command === 'import' && (!args[1] || args[1].startsWith('-'))) {
+    logger.error('❌ Error: import requires a Glooko export ZIP file or directory');
+    process.exit(1);
+  }
+  
+  const days = parseFloat(getArg('--days') || (command === 'report' ? '14' : '1'));
+  if (['report', 'reconcile'].includes(command) && !(days > 0 && days <= 90)) {
+    logger.error('❌ Error: --days must be more than 0 and at most 90');
+    process.exit(1);
+  }
+  const reportRanges = getArg('--ranges') || 'auto';
+  if (command === 'report' && !['auto', 'glooko', 'consensus'].includes(reportRanges)) {
+    logger.error('❌ Error: --ranges must be one of auto, glooko, consensus');
+    process.exit(1);
+  }
+  const reconcileOptions = {
+    toleranceMs: parseFloat(getArg('--tolerance') || '150') * 1000,
+    conflictMgdl: parseFloat(getArg('--conflict-mgdl') || '5'),
+    priority: (getArg('--prefer') || '*,glooko').split(',').map(pattern => pattern.trim()).filter(Boolean)
+  };
+  if (command === 'reconcile' && !(reconcileOptions.toleranceMs > 0 && reconcileOptions.conflictMgdl >= 0)) {
+    logger.error('❌ Error: --tolerance must be a positive number of seconds and --conflict-mgdl a non-negative number');
+    process.exit(1);
+  }
+  
+  const serveConfig = {
+    port: parseInt(getArg('--port') || process.env.GLOOKO_SERVE_PORT || '1337'),
+    host: getArg('--host') || process.env.GLOOKO_SERVE_HOST || '127.0.0.1',
+    token: getArg('--serve-token') || process.env.GLOOKO_SERVE_TOKEN || null,
+    version: UPLOADER_VERSION
+  };
+  if (command === 'serve' && !(serveConfig.port >= 0 && serveConfig.port < 65536)) {
+    logger.error('❌ Error: --port must be a port number');
+    process.exit(1);
+  }
+  logger.addSecret(serveConfig.token);
+  
+  if (!NIGHTSCOUT_APIS.includes(config.nightscoutApi)) {
+    logger.error(`❌ Error: Unknown Nightscout API "${config.nightscoutApi}" (use ${NIGHTSCOUT_APIS.join(', ')})`);
+    process.exit(1);
+  }
+  
+  if (!['http', 'browser'].includes(config.authStrategy)) {
+    logger.error(`❌ Error: Unknown auth strategy "${config.authStrategy}" (use http or browser)`);
+    process.exit(1);
+  }
+  
+  if (command === 'alerts') {
+    try {
+      const firstOption = args.findIndex(arg => arg.startsWith('-'));
+      await runAlertsCommand(args.slice(1, firstOption === -1 ? args.length : firstOption), config, logger);
+      process.exit(0);
+    } catch (error) {
+      logger.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
   
   // Show header
-  console.log('\n🚀 GLOOKO CGM READER');
-  console.log('===================');
-  console.log(`Email: ${config.email}`);
-  console.log(`Password: ${'*'.repeat(config.password.length)}`);
-  console.log(`Environment: ${config.env}`);
-  console.log('');
+  logger.info('🚀 GLOOKO CGM READER');
+  if (command === 'import') {
+    logger.info(`Import: ${args[1]}`);
+  } else if (accountsFile) {
+    logger.info(`Accounts: ${accountsFile}`);
+  } else {
+    logger.info(`Email: ${config.email}`);
+  }
+  logger.info(`Environment: ${config.env}`);
   
   try {
-    const reader = new GlookoCGMReader(config);
-    
     const options = {
       hoursBack: parseInt(getArg('--hours') || '24'),
-      forceFullFetch: args.includes('--full')
+      forceFullFetch: args.includes('--full'),
+      upload: args.includes('--upload')
     };
     
-    if (args.includes('--export')) {
+    if (accountsFile) {
+      // Credentials, Nightscout target and state files come from each account, never from the environment
+      const shared = { ...config };
+      ['email', 'password', 'nightscoutUrl', 'nightscoutApiSecret', 'nightscoutToken', 'storeFile', 'sessionFile', 'alertStateFile', 'logger']
+        .forEach(key => delete shared[key]);
+      const loaded = loadAccounts(accountsFile, shared);
+      
+      const missing = loaded.accounts.filter(account => !account.config.nightscoutUrl).map(account => account.name);
+      if (needsNightscout && missing.length > 0) {
+        throw new Error(`No nightscout.url for account(s): ${missing.join(', ')}`);
+      }
+      
+      const runner = new MultiAccountRunner(loaded.accounts, {
+        logger,
+        concurrency: concurrency || loaded.concurrency,
+        statusFile: loaded.statusFile,
+        createReader: accountConfig => new GlookoCGMReader(accountConfig)
+      });
+      
+      if (args.includes('--daemon') || args.includes('--interval')) {
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+          process.once(signal, () => runner.stop(signal));
+        });
+        await runner.startDaemons({
+          fetchOptions: options,
+          intervalMinutes: parseFloat(getArg('--interval') || '5'),
+          maxIntervalMinutes: parseFloat(getArg('--max-interval') || '30')
+        });
+      } else {
+        const results = command === 'profile' ?
+          await runner.runAll(reader => reader.syncNightscoutProfile({
+            dryRun: args.includes('--dry-run'),
+            force: args.includes('--force')
+          })) :
+          await runner.runAll(reader => reader.getLatestCGMData(options));
+        
+        // The other accounts completed; the exit code still reports the failure
+        const failed = results.filter(status => !status.success).map(status => status.name);
+        if (failed.length > 0) {
+          throw new Error(`${failed.length} of ${results.length} accounts failed (${failed.join(', ')})`);
+        }
+      }
+      
+      logger.info('✅ Script completed successfully');
+      process.exit(0);
+    }
+    
+    const reader = new GlookoCGMReader(config);
+    
+    if (command === 'backfill') {
+      const from = getArg('--from');
+      const to = getArg('--to') || new Date().toISOString().split('T')[0];
+      const upload = args.includes('--upload');
+      const exportFile = getArg('--export') ||
+        (args.includes('--export') || !upload ? `glooko-backfill-${from}-${to}.jsonl` : null);
+      
+      const backfill = new GlookoBackfill(reader, {
+        from,
+        to,
+        chunk: getArg('--chunk') || 'day',
+        delayMs: parseFloat(getArg('--delay') || '2') * 1000,
+        upload,
+        exportFile,
+        format: getArg('--format')
+      });
+      await backfill.run();
+    } else if (command === 'import') {
+      const result = await reader.importGlookoExport(args[1], {
+        ...options,
+        dateFormat,
+        exportFile: args.includes('--export') ? getArg('--export') : false,
+        format: getArg('--format') || 'json',
+        since: getArg('--since'),
+        until: getArg('--until')
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } else if (command === 'serve') {
+      const server = new NightscoutServer(serveConfig, logger.child({ component: 'serve' }));
+      if (!serveConfig.token && !['127.0.0.1', 'localhost', '::1'].includes(serveConfig.host)) {
+        logger.warn(`⚠️  Serving on ${serveConfig.host} without --serve-token: anyone on the network can read the data`);
+      }
+      
+      // Start from what earlier runs stored so followers have history right away
+      if (config.store) {
+        server.addEntries(reader.getReadingStore().query({ from: Date.now() - server.config.retentionMs }));
+      }
+      
+      const daemon = new GlookoDaemon(reader, {
+        fetchOptions: options,
+        intervalMinutes: parseFloat(getArg('--interval') || '5'),
+        maxIntervalMinutes: parseFloat(getArg('--max-interval') || '30'),
+        onResult: result => server.update(result, reader.userProfile)
+      });
+      
+      ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.once(signal, () => Promise.all([daemon.stop(signal), server.stop()]));
+      });
+      
+      await server.start();
+      await daemon.start();
+    } else if (command === 'report') {
+      const date = new Date().toISOString().split('T')[0];
+      await reader.generateReport({
+        days,
+        ranges: reportRanges,
+        htmlFile: getArg('--html') || `glooko-report-${date}.html`,
+        jsonFile: args.includes('--json') ? getArg('--json') || `glooko-report-${date}.json` : null
+      });
+    } else if (command === 'reconcile') {
+      await reader.reconcileNightscout({
+        ...reconcileOptions,
+        days,
+        upload: args.includes('--upload'),
+        jsonFile: getArg('--json')
+      });
+    } else if (command === 'profile') {
+      await reader.syncNightscoutProfile({
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force')
+      });
+    } else if (args.includes('--daemon') || args.includes('--interval')) {
+      const daemon = new GlookoDaemon(reader, {
+        fetchOptions: options,
+        intervalMinutes: parseFloat(getArg('--interval') || '5'),
+        maxIntervalMinutes: parseFloat(getArg('--max-interval') || '30')
+      });
+      
+      ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.once(signal, () => daemon.stop(signal));
+      });
+      
+      await daemon.start();
+    } else if (args.includes('--export')) {
       const exportFile = typeof getArg('--export') === 'string' ? getArg('--export') : null;
-      await reader.exportToFile(exportFile);
+      await reader.exportToFile(exportFile, {
+        ...options,
+        format: getArg('--format') || 'json',
+        since: getArg('--since'),
+        until: getArg('--until')
+      });
     } else {
       const result = await reader.getLatestCGMData(options);
       if (!result.success) {
@@ -846,14 +2277,12 @@ Examples:
       }
     }
     
-    console.log('\n✅ Script completed successfully\n');
+    logger.info('✅ Script completed successfully');
     process.exit(0);
     
   } catch (error) {
-    console.error('\n❌ Script failed:', error.message);
-    if (config.debug) {
-      console.error(error.stack);
-    }
+    logger.error(`❌ Script failed: ${error.message}`);
+    logger.debug(error.stack);
     process.exit(1);
   }
 }
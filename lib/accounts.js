@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { GlookoDaemon } = require('./daemon');
+const { isValidTimezone } = require('./time');
+const { nullLogger } = require('./logger');
+const { resolveEnv, readJsonFile } = require('./config-file');
+const { loadAlertsConfig } = require('./alerts');
+const { NIGHTSCOUT_APIS } = require('./nightscout-client');
+
+// Per-account state files, kept in the account's own directory
+const ACCOUNT_FILES = {
+  checkpointFile: 'glooko-checkpoint.json',
+  sessionFile: 'glooko-session.json',
+  storeFile: 'glooko-readings.jsonl',
+  profileStateFile: 'glooko-profile-state.json',
+  alertStateFile: 'glooko-alert-state.json'
+};
+
+// Settings an account entry may override; everything else comes from the command line
+const ACCOUNT_KEYS = [
+  'email', 'password', 'env', 'webUrl', 'apiUrl', 'authStrategy', 'timezone', 'displayTimezone',
+  'timestampMode', 'locale', 'sessionKey', 'gapLookbackHours', 'quality',
+  ...Object.keys(ACCOUNT_FILES)
+];
+
+/**
+ * Read a caregiver accounts file and build one reader config per account
+ * baseConfig carries the command-line settings shared by all accounts (quality, logging, gap lookback)
+ */
+function loadAccounts(file, baseConfig = {}) {
+  const data = readJsonFile(file, 'accounts file');
+
+  if (!Array.isArray(data.accounts) || data.accounts.length === 0) {
+    throw new Error(`Accounts file ${file} has no "accounts" list`);
+  }
+
+  const concurrency = data.concurrency !== undefined ? data.concurrency : 2;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('"concurrency" must be a positive integer');
+  }
+
+  const dataDir = path.resolve(path.dirname(file), data.dataDir || 'accounts');
+  const defaults = data.defaults || {};
+  const names = new Set();
+
+  const accounts = data.accounts.map((entry, index) => {
+    const name = entry.name;
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error(`Account #${index + 1} needs a "name" of letters, digits, dots, dashes or underscores`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Account name "${name}" is used twice`);
+    }
+    names.add(name);
+
+    const where = `Account "${name}"`;
+    const config = { ...baseConfig };
+    [defaults, entry].forEach(source => {
+      ACCOUNT_KEYS.forEach(key => {
+        if (source[key] !== undefined) config[key] = resolveEnv(source[key], `${where} ${key}`);
+      });
+    });
+
+    const nightscout = entry.nightscout || {};
+    config.nightscoutUrl = resolveEnv(nightscout.url, `${where} nightscout.url`) || null;
+    config.nightscoutApiSecret = resolveEnv(nightscout.apiSecret, `${where} nightscout.apiSecret`) || null;
+    config.nightscoutToken = resolveEnv(nightscout.token, `${where} nightscout.token`) || null;
+    if (nightscout.api !== undefined) {
+      if (!NIGHTSCOUT_APIS.includes(nightscout.api)) {
+        throw new Error(`${where} has unknown nightscout.api "${nightscout.api}" (use ${NIGHTSCOUT_APIS.join(', ')})`);
+      }
+      config.nightscoutApi = nightscout.api;
+    }
+
+    // Each patient can have their own thresholds and recipients; otherwise --alerts applies to all
+    const alertsFile = resolveEnv(entry.alerts || defaults.alerts, `${where} alerts`);
+    if (alertsFile) {
+      config.alerts = loadAlertsConfig(path.resolve(path.dirname(file), alertsFile));
+    }
+
+    Object.entries(ACCOUNT_FILES).forEach(([key, fileName]) => {
+      config[key] = config[key] ? path.resolve(path.dirname(file), config[key]) : path.join(dataDir, name, fileName);
+    });
+
+    if (!config.email || !config.password) {
+      throw new Error(`${where} needs an email and password`);
+    }
+    [config.timezone, config.displayTimezone].forEach(tz => {
+      if (tz && !isValidTimezone(tz)) {
+        throw new Error(`${where} has unknown timezone "${tz}"`);
+      }
+    });
+
+    return { name, config };
+  });
+
+  return {
+    accounts,
+    concurrency,
+    statusFile: path.join(dataDir, 'status.json')
+  };
+}
+
+/**
+ * Run at most `concurrency` tasks at a time; queued tasks start in order
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Caregiver mode: one reader per account, each with its own session, checkpoint, store and Nightscout
+ * A failing account is recorded in the status summary and never stops the others
+ */
+class MultiAccountRunner {
+  constructor(accounts, options = {}) {
+    this.accounts = accounts;
+    this.logger = options.logger || nullLogger;
+    this.createReader = options.createReader;
+    this.concurrency = options.concurrency || 1;
+    this.limit = createLimiter(this.concurrency);
+    this.statusFile = options.statusFile || null;
+    this.status = {};
+    this.readers = new Map();
+  }
+
+  getReader(account) {
+    if (!this.readers.has(account.name)) {
+      Object.keys(ACCOUNT_FILES).forEach(key => {
+        fs.mkdirSync(path.dirname(account.config[key]), { recursive: true });
+      });
+      const reader = this.createReader({
+        ...account.config,
+        logger: this.logger.child({ account: account.name })
+      });
+      this.readers.set(account.name, reader);
+    }
+    return this.readers.get(account.name);
+  }
+
+  /**
+   * Run a task (reader => result) for every account and print the aggregated summary
+   */
+  async runAll(task) {
+    this.logger.info(`👥 Running ${this.accounts.length} accounts (${this.concurrency} at a time)`);
+
+    const results = await Promise.all(this.accounts.map(account =>
+      this.limit(() => this.runAccount(account, task))
+    ));
+
+    this.printSummary(results);
+    return results;
+  }
+
+  async runAccount(account, task) {
+    const startTime = Date.now();
+    let outcome;
+
+    try {
+      const result = await task(this.getReader(account));
+      outcome = this.toOutcome(result);
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    return this.recordStatus(account.name, { ...outcome, durationMs: Date.now() - startTime });
+  }
+
+  toOutcome(result = {}) {
+    const outcome = { success: result.success !== false, error: result.error || null };
+    if (result.count !== undefined) outcome.count = result.count;
+    if (result.latestReading) outcome.latestReading = result.latestReading.dateString;
+    if (result.upload) outcome.uploaded = result.upload.uploaded;
+    if (result.pushed !== undefined) outcome.profilePushed = result.pushed;
+    return outcome;
+  }
+
+  recordStatus(name, outcome) {
+    const status = { name, ...outcome, at: new Date().toISOString() };
+    this.status[name] = status;
+
+    if (!status.success) {
+      this.logger.child({ account: name }).error(`❌ Account ${name} failed: ${status.error}`);
+    }
+
+    if (this.statusFile) {
+      try {
+        fs.mkdirSync(path.dirname(this.statusFile), { recursive: true });
+        fs.writeFileSync(this.statusFile, JSON.stringify({
+          updatedAt: status.at,
+          accounts: this.accounts.map(account => this.status[account.name] || { name: account.name, success: null })
+        }, null, 2));
+      } catch (error) {
+        this.logger.warn(`⚠️  Failed to write status file: ${error.message}`);
+      }
+    }
+
+    return status;
+  }
+
+  printSummary(results) {
+    this.logger.info('\n👥 ACCOUNTS SUMMARY');
+    results.forEach(status => {
+      if (!status.success) {
+        this.logger.info(`❌ ${status.name}: ${status.error}`);
+        return;
+      }
+      const details = [];
+      if (status.count !== undefined) details.push(`${status.count} readings`);
+      if (status.uploaded !== undefined) details.push(`${status.uploaded} uploaded`);
+      if (status.profilePushed !== undefined) details.push(status.profilePushed ? 'profile pushed' : 'profile unchanged');
+      this.logger.info(`✅ ${status.name}: ${details.join(', ') || 'done'} (${(status.durationMs / 1000).toFixed(1)}s)`);
+    });
+
+    const failed = results.filter(status => !status.success).length;
+    this.logger.info(`📊 ${results.length - failed} succeeded, ${failed} failed`);
+  }
+
+  /**
+   * Daemon mode: one polling schedule per account, sharing the concurrency limit
+   */
+  startDaemons(daemonOptions = {}) {
+    this.logger.info(`👥 Starting daemons for ${this.accounts.length} accounts (${this.concurrency} polls at a time)`);
+
+    this.daemons = [];
+    this.accounts.forEach(account => {
+      let reader;
+      try {
+        reader = this.getReader(account);
+      } catch (error) {
+        this.recordStatus(account.name, { success: false, error: error.message });
+        return;
+      }
+      this.daemons.push(new GlookoDaemon(reader, {
+        ...daemonOptions,
+        limit: this.limit,
+        onResult: result => this.recordStatus(account.name, this.toOutcome(result))
+      }));
+    });
+
+    return Promise.all(this.daemons.map(daemon => daemon.start()));
+  }
+
+  async stop(signal = null) {
+    await Promise.all((this.daemons || []).map(daemon => daemon.stop(signal)));
+  }
+}
+
+module.exports = {
+  loadAccounts,
+  createLimiter,
+  MultiAccountRunner
+};
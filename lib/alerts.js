@@ -0,0 +1,312 @@
+const fs = require('fs');
+const axios = require('axios');
+const { computeTrends } = require('./trend');
+const { MGDL_PER_MMOL, normalizeUnits, formatGlucose } = require('./units');
+const { NIGHTSCOUT_LOW, NIGHTSCOUT_HIGH, isTrendable } = require('./data-quality');
+const { getNotifier } = require('./notifiers');
+const { readJsonFile, resolveEnvDeep } = require('./config-file');
+const { nullLogger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Thresholds in mg/dL and mg/dL/min; a null low/high threshold follows the Glooko targets
+const DEFAULT_ALERT_RULES = {
+  urgentLow: { mgdl: 55, snoozeMinutes: 15 },
+  low: { mgdl: null, snoozeMinutes: 30 },
+  high: { mgdl: null, snoozeMinutes: 60 },
+  fallingFast: { mgdlPerMin: 2, snoozeMinutes: 30 },
+  risingFast: { mgdlPerMin: 3, snoozeMinutes: 30 },
+  staleData: { minutes: 30, snoozeMinutes: 60 }
+};
+
+const DEFAULT_ALERT_OPTIONS = {
+  hysteresisMgdl: 10,             // low/high alerts clear only this far past the threshold
+  rateHysteresisMgdlPerMin: 0.5,  // same for rapid fall and rise
+  fallbackLowMgdl: 70,            // low/high thresholds while the Glooko profile is unknown
+  fallbackHighMgdl: 180
+};
+
+const RULE_INFO = {
+  urgentLow: { title: 'Urgent low', severity: 'urgent', icon: '🚨' },
+  low: { title: 'Low', severity: 'warning', icon: '⬇️' },
+  high: { title: 'High', severity: 'warning', icon: '⬆️' },
+  fallingFast: { title: 'Falling fast', severity: 'warning', icon: '⏬' },
+  risingFast: { title: 'Rising fast', severity: 'warning', icon: '⏫' },
+  staleData: { title: 'No data', severity: 'warning', icon: '📵' }
+};
+
+const ALERT_RULES = Object.keys(RULE_INFO);
+
+/**
+ * Read an alerts file: rule overrides (false disables a rule), hysteresis and the notifier list
+ */
+function loadAlertsConfig(file) {
+  const data = resolveEnvDeep(readJsonFile(file, 'alerts file'), 'alerts');
+  const rules = {};
+
+  Object.entries(data.rules || {}).forEach(([name, rule]) => {
+    if (!RULE_INFO[name]) {
+      throw new Error(`Unknown alert rule "${name}" (use ${ALERT_RULES.join(', ')})`);
+    }
+    rules[name] = rule === false ? { enabled: false } : rule;
+  });
+
+  const notifiers = data.notifiers || [{ type: 'stdout' }];
+  notifiers.forEach(options => {
+    const notifier = getNotifier(options.type);
+    if (notifier.validate) notifier.validate(options);
+  });
+
+  const options = {};
+  Object.keys(DEFAULT_ALERT_OPTIONS).forEach(key => {
+    if (data[key] !== undefined) options[key] = data[key];
+  });
+
+  return { ...options, rules, notifiers };
+}
+
+/**
+ * Glucose alerting with hysteresis and snooze
+ * State (active alerts, snoozes, the last reading) lives in a file so one-shot cron runs behave like a daemon
+ */
+class AlertEngine {
+  constructor(config = {}, logger = nullLogger) {
+    this.options = { ...DEFAULT_ALERT_OPTIONS };
+    Object.keys(DEFAULT_ALERT_OPTIONS).forEach(key => {
+      if (config[key] !== undefined) this.options[key] = config[key];
+    });
+
+    this.rules = {};
+    ALERT_RULES.forEach(name => {
+      this.rules[name] = { enabled: true, ...DEFAULT_ALERT_RULES[name], ...(config.rules || {})[name] };
+    });
+
+    this.notifiers = config.notifiers || [{ type: 'stdout' }];
+    this.stateFile = config.stateFile || 'glooko-alert-state.json';
+    this.logger = logger;
+    this.context = { logger, http: config.http || axios, write: config.write || null };
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        return { lastReading: state.lastReading || null, rules: state.rules || {} };
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to load alert state: ${error.message}`);
+    }
+    return { lastReading: null, rules: {} };
+  }
+
+  saveState(state) {
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to save alert state: ${error.message}`);
+    }
+  }
+
+  getThresholds(targets) {
+    return {
+      urgentLow: this.rules.urgentLow.mgdl,
+      low: this.rules.low.mgdl ?? targets?.normalMin ?? this.options.fallbackLowMgdl,
+      high: this.rules.high.mgdl ?? targets?.afterMealMax ?? this.options.fallbackHighMgdl
+    };
+  }
+
+  /**
+   * Whether each enabled rule is active now; `wasActive` applies the hysteresis band
+   * null means unknown (no data yet, or the reading is too old to judge glucose rules)
+   */
+  evaluate({ latest, rate, targets, now, wasActive = {} }) {
+    const { hysteresisMgdl, rateHysteresisMgdlPerMin } = this.options;
+    const thresholds = this.getThresholds(targets);
+    const ageMinutes = latest ? (now - latest.date) / MINUTE_MS : null;
+    const stale = latest ? ageMinutes > this.rules.staleData.minutes : null;
+    const fresh = latest && !stale;
+
+    const below = (name, threshold) => (wasActive[name] ? latest.sgv < threshold + hysteresisMgdl : latest.sgv <= threshold);
+    const above = (name, threshold) => (wasActive[name] ? latest.sgv > threshold - hysteresisMgdl : latest.sgv >= threshold);
+    const fasterThan = (name, limit, sign) => {
+      if (rate === null) return false;
+      const band = wasActive[name] ? limit - rateHysteresisMgdlPerMin : limit;
+      return sign * rate >= band;
+    };
+
+    const conditions = {
+      urgentLow: fresh ? below('urgentLow', thresholds.urgentLow) : null,
+      low: fresh ? below('low', thresholds.low) : null,
+      high: fresh ? above('high', thresholds.high) : null,
+      fallingFast: fresh ? fasterThan('fallingFast', this.rules.fallingFast.mgdlPerMin, -1) : null,
+      risingFast: fresh ? fasterThan('risingFast', this.rules.risingFast.mgdlPerMin, 1) : null,
+      staleData: stale
+    };
+
+    const result = {};
+    ALERT_RULES.filter(name => this.rules[name].enabled).forEach(name => {
+      result[name] = { active: conditions[name], threshold: thresholds[name] ?? null, ageMinutes };
+    });
+    return result;
+  }
+
+  /**
+   * Evaluate the newest readings and deliver triggered, repeated and resolved alerts
+   * entries: this run's Nightscout entries (LOW/HIGH included); history: trend history for the rate
+   */
+  async process({ entries = [], history = [], targets = null, meterUnits = null, now = Date.now() } = {}) {
+    const state = this.loadState();
+
+    const newest = entries.reduce((best, entry) => (!best || entry.date > best.date ? entry : best), null);
+    if (newest && (!state.lastReading || newest.date > state.lastReading.date)) {
+      state.lastReading = { date: newest.date, sgv: newest.sgv };
+    }
+    const latest = state.lastReading;
+    const rate = latest ? computeTrends(entries.filter(isTrendable), history).get(latest.date)?.rate ?? null : null;
+
+    const wasActive = {};
+    Object.entries(state.rules).forEach(([name, ruleState]) => { wasActive[name] = ruleState.active; });
+    const conditions = this.evaluate({ latest, rate, targets, now, wasActive });
+
+    const alerts = [];
+    Object.entries(conditions).forEach(([name, condition]) => {
+      if (condition.active === null) return;
+
+      const ruleState = state.rules[name] || { active: false };
+      const snoozed = ruleState.snoozedUntil && ruleState.snoozedUntil > now;
+      // An urgent low already covers the plain low
+      const muted = name === 'low' && conditions.urgentLow?.active;
+      let status = null;
+
+      if (condition.active && !ruleState.active) {
+        ruleState.active = true;
+        ruleState.since = now;
+        if (!snoozed && !muted) status = 'triggered';
+      } else if (condition.active && !snoozed && !muted) {
+        status = 'repeat';
+      } else if (!condition.active && ruleState.active) {
+        ruleState.active = false;
+        if (ruleState.notified) status = 'resolved';
+        ruleState.notified = false;
+      }
+
+      if (status) {
+        alerts.push(this.buildAlert(name, status, { ...condition, latest, rate, meterUnits, now }));
+        if (status !== 'resolved') {
+          ruleState.notified = true;
+          ruleState.snoozedUntil = now + this.rules[name].snoozeMinutes * MINUTE_MS;
+        }
+      }
+      state.rules[name] = ruleState;
+    });
+
+    this.saveState(state);
+
+    for (const alert of alerts) {
+      await this.deliver(alert);
+    }
+    return alerts;
+  }
+
+  /**
+   * Silence one rule (or all) until the time is up, even if it triggers again
+   */
+  snooze(rule, minutes, now = Date.now()) {
+    const names = rule === 'all' ? ALERT_RULES : [rule];
+    if (!names.every(name => RULE_INFO[name])) {
+      throw new Error(`Unknown alert rule "${rule}" (use all, ${ALERT_RULES.join(', ')})`);
+    }
+
+    const state = this.loadState();
+    const until = now + minutes * MINUTE_MS;
+    names.forEach(name => {
+      state.rules[name] = { active: false, ...state.rules[name], snoozedUntil: until };
+    });
+    this.saveState(state);
+
+    this.logger.info(`😴 Snoozed ${names.join(', ')} until ${new Date(until).toLocaleString()}`);
+    return until;
+  }
+
+  formatValue(sgv, meterUnits) {
+    if (sgv === NIGHTSCOUT_LOW) return 'LOW';
+    if (sgv === NIGHTSCOUT_HIGH) return 'HIGH';
+    return formatGlucose(sgv, meterUnits);
+  }
+
+  formatRate(rate, meterUnits) {
+    return normalizeUnits(meterUnits) === 'mgdl' ?
+      `${Math.abs(rate).toFixed(1)} mg/dL/min` :
+      `${(Math.abs(rate) / MGDL_PER_MMOL).toFixed(2)} mmol/L/min`;
+  }
+
+  buildAlert(rule, status, { latest, rate, threshold, ageMinutes, meterUnits, now }) {
+    const info = RULE_INFO[rule];
+    const value = latest ? this.formatValue(latest.sgv, meterUnits) : null;
+    let message;
+
+    if (status === 'resolved') {
+      message = rule === 'staleData' ? `Readings are back: ${value}` : `Now ${value}`;
+    } else if (rule === 'staleData') {
+      message = `No readings for ${Math.round(ageMinutes)} min (last ${value} at ${new Date(latest.date).toISOString()})`;
+    } else if (rule === 'fallingFast' || rule === 'risingFast') {
+      message = `${value}, ${rule === 'fallingFast' ? 'falling' : 'rising'} ${this.formatRate(rate, meterUnits)}`;
+    } else {
+      message = `${value} is ${rule === 'high' ? 'above' : 'below'} ${formatGlucose(threshold, meterUnits)}`;
+    }
+
+    return {
+      rule,
+      status,
+      severity: status === 'resolved' ? 'info' : info.severity,
+      title: status === 'resolved' ? `${info.title} resolved` : info.title,
+      icon: status === 'resolved' ? '✅' : info.icon,
+      message,
+      sgv: latest ? latest.sgv : null,
+      rate,
+      readingTime: latest ? new Date(latest.date).toISOString() : null,
+      at: new Date(now).toISOString()
+    };
+  }
+
+  sendTest() {
+    return this.deliver({
+      rule: 'test',
+      status: 'test',
+      severity: 'info',
+      title: 'Test alert',
+      icon: '🔔',
+      message: 'Glooko alerts are set up',
+      sgv: null,
+      rate: null,
+      readingTime: null,
+      at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Hand the alert to every notifier; a failing channel is logged and does not block the others
+   */
+  async deliver(alert) {
+    this.logger.debug(`🔔 ${alert.rule} ${alert.status}, sending to ${this.notifiers.length} notifiers`);
+
+    let delivered = 0;
+    for (const options of this.notifiers) {
+      try {
+        await getNotifier(options.type).send(alert, options, this.context);
+        delivered++;
+      } catch (error) {
+        this.logger.warn(`⚠️  ${options.type} notifier failed: ${error.message}`);
+      }
+    }
+    return delivered;
+  }
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  DEFAULT_ALERT_OPTIONS,
+  ALERT_RULES,
+  loadAlertsConfig,
+  AlertEngine
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const { getTrendHistory } = require('./trend');
+const { isTrendable } = require('./data-quality');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Historical backfill for the Glooko CGM Reader
+ * Requests the graph API one day or week at a time, paces requests and keeps its own resumable checkpoint
+ */
+class GlookoBackfill {
+  constructor(reader, options = {}) {
+    this.reader = reader;
+    this.logger = reader.logger.child({ component: 'backfill' });
+    this.options = {
+      from: options.from,
+      to: options.to,
+      chunk: options.chunk || 'day',
+      delayMs: options.delayMs !== undefined ? options.delayMs : 2000,
+      upload: options.upload || false,
+      exportFile: options.exportFile || null,
+      format: options.format || 'jsonl',
+      checkpointFile: options.checkpointFile || 'glooko-backfill-checkpoint.json'
+    };
+
+    this.validateDate(this.options.from, '--from');
+    this.validateDate(this.options.to, '--to');
+    if (this.options.from > this.options.to) {
+      throw new Error('--from must not be after --to');
+    }
+    if (!['day', 'week'].includes(this.options.chunk)) {
+      throw new Error(`Unknown chunk size "${this.options.chunk}" (use day or week)`);
+    }
+    // A resumed backfill appends to its export, which only JSON Lines allows
+    if (this.options.format !== 'jsonl') {
+      throw new Error(`Backfill exports JSON Lines only; export the range as ${this.options.format} afterwards with --export --format ${this.options.format} --since ${this.options.from} --until ${this.options.to}`);
+    }
+  }
+
+  validateDate(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  getChunks() {
+    const chunkMs = this.options.chunk === 'week' ? 7 * DAY_MS : DAY_MS;
+    const start = Date.parse(`${this.options.from}T00:00:00.000Z`);
+    // --to is inclusive
+    const end = Date.parse(`${this.options.to}T00:00:00.000Z`) + DAY_MS;
+
+    const chunks = [];
+    for (let chunkStart = start; chunkStart < end; chunkStart += chunkMs) {
+      chunks.push({
+        startDate: new Date(chunkStart).toISOString(),
+        endDate: new Date(Math.min(chunkStart + chunkMs, end) - 1).toISOString()
+      });
+    }
+    return chunks;
+  }
+
+  loadProgress() {
+    try {
+      if (fs.existsSync(this.options.checkpointFile)) {
+        const progress = JSON.parse(fs.readFileSync(this.options.checkpointFile, 'utf8'));
+        // Only resume the same range; a different range starts over
+        if (progress.from === this.options.from && progress.to === this.options.to && progress.chunk === this.options.chunk) {
+          return progress;
+        }
+        this.logger.info('📋 Backfill checkpoint is for a different range, starting over');
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to load backfill checkpoint: ${error.message}`);
+    }
+    return null;
+  }
+
+  saveProgress(progress) {
+    const tmpFile = `${this.options.checkpointFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ ...progress, savedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmpFile, this.options.checkpointFile);
+  }
+
+  /**
+   * Keys of the documents already in the export file
+   * A crash between appending a chunk and saving the progress makes the next run write that chunk again
+   */
+  loadExportedKeys() {
+    const keys = new Set();
+    if (!fs.existsSync(this.options.exportFile)) {
+      return keys;
+    }
+    fs.readFileSync(this.options.exportFile, 'utf8').split('\n').forEach(line => {
+      try {
+        if (line.trim()) keys.add(this.getExportKey(JSON.parse(line)));
+      } catch (error) {
+        // A line cut short by the crash; the chunk is written again in full
+      }
+    });
+    return keys;
+  }
+
+  getExportKey(document) {
+    return `${document.collection}:${document.glookoGuid || document.date}`;
+  }
+
+  writeExport(entries, treatments) {
+    // JSON Lines so a resumed backfill can keep appending
+    const documents = [
+      ...entries.map(entry => ({ collection: 'entries', ...entry })),
+      ...treatments.map(treatment => ({ collection: 'treatments', ...treatment }))
+    ];
+    const lines = documents.filter(document => {
+      const key = this.getExportKey(document);
+      if (this.exportedKeys.has(key)) return false;
+      this.exportedKeys.add(key);
+      return true;
+    }).map(document => JSON.stringify(document));
+    if (lines.length > 0) {
+      fs.appendFileSync(this.options.exportFile, lines.join('\n') + '\n');
+    }
+  }
+
+  async run() {
+    const chunks = this.getChunks();
+    const progress = this.loadProgress() || {
+      from: this.options.from,
+      to: this.options.to,
+      chunk: this.options.chunk,
+      completedChunks: 0,
+      entries: 0,
+      treatments: 0,
+      uploaded: 0,
+      rejected: 0,
+      trendHistory: [],
+      openBasal: null
+    };
+
+    if (progress.completedChunks >= chunks.length) {
+      this.logger.info(`ℹ️  Backfill ${this.options.from} to ${this.options.to} already completed`);
+      return progress;
+    }
+
+    if (progress.completedChunks > 0) {
+      this.logger.info(`♻️  Resuming backfill at chunk ${progress.completedChunks + 1}/${chunks.length}`);
+    }
+    this.exportedKeys = this.options.exportFile ? this.loadExportedKeys() : new Set();
+
+    for (let i = progress.completedChunks; i < chunks.length; i++) {
+      const { startDate, endDate } = chunks[i];
+      this.logger.info(`📥 Chunk ${i + 1}/${chunks.length}: ${startDate.split('T')[0]} to ${endDate.split('T')[0]}`);
+
+      const { readings, treatmentData } = await this.reader.fetchGraphRange(startDate, endDate);
+      this.reader.rejectedReadings = [];
+      const entries = this.reader.transformToNightscout(readings, progress.trendHistory);
+      // A segment still running at the end of a chunk is closed by the next chunk
+      const basalSegments = this.reader.closeBasalSegments(treatmentData.basals, progress.openBasal);
+      const treatments = this.reader.transformTreatmentsToNightscout({ ...treatmentData, basals: basalSegments.basals });
+
+      if (this.options.upload) {
+        const uploader = this.reader.getUploader();
+        const entryResult = await uploader.uploadEntries(entries);
+        const treatmentResult = await uploader.uploadTreatments(treatments);
+        progress.uploaded += entryResult.uploaded + treatmentResult.uploaded;
+      }
+      if (this.options.exportFile) {
+        this.writeExport(entries, treatments);
+      }
+      // History in the store can be exported later with --since/--until
+      if (this.reader.config.store) {
+        this.reader.getReadingStore().append(entries);
+      }
+
+      // Only advance once the chunk has been delivered
+      progress.completedChunks = i + 1;
+      progress.entries += entries.length;
+      progress.treatments += treatments.length;
+      progress.rejected = (progress.rejected || 0) + this.reader.rejectedReadings.length;
+      progress.trendHistory = getTrendHistory(entries.filter(isTrendable), progress.trendHistory);
+      progress.openBasal = basalSegments.openBasal;
+      this.saveProgress(progress);
+
+      this.logger.info(`   ✅ ${entries.length} entries, ${treatments.length} treatments, ${this.reader.rejectedReadings.length} rejected`);
+
+      // Pace requests so Glooko is not hammered
+      if (i < chunks.length - 1 && this.options.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.options.delayMs));
+      }
+    }
+
+    this.logger.info(`\n✅ Backfill complete: ${progress.entries} entries, ${progress.treatments} treatments`);
+    if (this.options.upload) {
+      this.logger.info(`📤 Uploaded ${progress.uploaded} documents to Nightscout`);
+    }
+    if (this.options.exportFile) {
+      this.logger.info(`📄 Exported to ${this.options.exportFile}`);
+    }
+
+    return progress;
+  }
+}
+
+module.exports = { GlookoBackfill };
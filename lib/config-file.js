@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+/**
+ * Replace "${NAME}" values with environment variables so passwords and secrets can stay out of the file
+ */
+function resolveEnv(value, where) {
+  if (typeof value !== 'string') return value;
+  const match = value.match(/^\$\{(\w+)\}$/);
+  if (!match) return value;
+  if (process.env[match[1]] === undefined) {
+    throw new Error(`${where} refers to unset environment variable ${match[1]}`);
+  }
+  return process.env[match[1]];
+}
+
+/**
+ * resolveEnv applied to every string in a nested object or array
+ */
+function resolveEnvDeep(value, where) {
+  if (Array.isArray(value)) return value.map((item, i) => resolveEnvDeep(item, `${where}[${i}]`));
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = resolveEnvDeep(item, `${where}.${key}`);
+    });
+    return result;
+  }
+  return resolveEnv(value, where);
+}
+
+function readJsonFile(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${what} ${file}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  resolveEnv,
+  resolveEnvDeep,
+  readJsonFile
+};
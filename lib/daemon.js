@@ -0,0 +1,126 @@
+/**
+ * Daemon mode for the Glooko CGM Reader
+ * Keeps one reader (and its in-memory session) alive and polls on a schedule lined up to the CGM cadence
+ */
+class GlookoDaemon {
+  constructor(reader, options = {}) {
+    this.reader = reader;
+    this.logger = reader.logger.child({ component: 'daemon' });
+    this.fetchOptions = options.fetchOptions || {};
+    this.intervalMs = (options.intervalMinutes || 5) * 60 * 1000;
+    this.maxIntervalMs = Math.max(this.intervalMs, (options.maxIntervalMinutes || 30) * 60 * 1000);
+    // Glooko needs some time after a reading before it shows up in the graph API
+    this.syncLagMs = options.syncLagMs !== undefined ? options.syncLagMs : 60 * 1000;
+    // Caregiver mode shares one concurrency limit between daemons and collects their results
+    this.limit = options.limit || (task => task());
+    this.onResult = options.onResult || null;
+
+    this.timer = null;
+    this.running = null;
+    this.stopped = false;
+    this.idleRuns = 0;
+    this.failedRuns = 0;
+    this.runCount = 0;
+    this.done = null;
+  }
+
+  start() {
+    this.logger.info(`🚀 Daemon started (every ${this.intervalMs / 60000} min, backoff up to ${this.maxIntervalMs / 60000} min)`);
+
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+
+    this.scheduleNext(0);
+    return this.done;
+  }
+
+  async stop(signal = null) {
+    if (this.stopped) return;
+    this.stopped = true;
+
+    this.logger.info(`🛑 Stopping daemon${signal ? ` (${signal})` : ''}...`);
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Let an in-flight poll finish so the checkpoint is not left half-written
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+
+    this.logger.info(`✅ Daemon stopped after ${this.runCount} runs`);
+    this.resolveDone();
+  }
+
+  scheduleNext(delayMs) {
+    if (this.stopped) return;
+
+    if (delayMs > 0) {
+      this.logger.debug(`⏰ Next poll at ${new Date(Date.now() + delayMs).toLocaleTimeString()}`);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // Whatever goes wrong in a poll (including onResult), the daemon logs it and keeps polling
+      this.running = this.poll().catch(error => {
+        this.logger.error(`❌ Poll failed: ${error.message}`);
+        return this.getNextDelay({ success: false, error: error.message });
+      });
+      this.running.then(delay => {
+        this.running = null;
+        this.scheduleNext(delay);
+      });
+    }, delayMs);
+  }
+
+  async poll() {
+    this.runCount++;
+
+    let result;
+    try {
+      result = await this.limit(() => this.reader.getLatestCGMData(this.fetchOptions));
+    } catch (error) {
+      result = { success: false, error: error.message, count: 0 };
+    }
+
+    if (this.onResult) {
+      this.onResult(result);
+    }
+
+    return this.getNextDelay(result);
+  }
+
+  getNextDelay(result, now = Date.now()) {
+    if (!result.success) {
+      this.failedRuns++;
+      this.idleRuns = 0;
+      return Math.min(this.intervalMs * Math.pow(2, this.failedRuns), this.maxIntervalMs);
+    }
+
+    this.failedRuns = 0;
+
+    // Only readings newer than the previous checkpoint count; with or without the local store
+    if (!result.newReadings) {
+      // No new data: back off until Glooko syncs again
+      this.idleRuns++;
+      return Math.min(this.intervalMs * Math.pow(2, this.idleRuns - 1), this.maxIntervalMs);
+    }
+
+    this.idleRuns = 0;
+
+    // Line up with the CGM cadence: poll shortly after the next reading is due
+    const latestDate = result.latestReading?.date;
+    if (latestDate && latestDate <= now) {
+      const intervalsElapsed = Math.floor((now - latestDate) / this.intervalMs) + 1;
+      const nextDue = latestDate + intervalsElapsed * this.intervalMs + this.syncLagMs;
+      return Math.max(nextDue - now, this.syncLagMs);
+    }
+
+    return this.intervalMs;
+  }
+}
+
+module.exports = { GlookoDaemon };
@@ -0,0 +1,180 @@
+/**
+ * Data-quality stage for Nightscout entries
+ * Sensor limits become Nightscout's LOW/HIGH special values, questionable points get a noise level,
+ * and rejected points are reported with a reason instead of being dropped silently
+ */
+
+const MINUTE_MS = 60 * 1000;
+const JUMP_WINDOW_MS = 15 * MINUTE_MS;
+
+// Nightscout displays sgv 39 as LOW and 401 as HIGH
+const NIGHTSCOUT_LOW = 39;
+const NIGHTSCOUT_HIGH = 401;
+
+// Nightscout noise levels
+const NOISE = { CLEAN: 1, LIGHT: 2, MEDIUM: 3, HEAVY: 4 };
+
+const DEFAULT_QUALITY_OPTIONS = {
+  sensorLowMgdl: 40,       // sensors report LO below this and Glooko clamps to it
+  sensorHighMgdl: 400,
+  calculated: 'flag',      // keep, flag or drop points Glooko marks as calculated
+  maxRateMgdlPerMin: 15    // a point that jumps away and back faster than this is rejected (0 disables)
+};
+
+const CALCULATED_ACTIONS = ['keep', 'flag', 'drop'];
+
+// Flags whose sgv is not a measured value and must stay out of trend calculations
+const UNTRENDABLE_FLAGS = new Set(['sensor-low', 'sensor-high']);
+
+function addFlag(entry, flag, noise) {
+  entry.qualityFlags = [...(entry.qualityFlags || []), flag];
+  entry.noise = Math.max(entry.noise || NOISE.CLEAN, noise);
+}
+
+function markSensorLimit(entry, flag, specialValue) {
+  entry.glookoSgv = entry.sgv;
+  entry.sgv = specialValue;
+  entry.direction = 'NOT COMPUTABLE';
+  addFlag(entry, flag, NOISE.CLEAN);
+}
+
+function isTrendable(entry) {
+  return !(entry.qualityFlags || []).some(flag => UNTRENDABLE_FLAGS.has(flag));
+}
+
+/**
+ * The sensor limit behind a LOW/HIGH placeholder sgv, or null for a measured value
+ * Returns { limit: 'low' | 'high', thresholdMgdl } for formats that have their own out-of-range notation
+ */
+function getSensorLimit(entry) {
+  const flags = entry.qualityFlags || [];
+  if (flags.includes('sensor-low')) {
+    return { limit: 'low', thresholdMgdl: entry.glookoSgv ?? DEFAULT_QUALITY_OPTIONS.sensorLowMgdl };
+  }
+  if (flags.includes('sensor-high')) {
+    return { limit: 'high', thresholdMgdl: entry.glookoSgv ?? DEFAULT_QUALITY_OPTIONS.sensorHighMgdl };
+  }
+  return null;
+}
+
+/**
+ * Rate of change between two measured points at most JUMP_WINDOW_MS apart, in mg/dL per minute
+ */
+function jumpRate(from, to) {
+  if (!from || !to || !isTrendable(from) || !isTrendable(to) || to.date - from.date > JUMP_WINDOW_MS) {
+    return null;
+  }
+  // At least one minute apart so sub-minute timestamps do not inflate the rate
+  const minutes = Math.max((to.date - from.date) / MINUTE_MS, 1);
+  return (to.sgv - from.sgv) / minutes;
+}
+
+/**
+ * An isolated outlier: too fast a jump away from the previous point and straight back at the next one
+ * A sustained step (a real fast drop or rise) moves in one direction and is kept
+ */
+function isSpike(previous, entry, next, maxRate) {
+  const rateIn = jumpRate(previous, entry);
+  const rateOut = jumpRate(entry, next);
+  if (rateIn === null || rateOut === null) return false;
+  return Math.abs(rateIn) > maxRate && Math.abs(rateOut) > maxRate && Math.sign(rateIn) !== Math.sign(rateOut);
+}
+
+function findLatestBefore(history, date) {
+  let latest = null;
+  history.forEach(point => {
+    if (!Number.isFinite(point.date) || !Number.isFinite(point.sgv) || point.date >= date) return;
+    if (!latest || point.date > latest.date) latest = point;
+  });
+  return latest;
+}
+
+/**
+ * Run entries through the quality checks
+ * `history` holds earlier { date, sgv } points (the checkpoint's recentReadings) used as neighbours for the jump check
+ * Returns the kept entries (newest first) and the rejected points with the reason for each
+ */
+function applyDataQuality(entries, options = {}, history = []) {
+  const config = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const rejected = [];
+  const reject = (entry, reason, detail) => {
+    rejected.push({
+      date: entry.date,
+      dateString: entry.dateString,
+      sgv: entry.sgv,
+      glookoGuid: entry.glookoGuid,
+      reason,
+      detail
+    });
+  };
+
+  const candidates = [];
+  entries.forEach(entry => {
+    if (!Number.isFinite(entry.date) || !Number.isFinite(entry.sgv) || entry.sgv <= 0) {
+      reject(entry, 'invalid-value', `sgv ${entry.sgv}`);
+      return;
+    }
+
+    if (entry.calculated) {
+      if (config.calculated === 'drop') {
+        reject(entry, 'calculated', 'Glooko marked the point as calculated');
+        return;
+      }
+      if (config.calculated === 'flag') {
+        addFlag(entry, 'calculated', NOISE.LIGHT);
+      }
+    }
+
+    if (entry.sgv <= config.sensorLowMgdl) {
+      markSensorLimit(entry, 'sensor-low', NIGHTSCOUT_LOW);
+    } else if (entry.sgv >= config.sensorHighMgdl) {
+      markSensorLimit(entry, 'sensor-high', NIGHTSCOUT_HIGH);
+    }
+
+    candidates.push(entry);
+  });
+
+  // Oldest first; for the same timestamp a measured point wins over a calculated one
+  candidates.sort((a, b) => a.date - b.date || Number(Boolean(a.calculated)) - Number(Boolean(b.calculated)));
+
+  const unique = [];
+  candidates.forEach(entry => {
+    const last = unique[unique.length - 1];
+    if (last && entry.date === last.date) {
+      reject(entry, 'duplicate-timestamp', `same time as ${last.glookoGuid || last.sgv}`);
+      return;
+    }
+    unique.push(entry);
+  });
+
+  // The previous run's newest reading is the first point's neighbour, so a spike at the start of a batch is caught too
+  let previous = unique.length > 0 ? findLatestBefore(history, unique[0].date) : null;
+  const kept = [];
+  unique.forEach((entry, index) => {
+    const next = unique[index + 1];
+    if (config.maxRateMgdlPerMin > 0 && isSpike(previous, entry, next, config.maxRateMgdlPerMin)) {
+      const minutes = (next.date - previous.date) / MINUTE_MS;
+      reject(entry, 'implausible-jump', `${previous.sgv} to ${entry.sgv} and back to ${next.sgv} mg/dL in ${minutes.toFixed(1)} min`);
+      return;
+    }
+
+    kept.push(entry);
+    previous = entry;
+  });
+
+  return {
+    entries: kept.reverse(),
+    rejected
+  };
+}
+
+module.exports = {
+  DEFAULT_QUALITY_OPTIONS,
+  CALCULATED_ACTIONS,
+  NIGHTSCOUT_LOW,
+  NIGHTSCOUT_HIGH,
+  NOISE,
+  applyDataQuality,
+  getSensorLimit,
+  isTrendable
+};
@@ -0,0 +1,31 @@
+const { getSensorLimit } = require('../data-quality');
+
+const COLUMNS = ['dateString', 'localTime', 'date', 'sgv', 'sgv_mmol', 'direction', 'delta', 'device', 'glookoGuid', 'sensorLimit'];
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// LOW/HIGH placeholders are not measurements: the glucose columns stay empty and sensorLimit says why
+function toRow(entry) {
+  const sensor = getSensorLimit(entry);
+  if (!sensor) return entry;
+  return { ...entry, sgv: null, sgv_mmol: null, sensorLimit: sensor.limit };
+}
+
+/**
+ * One row per CGM entry, oldest first
+ */
+module.exports = {
+  name: 'csv',
+  extension: 'csv',
+  serialize(data) {
+    const rows = [...data.entries]
+      .sort((a, b) => a.date - b.date)
+      .map(toRow)
+      .map(entry => COLUMNS.map(column => escapeCsv(entry[column])).join(','));
+    return [COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { getSensorLimit } = require('../data-quality');
+
+// LOINC code used by the HL7 CGM implementation guide for interstitial glucose
+const GLUCOSE_CODE = {
+  system: 'http://loinc.org',
+  code: '99504-3',
+  display: 'Glucose [Mass/volume] in Interstitial fluid'
+};
+
+function toUuid(value) {
+  // Name-based (v5-style) UUID so the same reading always gets the same fullUrl
+  const hex = crypto.createHash('sha1').update(String(value)).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function toFhirId(value) {
+  return String(value).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+}
+
+// Readings at the sensor limits are "<= 40" or ">= 400" with a low/high interpretation, not 39 or 401
+function toValue(entry) {
+  const quantity = { value: entry.sgv, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' };
+  const sensor = getSensorLimit(entry);
+  if (!sensor) {
+    return { valueQuantity: quantity };
+  }
+  return {
+    valueQuantity: { ...quantity, value: sensor.thresholdMgdl, comparator: sensor.limit === 'low' ? '<=' : '>=' },
+    interpretation: [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+        code: sensor.limit === 'low' ? 'LL' : 'HH',
+        display: sensor.limit === 'low' ? 'Critical low' : 'Critical high'
+      }]
+    }]
+  };
+}
+
+/**
+ * FHIR R4 collection Bundle with one glucose Observation per entry
+ */
+module.exports = {
+  name: 'fhir',
+  extension: 'json',
+  serialize(data) {
+    const entries = [...data.entries].sort((a, b) => a.date - b.date);
+
+    return JSON.stringify({
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: data.exportedAt,
+      entry: entries.map(entry => {
+        const key = entry.glookoGuid || `glooko-${entry.date}`;
+        const id = toFhirId(key);
+        return {
+          fullUrl: `urn:uuid:${toUuid(key)}`,
+          resource: {
+            resourceType: 'Observation',
+            id,
+            status: 'final',
+            category: [{
+              coding: [{
+                system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                code: 'laboratory',
+                display: 'Laboratory'
+              }]
+            }],
+            code: {
+              coding: [GLUCOSE_CODE],
+              text: 'Sensor glucose'
+            },
+            effectiveDateTime: new Date(entry.date).toISOString(),
+            ...toValue(entry),
+            device: { display: entry.device || 'glooko-cgm' }
+          }
+        };
+      })
+    }, null, 2);
+  }
+};
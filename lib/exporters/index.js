@@ -0,0 +1,69 @@
+const json = require('./json');
+const csv = require('./csv');
+const nightscout = require('./nightscout');
+const tidepool = require('./tidepool');
+const fhir = require('./fhir');
+const { localLabelToUtc } = require('../time');
+
+/**
+ * Export format registry
+ * A serializer is { name, extension, serialize(data, options) } where data holds entries, treatments and context
+ */
+const exporters = new Map();
+
+function registerExporter(exporter) {
+  if (!exporter.name || typeof exporter.serialize !== 'function') {
+    throw new Error('Exporter needs a name and a serialize() function');
+  }
+  exporters.set(exporter.name, exporter);
+}
+
+function getExporter(name) {
+  const exporter = exporters.get(name);
+  if (!exporter) {
+    throw new Error(`Unknown export format "${name}" (available: ${getFormats().join(', ')})`);
+  }
+  return exporter;
+}
+
+function getFormats() {
+  return Array.from(exporters.keys());
+}
+
+const PLAIN_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Start of a day in the timezone (local midnight as a UTC instant)
+ */
+function startOfLocalDay(date, timeZone) {
+  return localLabelToUtc(Date.parse(`${date}T00:00:00.000Z`), timeZone);
+}
+
+/**
+ * Keep items inside `range.from`/`range.to`
+ * A plain YYYY-MM-DD is a day in `range.timezone` (UTC when not given); as `to` it includes the whole day
+ */
+function filterByTimeRange(items, range = {}) {
+  const timeZone = range.timezone || 'UTC';
+  const toTime = (value, wholeDay) => {
+    if (!PLAIN_DATE.test(value)) return new Date(value).getTime();
+    if (!wholeDay) return startOfLocalDay(value, timeZone);
+    const nextDay = new Date(Date.parse(`${value}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return startOfLocalDay(nextDay, timeZone) - 1;
+  };
+  const from = range.from ? toTime(range.from, false) : -Infinity;
+  const to = range.to ? toTime(range.to, true) : Infinity;
+  return items.filter(item => {
+    const time = item.date !== undefined ? item.date : new Date(item.created_at).getTime();
+    return time >= from && time <= to;
+  });
+}
+
+[json, csv, nightscout, tidepool, fhir].forEach(registerExporter);
+
+module.exports = {
+  registerExporter,
+  getExporter,
+  getFormats,
+  filterByTimeRange
+};
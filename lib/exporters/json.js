@@ -0,0 +1,20 @@
+/**
+ * Default export: the reader's JSON wrapper with profile and device context
+ */
+module.exports = {
+  name: 'json',
+  extension: 'json',
+  serialize(data) {
+    return JSON.stringify({
+      exportedAt: data.exportedAt,
+      source: 'Glooko',
+      patientId: data.patientId,
+      userProfile: data.userProfile,
+      deviceStatus: data.deviceStatus,
+      count: data.entries.length,
+      entries: data.entries,
+      treatmentCount: data.treatments.length,
+      treatments: data.treatments
+    }, null, 2);
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Plain entries array, ready for POST /api/v1/entries
+ */
+module.exports = {
+  name: 'nightscout',
+  extension: 'json',
+  serialize(data) {
+    return JSON.stringify(data.entries, null, 2);
+  }
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { getTimezoneOffsetMs } = require('../time');
+const { getSensorLimit } = require('../data-quality');
+
+function toDeviceTime(date, offsetMinutes) {
+  // Tidepool deviceTime is the local wall-clock time without a zone designator
+  return new Date(date + offsetMinutes * 60 * 1000).toISOString().slice(0, 19);
+}
+
+// Stable per account without writing the patient ID, which is treated as a secret everywhere else
+function getDeviceId(patientId) {
+  if (!patientId) return 'glooko2nightscout-unknown';
+  return `glooko2nightscout-${crypto.createHash('sha256').update(String(patientId)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Tidepool data model: continuous blood glucose (cbg) objects in mg/dL
+ */
+module.exports = {
+  name: 'tidepool',
+  extension: 'json',
+  serialize(data, options = {}) {
+    const timeZone = options.timezone || 'UTC';
+    const deviceId = getDeviceId(data.patientId);
+
+    const records = [...data.entries]
+      .sort((a, b) => a.date - b.date)
+      .map(entry => {
+        const timezoneOffset = Math.round(getTimezoneOffsetMs(timeZone, entry.date) / 60000);
+        const sensor = getSensorLimit(entry);
+        const record = {
+          type: 'cbg',
+          units: 'mg/dL',
+          value: entry.sgv,
+          time: new Date(entry.date).toISOString(),
+          deviceTime: toDeviceTime(entry.date, timezoneOffset),
+          timezoneOffset,
+          conversionOffset: 0,
+          deviceId,
+          origin: {
+            id: entry.glookoGuid,
+            name: 'glooko2nightscout',
+            type: 'service'
+          }
+        };
+        // Tidepool's out-of-range notation: the placeholder value plus the limit it stands for
+        if (sensor) {
+          record.annotations = [{ code: 'bg/out-of-range', value: sensor.limit, threshold: sensor.thresholdMgdl }];
+        }
+        return record;
+      });
+
+    return JSON.stringify(records, null, 2);
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Gap detection over 5-minute CGM slots
+ * Slots are epoch milliseconds divided by the slot length, rounded to absorb small sensor clock drift
+ */
+
+const DEFAULT_SLOT_MS = 5 * 60 * 1000;
+
+function toSlot(date, slotMs = DEFAULT_SLOT_MS) {
+  return Math.round(date / slotMs);
+}
+
+function addSeenSlots(seenSlots, entries, slotMs = DEFAULT_SLOT_MS) {
+  const seen = new Set(seenSlots);
+  entries.forEach(entry => {
+    if (Number.isFinite(entry.date)) seen.add(toSlot(entry.date, slotMs));
+  });
+  return seen;
+}
+
+function pruneSlots(seenSlots, fromSlot) {
+  return Array.from(seenSlots).filter(slot => slot >= fromSlot).sort((a, b) => a - b);
+}
+
+/**
+ * Find runs of missing slots between the first and last seen slot of the window
+ * Nothing before the first or after the last reading counts as a gap
+ */
+function findGaps(seenSlots, fromSlot, options = {}) {
+  const { minGapSlots = 2, slotMs = DEFAULT_SLOT_MS } = options;
+  const slots = pruneSlots(seenSlots, fromSlot);
+  const gaps = [];
+
+  for (let i = 1; i < slots.length; i++) {
+    const missing = slots[i] - slots[i - 1] - 1;
+    if (missing >= minGapSlots) {
+      const startSlot = slots[i - 1] + 1;
+      const endSlot = slots[i] - 1;
+      gaps.push({
+        startSlot,
+        endSlot,
+        slots: missing,
+        start: new Date(startSlot * slotMs).toISOString(),
+        end: new Date(endSlot * slotMs).toISOString()
+      });
+    }
+  }
+
+  return gaps;
+}
+
+module.exports = {
+  DEFAULT_SLOT_MS,
+  toSlot,
+  addSeenSlots,
+  pruneSlots,
+  findGaps
+};
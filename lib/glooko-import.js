@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const { readZipEntries } = require('./zip');
+const { localLabelToUtc } = require('./time');
+const { mmolToMgdl, toBothUnits } = require('./units');
+const { nullLogger } = require('./logger');
+
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  // Some regional exports use semicolons
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+  // Decimal comma (5,6) in regional exports
+  if (/^-?\d+,\d+$/.test(text)) text = text.replace(',', '.');
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+const TIMESTAMP_PATTERNS = {
+  ymd: /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/,
+  other: /^(\d{1,2})([/.-])(\d{1,2})\2(\d{2,4})[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i
+};
+
+/**
+ * Work out whether slash/dot dates are day-first or month-first from all values in a column
+ */
+function detectDateOrder(values) {
+  let order = null;
+  let hasMeridiem = false;
+
+  for (const value of values) {
+    if (TIMESTAMP_PATTERNS.ymd.test(value)) return 'ymd';
+    const match = value.match(TIMESTAMP_PATTERNS.other);
+    if (!match) continue;
+    if (match[8]) hasMeridiem = true;
+    if (Number(match[1]) > 12) return 'dmy';
+    if (Number(match[3]) > 12) order = 'mdy';
+  }
+
+  if (order) return order;
+  // 12-hour clocks are a US export; 24-hour slash and dot dates are day-first
+  return hasMeridiem ? 'mdy' : 'dmy';
+}
+
+/**
+ * Parse a local wall-clock timestamp into epoch milliseconds labelled as UTC
+ * Returns null for dates that do not exist (e.g. a day-first file read month-first)
+ */
+function parseLocalTimestamp(value, dateOrder) {
+  const text = String(value || '').trim();
+
+  const iso = text.match(TIMESTAMP_PATTERNS.ymd);
+  if (iso) {
+    return Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), Number(iso[4]), Number(iso[5]), Number(iso[6] || 0));
+  }
+
+  const match = text.match(TIMESTAMP_PATTERNS.other);
+  if (!match) return null;
+
+  const [day, month] = dateOrder === 'mdy' ? [match[3], match[1]] : [match[1], match[3]];
+  let year = Number(match[4]);
+  if (year < 100) year += 2000;
+  let hours = Number(match[5]);
+  if (match[8]) {
+    hours = hours % 12 + (match[8].toUpperCase() === 'PM' ? 12 : 0);
+  }
+
+  const labelMs = Date.UTC(year, Number(month) - 1, Number(day), hours, Number(match[6]), Number(match[7] || 0));
+  const parsed = new Date(labelMs);
+  if (parsed.getUTCMonth() !== Number(month) - 1 || parsed.getUTCDate() !== Number(day) || parsed.getUTCHours() !== hours) {
+    return null;
+  }
+  return labelMs;
+}
+
+/**
+ * Offline importer for Glooko data exports (ZIP of CSVs, a directory of CSVs or a single CSV)
+ * Produces the same reading and treatment objects as the graph API path
+ */
+class GlookoExportImporter {
+  constructor(config = {}, logger = nullLogger) {
+    this.config = {
+      timezone: config.timezone || 'UTC',
+      dateFormat: config.dateFormat || 'auto'
+    };
+    this.logger = logger;
+  }
+
+  readFiles(source) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Import source not found: ${source}`);
+    }
+
+    if (fs.statSync(source).isDirectory()) {
+      return fs.readdirSync(source)
+        .filter(name => name.toLowerCase().endsWith('.csv'))
+        .map(name => ({ name, text: fs.readFileSync(path.join(source, name), 'utf8') }));
+    }
+
+    if (source.toLowerCase().endsWith('.zip')) {
+      return readZipEntries(fs.readFileSync(source))
+        .filter(entry => entry.name.toLowerCase().endsWith('.csv'))
+        .map(entry => ({ name: path.basename(entry.name), text: entry.data.toString('utf8') }));
+    }
+
+    return [{ name: path.basename(source), text: fs.readFileSync(source, 'utf8') }];
+  }
+
+  classify(name) {
+    const lower = name.toLowerCase();
+    if (lower.includes('cgm')) return 'cgm';
+    if (lower.includes('bolus')) return 'bolus';
+    if (lower.includes('basal')) return 'basal';
+    if (lower.includes('carb') || lower.includes('food')) return 'carbs';
+    return null;
+  }
+
+  /**
+   * Split a Glooko CSV into header and records; the first line is usually "Name:..., Date Range:..."
+   */
+  readTable(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    const headerIndex = rows.findIndex(row => row.some(cell => /^\s*timestamp\s*$/i.test(cell)));
+    if (headerIndex === -1) {
+      return { header: [], records: [] };
+    }
+
+    const header = rows[headerIndex].map(cell => cell.trim());
+    const records = rows.slice(headerIndex + 1).map(row => {
+      const record = {};
+      header.forEach((column, i) => {
+        record[column] = row[i] !== undefined ? row[i].trim() : '';
+      });
+      return record;
+    });
+
+    return { header, records };
+  }
+
+  findColumn(header, pattern) {
+    return header.find(column => pattern.test(column)) || null;
+  }
+
+  toPoint(labelMs) {
+    // Local wall-clock label plus the real epoch, like the graph API's timestamp and x fields
+    return {
+      timestamp: new Date(labelMs).toISOString(),
+      x: Math.round(localLabelToUtc(labelMs, this.config.timezone) / 1000)
+    };
+  }
+
+  parse(source) {
+    const files = this.readFiles(source);
+    const result = {
+      readings: [],
+      treatmentData: { boluses: [], carbs: [], basals: [], suspends: [] },
+      files: []
+    };
+
+    files.forEach(file => {
+      const kind = this.classify(file.name);
+      if (!kind) {
+        this.logger.debug(`   Skipping ${file.name}`);
+        return;
+      }
+
+      const { header, records } = this.readTable(file.text);
+      const timestampColumn = this.findColumn(header, /^timestamp$/i);
+      if (!timestampColumn || records.length === 0) {
+        this.logger.debug(`   No records in ${file.name}`);
+        return;
+      }
+
+      const dateOrder = this.config.dateFormat !== 'auto' ?
+        this.config.dateFormat :
+        detectDateOrder(records.map(record => record[timestampColumn]));
+
+      const rows = records
+        .map(record => ({ record, labelMs: parseLocalTimestamp(record[timestampColumn], dateOrder) }))
+        .filter(row => row.labelMs !== null);
+
+      const before = this.countAll(result);
+      this[`parse${kind[0].toUpperCase()}${kind.slice(1)}`](header, rows, result);
+      const added = this.countAll(result) - before;
+
+      result.files.push({ name: file.name, kind, dateOrder, records: added });
+      this.logger.debug(`   ${file.name}: ${added} ${kind} records (${dateOrder})`);
+    });
+
+    // Newest first, like fetchCGMReadings()
+    result.readings.sort((a, b) => b.x - a.x);
+
+    // Same rule as parseTreatmentSeries(): segments without a duration last until the next one
+    const basals = result.treatmentData.basals.sort((a, b) => a.x - b.x);
+    basals.forEach((basal, i) => {
+      if (basal.durationMinutes === null && basals[i + 1]) {
+        basal.durationMinutes = (basals[i + 1].x - basal.x) / 60;
+      }
+    });
+
+    return result;
+  }
+
+  countAll(result) {
+    const { boluses, carbs, basals, suspends } = result.treatmentData;
+    return result.readings.length + boluses.length + carbs.length + basals.length + suspends.length;
+  }
+
+  parseCgm(header, rows, result) {
+    const valueColumn = this.findColumn(header, /glucose/i);
+    if (!valueColumn) return;
+
+    const values = rows.map(row => parseNumber(row.record[valueColumn])).filter(v => v !== null);
+    // Column header says "(mmol/l)" or "(mg/dl)"; fall back to the value range
+    const isMgdl = /mg\s*\/?\s*dl/i.test(valueColumn) ||
+      (!/mmol/i.test(valueColumn) && values.some(v => v > 35));
+
+    rows.forEach(({ record, labelMs }) => {
+      const raw = parseNumber(record[valueColumn]);
+      if (raw === null) return;
+
+      const { mgdl, mmol } = toBothUnits(isMgdl ? raw : mmolToMgdl(raw));
+      const point = this.toPoint(labelMs);
+      result.readings.push({
+        value: mgdl,
+        timestampUTC: point.timestamp,
+        timestamp: point.timestamp,
+        y_mmol: mmol,
+        x: point.x,
+        mealTag: null,
+        calculated: false,
+        glookoValue: null,
+        guid: `glooko_${point.x}_${raw}`,
+        trend: null,
+        deviceName: 'glooko-cgm'
+      });
+    });
+  }
+
+  parseBolus(header, rows, result) {
+    const insulinColumn = this.findColumn(header, /insulin delivered/i);
+    const carbsColumn = this.findColumn(header, /carbs input/i);
+    const typeColumn = this.findColumn(header, /insulin type/i);
+    if (!insulinColumn) return;
+
+    rows.forEach(({ record, labelMs }) => {
+      const insulin = parseNumber(record[insulinColumn]);
+      if (insulin === null) return;
+
+      const point = this.toPoint(labelMs);
+      result.treatmentData.boluses.push({
+        insulin,
+        carbs: parseNumber(record[carbsColumn]) || 0,
+        timestamp: point.timestamp,
+        x: point.x,
+        bolusType: /auto/i.test(record[typeColumn] || '') ? 'automatic' : 'pump',
+        guid: `glooko_bolus_${point.x}_${insulin}`
+      });
+    });
+  }
+
+  parseBasal(header, rows, result) {
+    const rateColumn = this.findColumn(header, /^rate/i);
+    const durationColumn = this.findColumn(header, /duration/i);
+    const typeColumn = this.findColumn(header, /insulin type|basal type|type/i);
+
+    rows.forEach(({ record, labelMs }) => {
+      const point = this.toPoint(labelMs);
+      const type = record[typeColumn] || '';
+      const duration = parseNumber(record[durationColumn]);
+
+      if (/suspend/i.test(type)) {
+        result.treatmentData.suspends.push({
+          timestamp: point.timestamp,
+          x: point.x,
+          durationMinutes: duration,
+          guid: `glooko_suspend_${point.x}`
+        });
+        return;
+      }
+
+      const rate = parseNumber(record[rateColumn]);
+      if (rate === null) return;
+
+      const basalType = /temp/i.test(type) ? 'temporary' : 'scheduled';
+      result.treatmentData.basals.push({
+        rate,
+        timestamp: point.timestamp,
+        x: point.x,
+        durationMinutes: duration,
+        basalType,
+        guid: `glooko_basal_${basalType}_${point.x}_${rate}`
+      });
+    });
+  }
+
+  parseCarbs(header, rows, result) {
+    const carbsColumn = this.findColumn(header, /carb/i);
+    if (!carbsColumn) return;
+
+    rows.forEach(({ record, labelMs }) => {
+      const carbs = parseNumber(record[carbsColumn]);
+      if (!carbs) return;
+
+      const point = this.toPoint(labelMs);
+      result.treatmentData.carbs.push({
+        carbs,
+        timestamp: point.timestamp,
+        x: point.x,
+        guid: `glooko_carbs_${point.x}_${carbs}`
+      });
+    });
+  }
+}
+
+module.exports = {
+  GlookoExportImporter,
+  parseCsv,
+  parseLocalTimestamp,
+  detectDateOrder
+};
@@ -0,0 +1,144 @@
+/**
+ * Glycemic statistics over a period of CGM readings (mg/dL)
+ * Follows the international consensus on time in range (Battelino et al., 2019) and the AGP report layout
+ */
+const { MGDL_PER_MMOL } = require('./units');
+const { getTimezoneOffsetMs } = require('./time');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const READING_INTERVAL_MS = 5 * MINUTE_MS;
+
+// Consensus thresholds in mg/dL; low/high is the target range
+const CONSENSUS_RANGES = { veryLow: 54, low: 70, high: 180, veryHigh: 250 };
+const AGP_PERCENTILES = [5, 25, 50, 75, 95];
+// Fewer readings than this in an hour make its percentiles meaningless
+const MIN_AGP_READINGS = 5;
+
+/**
+ * Target range from the Glooko targets (normalMin/afterMealMax), or the consensus 70-180 mg/dL
+ * source: 'glooko', 'consensus' or 'auto' (Glooko when the targets are known)
+ */
+function getRanges(targets, source = 'auto') {
+  const useGlooko = source !== 'consensus' && Number.isFinite(targets?.normalMin) && Number.isFinite(targets?.afterMealMax);
+  if (source === 'glooko' && !useGlooko) {
+    throw new Error('Glooko targets are not available for --ranges glooko');
+  }
+  if (!useGlooko) {
+    return { ...CONSENSUS_RANGES, source: 'consensus' };
+  }
+
+  const low = Math.round(targets.normalMin);
+  const high = Math.round(targets.afterMealMax);
+  return {
+    veryLow: Math.min(CONSENSUS_RANGES.veryLow, low),
+    low,
+    high,
+    veryHigh: Math.max(CONSENSUS_RANGES.veryHigh, high),
+    source: 'glooko'
+  };
+}
+
+// Linear interpolation between closest ranks, on sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percentOf = (count, total) => (total > 0 ? round(count / total * 100) : 0);
+
+/**
+ * Hourly percentile bands across all days, by local hour of day
+ */
+function computeAgp(readings, timezone) {
+  const hours = Array.from({ length: 24 }, () => []);
+  readings.forEach(reading => {
+    const local = reading.date + getTimezoneOffsetMs(timezone, reading.date);
+    hours[Math.floor((local % DAY_MS + DAY_MS) % DAY_MS / HOUR_MS)].push(reading.sgv);
+  });
+
+  return hours.map((values, hour) => {
+    const sorted = values.sort((a, b) => a - b);
+    const band = { hour, count: sorted.length };
+    AGP_PERCENTILES.forEach(p => {
+      band[`p${p}`] = sorted.length >= MIN_AGP_READINGS ? round(percentile(sorted, p)) : null;
+    });
+    return band;
+  });
+}
+
+/**
+ * entries: { date, sgv } in mg/dL (Nightscout entries); LOW/HIGH placeholders count as below/above range
+ * options: from, to (ms), ranges (getRanges), timezone for the AGP hours
+ */
+function computeGlycemicStats(entries, options = {}) {
+  const to = options.to || Date.now();
+  const from = options.from || to - 14 * DAY_MS;
+  const ranges = options.ranges || getRanges(null);
+  const timezone = options.timezone || 'UTC';
+
+  const byDate = new Map();
+  entries.forEach(entry => {
+    if (Number.isFinite(entry.sgv) && Number.isFinite(entry.date) && entry.date >= from && entry.date <= to) {
+      byDate.set(entry.date, { date: entry.date, sgv: entry.sgv });
+    }
+  });
+  const readings = Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+  const count = readings.length;
+
+  const counts = { veryLow: 0, low: 0, inRange: 0, high: 0, veryHigh: 0 };
+  readings.forEach(({ sgv }) => {
+    if (sgv < ranges.veryLow) counts.veryLow++;
+    else if (sgv < ranges.low) counts.low++;
+    else if (sgv <= ranges.high) counts.inRange++;
+    else if (sgv <= ranges.veryHigh) counts.high++;
+    else counts.veryHigh++;
+  });
+  const timeInRanges = {};
+  Object.entries(counts).forEach(([name, value]) => { timeInRanges[name] = percentOf(value, count); });
+
+  const mean = count > 0 ? readings.reduce((sum, r) => sum + r.sgv, 0) / count : null;
+  const sd = count > 1 ?
+    Math.sqrt(readings.reduce((sum, r) => sum + (r.sgv - mean) ** 2, 0) / (count - 1)) :
+    null;
+
+  // One reading per 5-minute slot is full wear
+  const slots = new Set(readings.map(r => Math.floor(r.date / READING_INTERVAL_MS)));
+  const expectedSlots = Math.max(1, Math.round((to - from) / READING_INTERVAL_MS));
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    days: round((to - from) / DAY_MS),
+    timezone,
+    count,
+    ranges,
+    timeInRanges,
+    tir: timeInRanges.inRange,
+    tbr: round(timeInRanges.veryLow + timeInRanges.low),
+    tar: round(timeInRanges.high + timeInRanges.veryHigh),
+    mean: mean !== null ? round(mean) : null,
+    sd: sd !== null ? round(sd) : null,
+    cv: sd !== null && mean > 0 ? round(sd / mean * 100) : null,
+    // Glucose Management Indicator (Bergenstal et al., 2018)
+    gmi: mean !== null ? {
+      percent: round(3.31 + 0.02392 * mean),
+      mmolMol: Math.round(12.71 + 4.70587 * (mean / MGDL_PER_MMOL))
+    } : null,
+    sensorWear: Math.min(100, percentOf(slots.size, expectedSlots)),
+    agp: computeAgp(readings, timezone)
+  };
+}
+
+module.exports = {
+  CONSENSUS_RANGES,
+  AGP_PERCENTILES,
+  getRanges,
+  percentile,
+  computeGlycemicStats
+};
@@ -0,0 +1,198 @@
+const axios = require('axios');
+const { nullLogger } = require('./logger');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Minimal cookie jar keyed on cookie name
+ * Glooko's web and API hosts share the session cookies, so domains and paths are not tracked
+ */
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  store(setCookieHeaders) {
+    const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : (setCookieHeaders ? [setCookieHeaders] : []);
+
+    headers.forEach(header => {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator === -1) return;
+
+      const name = pair.slice(0, separator).trim();
+      const value = pair.slice(separator + 1).trim();
+      const expired = attributes.some(attr => {
+        const [key, val] = attr.trim().split('=');
+        if (key.toLowerCase() === 'max-age') return parseInt(val) <= 0;
+        if (key.toLowerCase() === 'expires') return new Date(val).getTime() < Date.now();
+        return false;
+      });
+
+      if (expired || value === '') {
+        this.cookies.delete(name);
+      } else {
+        this.cookies.set(name, value);
+      }
+    });
+  }
+
+  toHeader() {
+    return Array.from(this.cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+}
+
+/**
+ * Browserless Glooko login
+ * Fetches the sign-in form, posts the credentials with its CSRF token and parses the patient ID from the dashboard HTML
+ */
+class HttpAuthenticator {
+  constructor(config, logger = nullLogger) {
+    this.config = {
+      webUrl: config.webUrl,
+      email: config.email,
+      password: config.password,
+      timeout: config.timeout || 30000
+    };
+    this.http = config.httpClient || axios;
+    this.logger = logger;
+    this.jar = new CookieJar();
+  }
+
+  async request(method, url, data = null, maxRedirects = 5) {
+    let currentUrl = url;
+    let currentMethod = method;
+    let body = data;
+
+    // Follow redirects by hand so cookies set along the way end up in the jar
+    for (let i = 0; i <= maxRedirects; i++) {
+      const response = await this.http.request({
+        method: currentMethod,
+        url: currentUrl,
+        data: body,
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'User-Agent': USER_AGENT,
+          'Cookie': this.jar.toHeader(),
+          'Referer': `${this.config.webUrl}/users/sign_in`,
+          ...(body ? { 'Content-Type': 'application/x-www-form-urlencoded', 'Origin': this.config.webUrl } : {})
+        },
+        maxRedirects: 0,
+        validateStatus: status => status < 400 || status === 422,
+        responseType: 'text',
+        timeout: this.config.timeout
+      });
+
+      this.jar.store(response.headers['set-cookie']);
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+        currentMethod = 'GET';
+        body = null;
+        continue;
+      }
+
+      return { status: response.status, url: currentUrl, html: String(response.data || '') };
+    }
+
+    throw new Error(`Too many redirects while requesting ${url}`);
+  }
+
+  extractFormFields(html) {
+    const form = html.match(/<form[^>]*(?:sign_in|new_user)[^>]*>([\s\S]*?)<\/form>/i);
+    const fields = {};
+
+    const inputs = (form ? form[1] : html).match(/<input[^>]*type=["']hidden["'][^>]*>/gi) || [];
+    inputs.forEach(input => {
+      const name = input.match(/name=["']([^"']+)["']/i);
+      const value = input.match(/value=["']([^"']*)["']/i);
+      if (name) fields[name[1]] = value ? this.decodeEntities(value[1]) : '';
+    });
+
+    if (!fields.authenticity_token) {
+      const meta = html.match(/<meta[^>]*name=["']csrf-token["'][^>]*content=["']([^"']+)["']/i) ||
+                   html.match(/<meta[^>]*content=["']([^"']+)["'][^>]*name=["']csrf-token["']/i);
+      if (meta) fields.authenticity_token = this.decodeEntities(meta[1]);
+    }
+
+    return fields;
+  }
+
+  extractError(html) {
+    const match = html.match(/class=["'][^"']*(?:alert-danger|error)[^"']*["'][^>]*>([\s\S]*?)<\//i);
+    return match ? match[1].replace(/<[^>]+>/g, '').trim() : null;
+  }
+
+  extractPatientId(html) {
+    const patterns = [
+      /window\.patient\s*=\s*["']([^"']+)["']/,
+      /window\.current_user_glooko_code\s*=\s*["']([^"']+)["']/,
+      /window\.patientId\s*=\s*["']([^"']+)["']/,
+      /["']?glooko_?[cC]ode["']?\s*:\s*["']([^"']+)["']/,
+      /["']?patient["']?\s*:\s*["']([^"']+)["']/
+    ];
+
+    for (const pattern of patterns) {
+      const match = html.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  async login() {
+    this.logger.debug('📄 Fetching login form...');
+    const signIn = await this.request('GET', `${this.config.webUrl}/users/sign_in`);
+
+    let dashboard;
+    if (signIn.url.includes('/dashboard')) {
+      this.logger.info('✅ Already logged in');
+      dashboard = signIn;
+    } else {
+      const fields = this.extractFormFields(signIn.html);
+      if (!fields.authenticity_token) {
+        throw new Error('Could not find CSRF token on sign-in page');
+      }
+
+      this.logger.debug('📝 Logging in...');
+      const form = new URLSearchParams({
+        ...fields,
+        'user[email]': this.config.email,
+        'user[password]': this.config.password
+      });
+      const result = await this.request('POST', `${this.config.webUrl}/users/sign_in`, form.toString());
+
+      if (result.url.includes('/sign_in') || result.status === 422) {
+        const errorText = this.extractError(result.html);
+        throw new Error(`Login failed: ${errorText || 'Still on sign-in page'}`);
+      }
+
+      dashboard = result.url.includes('/dashboard') ?
+        result :
+        await this.request('GET', `${this.config.webUrl}/dashboard`);
+    }
+
+    this.logger.debug('⏳ Extracting patient data...');
+    const patientId = this.extractPatientId(dashboard.html);
+    if (!patientId) {
+      throw new Error('Could not extract patient ID from dashboard HTML');
+    }
+
+    return {
+      patientId,
+      cookieHeader: this.jar.toHeader()
+    };
+  }
+}
+
+module.exports = { HttpAuthenticator, CookieJar };
@@ -0,0 +1,139 @@
+/**
+ * Leveled logger with pretty (terminal) and JSON Lines (journald, Loki) output
+ * Cookies, passwords, tokens and patient IDs are redacted from messages and data before anything is written
+ */
+
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const FORMATS = ['pretty', 'json'];
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never written
+const SECRET_KEYS = /pass(word)?$|secret|token|cookie|authorization|sessionkey|^session$|patient(id)?$|glookocode/i;
+
+// Secrets that can appear inside free text, such as URLs and Set-Cookie headers
+const SECRET_PATTERNS = [
+  [/((?:patient(?:_?id)?|glooko_?code)["']?\s*[:=]\s*["']?)[^\s&;,"']+/gi, `$1${REDACTED}`],
+  [/(\b[\w-]*session[\w-]*=)[^;\s&"']+/gi, `$1${REDACTED}`],
+  [/(\b(?:api-secret|token|password)[=:]\s*)[^\s&;,"']+/gi, `$1${REDACTED}`]
+];
+
+class Logger {
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (level !== 'silent' && !LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+    }
+    const format = options.format || 'pretty';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown log format "${format}" (use ${FORMATS.join(' or ')})`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.fields = options.fields || {};
+    // Shared with child loggers so a secret learned anywhere is redacted everywhere
+    this.secrets = options.secrets || new Set();
+    this.write = options.write || (line => process.stdout.write(`${line}\n`));
+  }
+
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      secrets: this.secrets,
+      write: this.write
+    });
+  }
+
+  /**
+   * Register a runtime secret (password, cookie header, patient ID) for redaction in free text
+   */
+  addSecret(value) {
+    if (typeof value === 'string' && value.length >= 4) {
+      this.secrets.add(value);
+    }
+  }
+
+  isLevelEnabled(level) {
+    return this.level !== 'silent' && LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  redactString(text) {
+    let result = text;
+    this.secrets.forEach(secret => {
+      result = result.split(secret).join(REDACTED);
+    });
+    SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+      result = result.replace(pattern, replacement);
+    });
+    return result;
+  }
+
+  redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return this.redactString(value);
+    if (value instanceof Error) return this.redact({ name: value.name, message: value.message, stack: value.stack }, seen);
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => this.redact(item, seen));
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = SECRET_KEYS.test(key) && item !== null && item !== undefined ? REDACTED : this.redact(item, seen);
+    });
+    return result;
+  }
+
+  log(level, message, data) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const text = this.redactString(String(message));
+    const payload = data !== undefined && data !== null ? this.redact(data) : undefined;
+
+    if (this.format === 'json') {
+      const record = {
+        time: new Date().toISOString(),
+        level,
+        ...this.redact(this.fields),
+        msg: text.trim()
+      };
+      if (payload !== undefined) record.data = payload;
+      this.write(JSON.stringify(record));
+      return;
+    }
+
+    // Timestamps only in verbose output, like the old --debug mode
+    // In caregiver mode the account name keeps interleaved output readable
+    const [, breaks, body] = text.match(/^(\n*)([\s\S]*)$/);
+    const timestamp = this.isLevelEnabled('debug') ? `[${new Date().toISOString()}] ` : '';
+    const account = this.fields.account ? `[${this.fields.account}] ` : '';
+    this.write(`${breaks}${timestamp}${account}${body}`);
+    if (payload !== undefined) {
+      this.write(JSON.stringify(payload, null, 2));
+    }
+  }
+
+  error(message, data) { this.log('error', message, data); }
+  warn(message, data) { this.log('warn', message, data); }
+  info(message, data) { this.log('info', message, data); }
+  debug(message, data) { this.log('debug', message, data); }
+  trace(message, data) { this.log('trace', message, data); }
+}
+
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+// Default for library classes used without a logger
+const nullLogger = new Logger({ level: 'silent' });
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  REDACTED,
+  Logger,
+  createLogger,
+  nullLogger
+};
@@ -0,0 +1,77 @@
+const axios = require('axios');
+const { NightscoutUploader } = require('./nightscout-uploader');
+const { NightscoutV3Client } = require('./nightscout-v3');
+const { nullLogger } = require('./logger');
+
+const NIGHTSCOUT_APIS = ['auto', 'v1', 'v3'];
+const CLIENT_METHODS = ['uploadEntries', 'uploadTreatments', 'fetchEntries', 'fetchCurrentProfile', 'uploadProfile', 'uploadDeviceStatus'];
+
+/**
+ * Whether the server offers API v3 (GET /api/v3/version needs no authentication)
+ */
+async function detectApiVersion(url, timeout = 10000) {
+  try {
+    const response = await axios.get(`${url.replace(/\/+$/, '')}/api/v3/version`, {
+      headers: { 'Accept': 'application/json' },
+      timeout
+    });
+    const info = response.data?.result || response.data || {};
+    return /^3\./.test(String(info.apiVersion || '')) ? 'v3' : 'v1';
+  } catch (error) {
+    return 'v1';
+  }
+}
+
+/**
+ * Picks v1 or v3 on first use: v3 when the server has it and an access token is configured
+ * (v3 does not accept API_SECRET), v1 otherwise
+ */
+class AutoNightscoutClient {
+  constructor(config, logger = nullLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.client = null;
+
+    // Same checks as the concrete clients, so configuration errors show up before the first upload
+    if (!config.url) {
+      throw new Error('Nightscout URL is required for uploading');
+    }
+    if (!config.apiSecret && !config.token) {
+      throw new Error('Nightscout API secret or access token is required for uploading');
+    }
+
+    CLIENT_METHODS.forEach(method => {
+      this[method] = async (...args) => (await this.getClient())[method](...args);
+    });
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const version = this.config.token ? await detectApiVersion(this.config.url, this.config.timeout) : 'v1';
+      this.logger.info(`🔌 Using Nightscout API ${version}${version === 'v1' && this.config.token ? ' (v3 not available)' : ''}`);
+      this.client = version === 'v3' ?
+        new NightscoutV3Client(this.config, this.logger) :
+        new NightscoutUploader(this.config, this.logger);
+    }
+    return this.client;
+  }
+}
+
+/**
+ * Nightscout uploader for the configured API: 'v1', 'v3' or 'auto'
+ */
+function createNightscoutClient(config, logger = nullLogger) {
+  const api = config.api || 'auto';
+  if (!NIGHTSCOUT_APIS.includes(api)) {
+    throw new Error(`Unknown Nightscout API "${api}" (use ${NIGHTSCOUT_APIS.join(', ')})`);
+  }
+  if (api === 'v3') return new NightscoutV3Client(config, logger);
+  if (api === 'v1') return new NightscoutUploader(config, logger);
+  return new AutoNightscoutClient(config, logger);
+}
+
+module.exports = {
+  NIGHTSCOUT_APIS,
+  detectApiVersion,
+  createNightscoutClient
+};
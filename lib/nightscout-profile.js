@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { mgdlToMmol, normalizeUnits, getNightscoutUnits } = require('./units');
+
+const PROFILE_NAME = 'Glooko';
+// Glooko only has targets; the rest is required by Nightscout and only used for a brand new profile
+const PLACEHOLDER_SCHEDULES = {
+  dia: 4,
+  carbratio: [{ time: '00:00', value: 10, timeAsSeconds: 0 }],
+  sens: [{ time: '00:00', value: 2, timeAsSeconds: 0 }],
+  basal: [{ time: '00:00', value: 0, timeAsSeconds: 0 }],
+  carbs_hr: 20,
+  delay: 20
+};
+
+function toTimeBlock(hours, value) {
+  const seconds = Math.round(((hours % 24) + 24) % 24 * 3600);
+  const hh = String(Math.floor(seconds / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  return { time: `${hh}:${mm}`, value, timeAsSeconds: seconds };
+}
+
+/**
+ * Map Glooko glucose targets to Nightscout target schedules
+ * Each meal period starts with the before-meal target and switches to the after-meal target one hour in
+ */
+function buildTargetSchedules(glucoseTargets, units) {
+  // Targets are canonical mg/dL
+  const convert = value => units === 'mg/dl' ? Math.round(value) : mgdlToMmol(value);
+
+  const low = convert(glucoseTargets.normalMin);
+  const beforeMeal = convert(glucoseTargets.beforeMealMax);
+  const afterMeal = convert(glucoseTargets.afterMealMax);
+
+  const mealStarts = Object.values(glucoseTargets.mealTimes || {})
+    .filter(hours => Number.isFinite(hours))
+    .sort((a, b) => a - b);
+
+  let targetHigh;
+  if (mealStarts.length === 0) {
+    targetHigh = [toTimeBlock(0, afterMeal)];
+  } else {
+    const blocks = [];
+    mealStarts.forEach((start, i) => {
+      const next = mealStarts[i + 1] !== undefined ? mealStarts[i + 1] : mealStarts[0] + 24;
+      blocks.push(toTimeBlock(start, beforeMeal));
+      if (next - start > 1) {
+        blocks.push(toTimeBlock(start + 1, afterMeal));
+      }
+    });
+
+    // The period before the first meal continues the last meal period of the previous day
+    blocks.sort((a, b) => a.timeAsSeconds - b.timeAsSeconds);
+    if (blocks[0].timeAsSeconds !== 0) {
+      blocks.unshift(toTimeBlock(0, blocks[blocks.length - 1].value));
+    }
+    targetHigh = blocks.filter((block, i) => i === 0 || block.value !== blocks[i - 1].value);
+  }
+
+  return {
+    target_low: [toTimeBlock(0, low)],
+    target_high: targetHigh
+  };
+}
+
+function buildProfileTargets(userProfile, timezone, units = getNightscoutUnits(userProfile.meterUnits)) {
+  return {
+    units,
+    timezone,
+    ...buildTargetSchedules(userProfile.glucoseTargets, units)
+  };
+}
+
+function hashTargets(targets) {
+  return crypto.createHash('sha1').update(JSON.stringify(targets)).digest('hex');
+}
+
+/**
+ * Units of the Nightscout profile a push would update, or null when there is none to keep
+ * Its sensitivity and carb ratio schedules are in these units, so the targets have to follow them
+ */
+function getExistingProfileUnits(existingProfile) {
+  const profileName = existingProfile?.defaultProfile || PROFILE_NAME;
+  const profile = existingProfile?.store?.[profileName];
+  if (!profile) return null;
+  const units = normalizeUnits(profile.units || existingProfile.units);
+  return units ? getNightscoutUnits(units) : null;
+}
+
+/**
+ * Build a Nightscout profile document with the Glooko targets
+ * An existing profile keeps its basal, ratios, sensitivity and units; only targets and timezone are replaced
+ */
+function buildNightscoutProfile(targets, existingProfile = null, now = new Date()) {
+  const existingStore = existingProfile?.store || {};
+  const profileName = existingProfile?.defaultProfile || PROFILE_NAME;
+  const baseProfile = existingStore[profileName] || PLACEHOLDER_SCHEDULES;
+
+  // Relabelling the units would reinterpret the kept sensitivity and carb ratios
+  const existingUnits = getExistingProfileUnits(existingProfile);
+  if (existingUnits && existingUnits !== targets.units) {
+    throw new Error(`Targets are in ${targets.units} but the Nightscout profile "${profileName}" is in ${existingUnits}`);
+  }
+
+  return {
+    defaultProfile: profileName,
+    startDate: now.toISOString(),
+    mills: now.getTime(),
+    units: targets.units,
+    enteredBy: 'glooko2nightscout',
+    store: {
+      ...existingStore,
+      [profileName]: {
+        ...baseProfile,
+        units: targets.units,
+        timezone: targets.timezone,
+        target_low: targets.target_low,
+        target_high: targets.target_high
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildTargetSchedules,
+  buildProfileTargets,
+  getExistingProfileUnits,
+  buildNightscoutProfile,
+  hashTargets
+};
@@ -0,0 +1,251 @@
+const http = require('http');
+const crypto = require('crypto');
+const { MGDL_PER_MMOL, mgdlToMmol, getNightscoutUnits } = require('./units');
+const { nullLogger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Nightscout's numeric trend codes, used by the Pebble endpoint and older followers
+const DIRECTION_TREND = {
+  'NONE': 0,
+  'DoubleUp': 1,
+  'SingleUp': 2,
+  'FortyFiveUp': 3,
+  'Flat': 4,
+  'FortyFiveDown': 5,
+  'SingleDown': 6,
+  'DoubleDown': 7,
+  'NOT COMPUTABLE': 8,
+  'RATE OUT OF RANGE': 9
+};
+
+// Fields followers know; internal ones (localTime, qualityFlags, sgv_mmol) stay private
+const ENTRY_FIELDS = ['type', 'sgv', 'date', 'dateString', 'direction', 'noise', 'delta', 'device'];
+
+const FIND_OPERATORS = {
+  $gte: (a, b) => a >= b,
+  $gt: (a, b) => a > b,
+  $lte: (a, b) => a <= b,
+  $lt: (a, b) => a < b,
+  $eq: (a, b) => a === b
+};
+
+// Nightscout defaults, in mg/dL, until the Glooko targets are known
+const DEFAULT_THRESHOLDS = { bgHigh: 260, bgTargetTop: 180, bgTargetBottom: 80, bgLow: 55 };
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Read-only Nightscout API over the latest transformed entries
+ * Lets watchfaces and follower apps (xDrip, LoopFollow) read Glooko data without a full Nightscout
+ */
+class NightscoutServer {
+  constructor(config = {}, logger = nullLogger) {
+    this.config = {
+      port: config.port !== undefined ? config.port : 1337,
+      host: config.host || '127.0.0.1',
+      token: config.token || null,
+      retentionMs: (config.retentionHours || 48) * HOUR_MS,
+      name: config.name || 'glooko2nightscout',
+      version: config.version || '0.0.0'
+    };
+    this.logger = logger;
+    this.entries = [];
+    this.units = 'mg/dl';
+    this.thresholds = { ...DEFAULT_THRESHOLDS };
+    this.lastRefresh = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Merge entries (a later copy of the same timestamp wins) and drop those older than the retention window
+   */
+  addEntries(entries, now = Date.now()) {
+    const byDate = new Map(this.entries.map(entry => [entry.date, entry]));
+    entries.forEach(entry => byDate.set(entry.date, entry));
+
+    const oldest = now - this.config.retentionMs;
+    this.entries = Array.from(byDate.values())
+      .filter(entry => entry.date >= oldest)
+      .sort((a, b) => b.date - a.date);
+  }
+
+  /**
+   * Take a reader result (getLatestCGMData) and the Glooko profile for units and targets
+   */
+  update(result, userProfile = null) {
+    if (userProfile?.glucoseTargets) {
+      const { normalMin, afterMealMax } = userProfile.glucoseTargets;
+      this.units = getNightscoutUnits(userProfile.meterUnits);
+      if (normalMin) this.thresholds.bgTargetBottom = normalMin;
+      if (afterMealMax) this.thresholds.bgTargetTop = afterMealMax;
+    }
+
+    if (!result.success) {
+      this.lastError = result.error;
+      return;
+    }
+
+    this.addEntries(result.entries || []);
+    this.lastRefresh = new Date().toISOString();
+    this.lastError = null;
+    this.logger.debug(`📡 Serving ${this.entries.length} entries`);
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.config.host}:${port}`;
+        this.logger.info(`📡 Nightscout API listening on ${this.url}${this.config.token ? ' (token required)' : ''}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Accept the token the way Nightscout does: ?token=, a Bearer header, or api-secret with its SHA1 hash
+   */
+  isAuthorized(req, params) {
+    if (!this.config.token) return true;
+
+    const expected = Buffer.from(sha1(this.config.token));
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const apiSecret = req.headers['api-secret'];
+    const candidates = [params.get('token'), bearer && bearer[1]].filter(Boolean).map(sha1);
+    if (apiSecret) {
+      candidates.push(/^[a-f0-9]{40}$/i.test(apiSecret) ? apiSecret.toLowerCase() : sha1(apiSecret));
+    }
+
+    return candidates.some(candidate => crypto.timingSafeEqual(Buffer.from(candidate), expected));
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    // Nightscout answers with JSON whether or not the path ends in .json
+    const route = url.pathname.replace(/\/+$/, '').replace(/\.json$/, '');
+
+    if (req.method === 'OPTIONS') {
+      return this.send(res, 204, null);
+    }
+    if (req.method !== 'GET') {
+      return this.send(res, 405, { status: 405, message: 'This server is read-only' });
+    }
+    if (!this.isAuthorized(req, url.searchParams)) {
+      this.logger.debug(`🔒 Rejected unauthorized request for ${route}`);
+      return this.send(res, 401, { status: 401, message: 'Unauthorized' });
+    }
+
+    switch (route) {
+      case '/api/v1/entries':
+      case '/api/v1/entries/sgv':
+        return this.send(res, 200, this.findEntries(url.searchParams).map(entry => this.toApiEntry(entry)));
+      case '/api/v1/entries/current':
+        return this.send(res, 200, this.entries.slice(0, 1).map(entry => this.toApiEntry(entry)));
+      case '/pebble':
+        return this.send(res, 200, this.pebble(url.searchParams));
+      case '/api/v1/status':
+        return this.send(res, 200, this.status());
+      default:
+        return this.send(res, 404, { status: 404, message: 'Not found' });
+    }
+  }
+
+  /**
+   * Subset of Nightscout's query syntax: count and find[field][$op] on date, dateString and sgv
+   */
+  findEntries(params) {
+    const filters = [];
+    params.forEach((value, key) => {
+      const match = key.match(/^find\[(date|dateString|sgv)\](?:\[(\$\w+)\])?$/);
+      if (!match) return;
+      const [, field, operator = '$eq'] = match;
+      const compare = FIND_OPERATORS[operator];
+      if (!compare) return;
+      const target = field === 'dateString' ? Date.parse(value) : Number(value);
+      const read = field === 'dateString' ? entry => Date.parse(entry.dateString) : entry => entry[field];
+      filters.push(entry => compare(read(entry), target));
+    });
+
+    const count = parseInt(params.get('count') || '10');
+    return this.entries
+      .filter(entry => filters.every(filter => filter(entry)))
+      .slice(0, count > 0 ? count : 10);
+  }
+
+  toApiEntry(entry) {
+    const result = { _id: entry.glookoGuid || String(entry.date) };
+    ENTRY_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) result[field] = entry[field];
+    });
+    result.trend = DIRECTION_TREND[entry.direction] ?? 0;
+    result.sysTime = entry.dateString;
+    return result;
+  }
+
+  pebble(params) {
+    const mmol = (params.get('units') || this.units).startsWith('mmol');
+    const format = mgdl => (mmol ? mgdlToMmol(mgdl).toFixed(1) : String(Math.round(mgdl)));
+    const count = parseInt(params.get('count') || '1');
+
+    return {
+      status: [{ now: Date.now() }],
+      bgs: this.entries.slice(0, count > 0 ? count : 1).map(entry => ({
+        sgv: format(entry.sgv),
+        trend: DIRECTION_TREND[entry.direction] ?? 0,
+        direction: entry.direction,
+        datetime: entry.date,
+        bgdelta: entry.delta !== undefined ? (mmol ? (entry.delta / MGDL_PER_MMOL).toFixed(1) : String(entry.delta)) : '0'
+      })),
+      cals: []
+    };
+  }
+
+  status() {
+    const now = new Date();
+    return {
+      status: 'ok',
+      name: this.config.name,
+      version: this.config.version,
+      serverTime: now.toISOString(),
+      serverTimeEpoch: now.getTime(),
+      apiEnabled: true,
+      careportalEnabled: false,
+      boluscalcEnabled: false,
+      settings: {
+        units: this.units,
+        timeFormat: 24,
+        customTitle: 'Glooko',
+        enable: [],
+        thresholds: this.thresholds
+      },
+      extendedSettings: {},
+      authorized: null,
+      glooko: {
+        entries: this.entries.length,
+        lastRefresh: this.lastRefresh,
+        lastError: this.lastError
+      }
+    };
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, api-secret, Content-Type'
+    });
+    res.end(body === null ? undefined : JSON.stringify(body));
+  }
+}
+
+module.exports = { NightscoutServer, DIRECTION_TREND };
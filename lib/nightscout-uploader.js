@@ -0,0 +1,166 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { nullLogger } = require('./logger');
+
+/**
+ * Nightscout uploader for transformed Glooko entries, treatments, profiles and device status
+ * Authenticates with the SHA1-hashed API_SECRET or an access token and skips entries Nightscout already has
+ */
+class NightscoutUploader {
+  constructor(config, logger = nullLogger) {
+    this.config = {
+      url: (config.url || '').replace(/\/+$/, ''),
+      apiSecret: config.apiSecret || null,
+      token: config.token || null,
+      batchSize: config.batchSize || 100,
+      timeout: config.timeout || 30000
+    };
+    this.logger = logger;
+
+    if (!this.config.url) {
+      throw new Error('Nightscout URL is required for uploading');
+    }
+    if (!this.config.apiSecret && !this.config.token) {
+      throw new Error('Nightscout API secret or access token is required for uploading');
+    }
+  }
+
+  hashSecret(secret) {
+    // Accept secrets that are already hashed
+    if (/^[a-f0-9]{40}$/i.test(secret)) {
+      return secret.toLowerCase();
+    }
+    return crypto.createHash('sha1').update(secret).digest('hex');
+  }
+
+  getRequestConfig(params = {}) {
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+    if (this.config.apiSecret) {
+      headers['API-SECRET'] = this.hashSecret(this.config.apiSecret);
+    }
+
+    return {
+      headers,
+      params: this.config.token ? { ...params, token: this.config.token } : params,
+      timeout: this.config.timeout
+    };
+  }
+
+  async fetchExistingEntries(entries) {
+    const dates = entries.map(e => e.date);
+    // Room for entries from other uploaders in the same range
+    return this.fetchEntries(Math.min(...dates), Math.max(...dates), entries.length * 4 + 100);
+  }
+
+  /**
+   * SGV entries between two times (ms), from every uploader
+   * The default count allows three uploaders at one reading per minute
+   */
+  async fetchEntries(from, to, count = Math.ceil((to - from) / 60000) * 3 + 100) {
+    const response = await axios.get(`${this.config.url}/api/v1/entries/sgv.json`, this.getRequestConfig({
+      'find[date][$gte]': from,
+      'find[date][$lte]': to,
+      count
+    }));
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  async uploadEntries(entries) {
+    if (!entries || entries.length === 0) {
+      this.logger.debug('ℹ️  Nothing to upload to Nightscout');
+      return { uploaded: 0, skipped: 0 };
+    }
+
+    this.logger.debug(`📤 Uploading ${entries.length} entries to Nightscout...`);
+
+    // Skip entries Nightscout already has, keyed on date and glookoGuid
+    const existing = await this.fetchExistingEntries(entries);
+    const existingDates = new Set(existing.map(e => e.date));
+    const existingGuids = new Set(existing.map(e => e.glookoGuid).filter(Boolean));
+
+    const pending = entries.filter(entry =>
+      !existingDates.has(entry.date) && !(entry.glookoGuid && existingGuids.has(entry.glookoGuid))
+    );
+    const skipped = entries.length - pending.length;
+
+    if (skipped > 0) {
+      this.logger.debug(`   Skipping ${skipped} entries already in Nightscout`);
+    }
+
+    const uploaded = await this.postInBatches('/api/v1/entries', pending);
+
+    this.logger.info(`✅ Uploaded ${uploaded} entries to Nightscout (${skipped} already present)`);
+
+    return { uploaded, skipped };
+  }
+
+  async fetchExistingTreatments(treatments) {
+    const dates = treatments.map(t => t.created_at).sort();
+
+    const response = await axios.get(`${this.config.url}/api/v1/treatments.json`, this.getRequestConfig({
+      'find[created_at][$gte]': dates[0],
+      'find[created_at][$lte]': dates[dates.length - 1],
+      count: treatments.length * 4 + 100
+    }));
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  async uploadTreatments(treatments) {
+    if (!treatments || treatments.length === 0) {
+      return { uploaded: 0, skipped: 0 };
+    }
+
+    this.logger.debug(`📤 Uploading ${treatments.length} treatments to Nightscout...`);
+
+    // Skip treatments Nightscout already has, keyed on glookoGuid or event type and time
+    const existing = await this.fetchExistingTreatments(treatments);
+    const existingGuids = new Set(existing.map(t => t.glookoGuid).filter(Boolean));
+    const existingEvents = new Set(existing.map(t => `${t.eventType}|${new Date(t.created_at).getTime()}`));
+
+    const pending = treatments.filter(treatment =>
+      !existingGuids.has(treatment.glookoGuid) &&
+      !existingEvents.has(`${treatment.eventType}|${new Date(treatment.created_at).getTime()}`)
+    );
+    const skipped = treatments.length - pending.length;
+
+    const uploaded = await this.postInBatches('/api/v1/treatments', pending);
+
+    this.logger.info(`✅ Uploaded ${uploaded} treatments to Nightscout (${skipped} already present)`);
+
+    return { uploaded, skipped };
+  }
+
+  async fetchCurrentProfile() {
+    const response = await axios.get(`${this.config.url}/api/v1/profile.json`, this.getRequestConfig({ count: 1 }));
+    return Array.isArray(response.data) && response.data.length > 0 ? response.data[0] : null;
+  }
+
+  async uploadProfile(profile) {
+    this.logger.debug(`📤 Uploading profile "${profile.defaultProfile}" to Nightscout...`);
+    await axios.post(`${this.config.url}/api/v1/profile`, profile, this.getRequestConfig());
+    this.logger.info('✅ Profile uploaded to Nightscout');
+  }
+
+  async uploadDeviceStatus(deviceStatus) {
+    await axios.post(`${this.config.url}/api/v1/devicestatus`, deviceStatus, this.getRequestConfig());
+    this.logger.info('✅ Device status uploaded to Nightscout');
+  }
+
+  async postInBatches(endpoint, documents) {
+    let uploaded = 0;
+    for (let i = 0; i < documents.length; i += this.config.batchSize) {
+      const batch = documents.slice(i, i + this.config.batchSize);
+      await axios.post(`${this.config.url}${endpoint}`, batch, this.getRequestConfig());
+      uploaded += batch.length;
+      this.logger.debug(`   Batch ${Math.floor(i / this.config.batchSize) + 1}: ${batch.length} documents`);
+    }
+    return uploaded;
+  }
+}
+
+module.exports = { NightscoutUploader };
@@ -0,0 +1,189 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { nullLogger } = require('./logger');
+
+const APP_NAME = 'glooko2nightscout';
+// Renew the JWT this long before Nightscout would reject it
+const JWT_RENEW_MARGIN_MS = 60 * 1000;
+
+/**
+ * Stable UUID (version 5 layout) for a document, so re-uploads hit the same Nightscout record
+ */
+function toIdentifier(collection, key) {
+  const hash = crypto.createHash('sha1').update(`${APP_NAME}:${collection}:${key}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// The Glooko guid when there is one; device status and profiles are keyed on their time
+function identifierKey(collection, document) {
+  if (document.glookoGuid) return document.glookoGuid;
+  if (collection === 'profile') return `${document.defaultProfile}|${document.startDate}`;
+  return `${document.device || APP_NAME}|${document.created_at || document.date}`;
+}
+
+// Nightscout 15 wraps search results in { status, result }; earlier v3 releases return the array
+function resultOf(response) {
+  const documents = Array.isArray(response.data) ? response.data : response.data?.result;
+  return Array.isArray(documents) ? documents : [];
+}
+
+/**
+ * Nightscout API v3 uploader (Nightscout 15+)
+ * Same interface as NightscoutUploader; authenticates with a JWT issued for the access token
+ * and writes every document with PUT /api/v3/{collection}/{identifier}, which creates or replaces it
+ */
+class NightscoutV3Client {
+  constructor(config, logger = nullLogger) {
+    this.config = {
+      url: (config.url || '').replace(/\/+$/, ''),
+      token: config.token || null,
+      timeout: config.timeout || 30000
+    };
+    this.logger = logger;
+    this.jwt = null;
+
+    if (!this.config.url) {
+      throw new Error('Nightscout URL is required for uploading');
+    }
+    if (!this.config.token) {
+      throw new Error('Nightscout API v3 needs an access token (NIGHTSCOUT_TOKEN); API_SECRET only works with v1');
+    }
+  }
+
+  async getJwt(forceNew = false) {
+    if (!forceNew && this.jwt && this.jwt.expiresAt - JWT_RENEW_MARGIN_MS > Date.now()) {
+      return this.jwt.token;
+    }
+
+    this.logger.debug('🔑 Requesting Nightscout JWT...');
+    const response = await axios.get(
+      `${this.config.url}/api/v2/authorization/request/${encodeURIComponent(this.config.token)}`,
+      { headers: { 'Accept': 'application/json' }, timeout: this.config.timeout }
+    );
+    const { token, exp } = response.data || {};
+    if (!token) {
+      throw new Error('Nightscout did not return a JWT for the access token');
+    }
+
+    // Without an expiry, fall back to the Nightscout default of 8 hours
+    this.jwt = { token, expiresAt: exp ? exp * 1000 : Date.now() + 8 * 60 * 60 * 1000 };
+    this.logger.debug(`   JWT valid until ${new Date(this.jwt.expiresAt).toISOString()}`);
+    return token;
+  }
+
+  /**
+   * One v3 request; a 401 means the JWT expired or was revoked, so it is renewed once
+   */
+  async request(method, path, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const jwt = await this.getJwt(attempt > 0);
+      try {
+        return await axios.request({
+          method,
+          url: `${this.config.url}/api/v3${path}`,
+          data: options.data,
+          params: options.params,
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${jwt}`
+          },
+          timeout: this.config.timeout
+        });
+      } catch (error) {
+        if (error.response?.status !== 401 || attempt > 0) {
+          throw error;
+        }
+        this.logger.debug('🔑 Nightscout JWT rejected, requesting a new one');
+      }
+    }
+  }
+
+  toDocument(collection, document) {
+    const date = Number.isFinite(document.date) ? document.date :
+      (document.mills || Date.parse(document.created_at || document.startDate));
+    return {
+      ...document,
+      identifier: document.identifier || toIdentifier(collection, identifierKey(collection, document)),
+      date,
+      app: APP_NAME
+    };
+  }
+
+  /**
+   * Create or replace each document; counts new documents as uploaded and existing ones as skipped
+   */
+  async upsert(collection, documents) {
+    let created = 0;
+    for (const document of documents) {
+      const doc = this.toDocument(collection, document);
+      const response = await this.request('put', `/${collection}/${doc.identifier}`, { data: doc });
+      if (response.status === 201) created++;
+    }
+    return { uploaded: created, skipped: documents.length - created };
+  }
+
+  async uploadEntries(entries) {
+    if (!entries || entries.length === 0) {
+      this.logger.debug('ℹ️  Nothing to upload to Nightscout');
+      return { uploaded: 0, skipped: 0 };
+    }
+
+    this.logger.debug(`📤 Upserting ${entries.length} entries with Nightscout API v3...`);
+    const result = await this.upsert('entries', entries);
+    this.logger.info(`✅ Uploaded ${result.uploaded} entries to Nightscout (${result.skipped} already present)`);
+    return result;
+  }
+
+  async uploadTreatments(treatments) {
+    if (!treatments || treatments.length === 0) {
+      return { uploaded: 0, skipped: 0 };
+    }
+
+    this.logger.debug(`📤 Upserting ${treatments.length} treatments with Nightscout API v3...`);
+    const result = await this.upsert('treatments', treatments);
+    this.logger.info(`✅ Uploaded ${result.uploaded} treatments to Nightscout (${result.skipped} already present)`);
+    return result;
+  }
+
+  /**
+   * SGV entries between two times (ms), from every uploader, paged by the server's result limit
+   */
+  async fetchEntries(from, to) {
+    const pageSize = 1000;
+    const entries = [];
+    for (let skip = 0; ; skip += pageSize) {
+      const response = await this.request('get', '/entries', {
+        params: { 'type$eq': 'sgv', 'date$gte': from, 'date$lte': to, sort$desc: 'date', limit: pageSize, skip }
+      });
+      const page = resultOf(response);
+      entries.push(...page);
+      if (page.length < pageSize) return entries;
+    }
+  }
+
+  async fetchCurrentProfile() {
+    const response = await this.request('get', '/profile', { params: { sort$desc: 'date', limit: 1 } });
+    const documents = resultOf(response);
+    return documents.length > 0 ? documents[0] : null;
+  }
+
+  async uploadProfile(profile) {
+    this.logger.debug(`📤 Uploading profile "${profile.defaultProfile}" with Nightscout API v3...`);
+    await this.upsert('profile', [profile]);
+    this.logger.info('✅ Profile uploaded to Nightscout');
+  }
+
+  async uploadDeviceStatus(deviceStatus) {
+    await this.upsert('devicestatus', [deviceStatus]);
+    this.logger.info('✅ Device status uploaded to Nightscout');
+  }
+}
+
+module.exports = {
+  NightscoutV3Client,
+  toIdentifier
+};
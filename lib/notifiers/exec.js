@@ -0,0 +1,41 @@
+const { spawn } = require('child_process');
+
+/**
+ * Run a command per alert, e.g. a push-notification CLI or a home-automation script
+ * The alert is passed as GLOOKO_ALERT_* environment variables and as JSON on stdin
+ */
+module.exports = {
+  name: 'exec',
+  validate(options) {
+    if (!options.command) throw new Error('exec notifier needs a "command"');
+  },
+  send(alert, options) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(options.command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        timeout: options.timeoutMs || 10000,
+        env: {
+          ...process.env,
+          GLOOKO_ALERT_RULE: alert.rule,
+          GLOOKO_ALERT_STATUS: alert.status,
+          GLOOKO_ALERT_SEVERITY: alert.severity,
+          GLOOKO_ALERT_TITLE: alert.title,
+          GLOOKO_ALERT_MESSAGE: alert.message,
+          GLOOKO_ALERT_SGV: alert.sgv !== null ? String(alert.sgv) : ''
+        }
+      });
+
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) return resolve();
+        reject(new Error(`Alert command exited with ${signal || `code ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+      });
+      // A command that ignores stdin must not fail the alert
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(alert));
+    });
+  }
+};
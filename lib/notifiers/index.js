@@ -0,0 +1,37 @@
+const stdout = require('./stdout');
+const exec = require('./exec');
+const webhook = require('./webhook');
+const smtp = require('./smtp');
+
+/**
+ * Alert delivery registry
+ * A notifier is { name, send(alert, options, context), validate(options)? } where context holds the logger and HTTP client
+ */
+const notifiers = new Map();
+
+function registerNotifier(notifier) {
+  if (!notifier.name || typeof notifier.send !== 'function') {
+    throw new Error('Notifier needs a name and a send() function');
+  }
+  notifiers.set(notifier.name, notifier);
+}
+
+function getNotifier(name) {
+  const notifier = notifiers.get(name);
+  if (!notifier) {
+    throw new Error(`Unknown notifier "${name}" (available: ${getNotifierNames().join(', ')})`);
+  }
+  return notifier;
+}
+
+function getNotifierNames() {
+  return Array.from(notifiers.keys());
+}
+
+[stdout, exec, webhook, smtp].forEach(registerNotifier);
+
+module.exports = {
+  registerNotifier,
+  getNotifier,
+  getNotifierNames
+};
@@ -0,0 +1,20 @@
+const { sendMail } = require('../smtp');
+
+/**
+ * E-mail alerts through an SMTP server
+ */
+module.exports = {
+  name: 'smtp',
+  validate(options) {
+    if (!options.host || !options.from || !options.to) {
+      throw new Error('smtp notifier needs "host", "from" and "to"');
+    }
+  },
+  async send(alert, options) {
+    await sendMail({
+      ...options,
+      subject: `${alert.icon} ${alert.title}`,
+      text: `${alert.message}\n\n${alert.at}`
+    });
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Print alerts on stdout, separate from the log so they can be piped or grepped
+ */
+module.exports = {
+  name: 'stdout',
+  async send(alert, options, context) {
+    const write = context.write || (line => process.stdout.write(`${line}\n`));
+    write(`${alert.icon} ${alert.title}: ${alert.message}`);
+  }
+};
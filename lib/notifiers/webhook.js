@@ -0,0 +1,15 @@
+/**
+ * POST the alert as JSON to any URL (Slack/Discord-style relays, ntfy, Home Assistant)
+ */
+module.exports = {
+  name: 'webhook',
+  validate(options) {
+    if (!options.url) throw new Error('webhook notifier needs a "url"');
+  },
+  async send(alert, options, context) {
+    await context.http.post(options.url, alert, {
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      timeout: options.timeoutMs || 10000
+    });
+  }
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { nullLogger } = require('./logger');
+
+/**
+ * Append-only JSON Lines store of every reading fetched from Glooko
+ * Readings are keyed on glookoGuid and timestamp so overlapping fetches never produce duplicates downstream
+ */
+class ReadingStore {
+  constructor(config, logger = nullLogger) {
+    this.config = {
+      file: config.file || 'glooko-readings.jsonl'
+    };
+    this.logger = logger;
+    this.byGuid = new Map();
+    this.byDate = new Map();
+    this.loaded = false;
+  }
+
+  load() {
+    this.byGuid.clear();
+    this.byDate.clear();
+    this.loaded = true;
+
+    if (!fs.existsSync(this.config.file)) {
+      return 0;
+    }
+
+    let corrupt = 0;
+    fs.readFileSync(this.config.file, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        corrupt++;
+      }
+    });
+
+    if (corrupt > 0) {
+      this.logger.warn(`⚠️  Skipped ${corrupt} unreadable lines in ${this.config.file}, rewriting store`);
+      this.compact();
+    }
+
+    this.logger.debug(`📚 Loaded ${this.byDate.size} readings from ${this.config.file}`);
+    return this.byDate.size;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  index(entry) {
+    if (entry.glookoGuid) this.byGuid.set(entry.glookoGuid, entry);
+    this.byDate.set(entry.date, entry);
+  }
+
+  has(entry) {
+    this.ensureLoaded();
+    return (entry.glookoGuid && this.byGuid.has(entry.glookoGuid)) || this.byDate.has(entry.date);
+  }
+
+  /**
+   * Entries not in the store yet (also dropping duplicates within the batch)
+   */
+  filterNew(entries) {
+    this.ensureLoaded();
+    const seenGuids = new Set();
+    const seenDates = new Set();
+
+    return entries.filter(entry => {
+      if (this.has(entry)) return false;
+      if ((entry.glookoGuid && seenGuids.has(entry.glookoGuid)) || seenDates.has(entry.date)) return false;
+      if (entry.glookoGuid) seenGuids.add(entry.glookoGuid);
+      seenDates.add(entry.date);
+      return true;
+    });
+  }
+
+  append(entries) {
+    this.ensureLoaded();
+    const fresh = this.filterNew(entries);
+    if (fresh.length === 0) return 0;
+
+    // One write per batch, flushed before the in-memory index is updated
+    const fd = fs.openSync(this.config.file, 'a', 0o600);
+    try {
+      fs.writeSync(fd, fresh.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fresh.forEach(entry => this.index(entry));
+    this.logger.debug(`💾 Stored ${fresh.length} new readings`);
+    return fresh.length;
+  }
+
+  query(options = {}) {
+    this.ensureLoaded();
+    const from = options.from !== undefined ? new Date(options.from).getTime() : -Infinity;
+    const to = options.to !== undefined ? new Date(options.to).getTime() : Infinity;
+
+    const results = Array.from(this.byDate.values())
+      .filter(entry => entry.date >= from && entry.date <= to)
+      .sort((a, b) => b.date - a.date);
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  compact() {
+    // Rewrite through a temp file so readers never see a half-written store
+    const entries = Array.from(this.byDate.values()).sort((a, b) => a.date - b.date);
+    const tmpFile = `${this.config.file}.tmp`;
+    fs.writeFileSync(tmpFile, entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.config.file);
+  }
+}
+
+module.exports = { ReadingStore };
@@ -0,0 +1,114 @@
+/**
+ * Compare Glooko readings with the SGV entries Nightscout already holds
+ * The same sensor often reaches Nightscout twice (a phone app and this bridge) a few seconds apart;
+ * readings are matched on time and the source priority decides which copy counts and whether the Glooko one is needed
+ */
+
+const DEFAULT_RECONCILE_OPTIONS = {
+  toleranceMs: 150 * 1000,  // half the 5-minute CGM interval, so neighbouring readings never match
+  conflictMgdl: 5,          // larger differences between matched readings are conflicts
+  // Device name patterns, best first; '*' stands for any device not listed
+  priority: ['*', 'glooko']
+};
+
+/**
+ * Rank of a device in the priority list (lower wins); patterns match case-insensitive substrings
+ */
+function getSourceRank(device, priority) {
+  const name = String(device || '').toLowerCase();
+  const index = priority.findIndex(pattern => pattern !== '*' && name.includes(pattern.toLowerCase()));
+  if (index !== -1) return index;
+  const wildcard = priority.indexOf('*');
+  return wildcard !== -1 ? wildcard : priority.length;
+}
+
+const summarize = entry => ({ date: entry.date, dateString: entry.dateString || new Date(entry.date).toISOString(), sgv: entry.sgv, device: entry.device || null });
+
+/**
+ * glookoEntries / nightscoutEntries: { date, sgv, device } (Nightscout entries)
+ * Each Nightscout entry belongs to the nearest Glooko reading within the tolerance
+ * Returns missing (Glooko readings Nightscout lacks), outranked (readings whose only copies come from
+ * sources ranked below Glooko), extra (Nightscout-only entries), conflicts (a copy's value differs from
+ * the Glooko reading) and duplicates (several copies of one reading)
+ */
+function reconcileEntries(glookoEntries, nightscoutEntries, options = {}) {
+  const { toleranceMs, conflictMgdl, priority } = { ...DEFAULT_RECONCILE_OPTIONS, ...options };
+  const glooko = glookoEntries.filter(entry => Number.isFinite(entry.sgv)).sort((a, b) => a.date - b.date);
+  const nightscout = nightscoutEntries.filter(entry => Number.isFinite(entry.sgv)).sort((a, b) => a.date - b.date);
+
+  const groups = glooko.map(() => []);
+  const extra = [];
+
+  // Both lists are sorted, so the nearest Glooko reading is found with a moving index
+  let index = 0;
+  nightscout.forEach(entry => {
+    while (index < glooko.length - 1 && Math.abs(glooko[index + 1].date - entry.date) <= Math.abs(glooko[index].date - entry.date)) {
+      index++;
+    }
+    if (glooko.length > 0 && Math.abs(glooko[index].date - entry.date) <= toleranceMs) {
+      groups[index].push(entry);
+    } else {
+      extra.push(summarize(entry));
+    }
+  });
+
+  const missing = [];
+  const outranked = [];
+  const conflicts = [];
+  const duplicates = [];
+  let matched = 0;
+
+  glooko.forEach((reading, i) => {
+    const copies = groups[i];
+    if (copies.length === 0) {
+      missing.push(reading);
+      return;
+    }
+    matched++;
+
+    const ranked = copies.slice().sort((a, b) =>
+      getSourceRank(a.device, priority) - getSourceRank(b.device, priority) ||
+      Math.abs(a.date - reading.date) - Math.abs(b.date - reading.date)
+    );
+    const winner = ranked[0];
+
+    // With Glooko ranked first, copies from lower-ranked sources do not stand in for its reading
+    if (getSourceRank(winner.device, priority) > getSourceRank(reading.device, priority)) {
+      outranked.push(reading);
+    }
+
+    ranked.forEach(copy => {
+      const difference = copy.sgv - reading.sgv;
+      if (Math.abs(difference) > conflictMgdl) {
+        conflicts.push({ glooko: summarize(reading), nightscout: summarize(copy), difference });
+      }
+    });
+    if (ranked.length > 1) {
+      duplicates.push({ kept: summarize(winner), redundant: ranked.slice(1).map(summarize) });
+    }
+  });
+
+  return {
+    summary: {
+      glooko: glooko.length,
+      nightscout: nightscout.length,
+      matched,
+      missing: missing.length,
+      outranked: outranked.length,
+      extra: extra.length,
+      conflicts: conflicts.length,
+      duplicates: duplicates.length
+    },
+    missing,
+    outranked,
+    extra,
+    conflicts,
+    duplicates
+  };
+}
+
+module.exports = {
+  DEFAULT_RECONCILE_OPTIONS,
+  getSourceRank,
+  reconcileEntries
+};
@@ -0,0 +1,215 @@
+/**
+ * Terminal and HTML renderings of computeGlycemicStats() results
+ * The HTML report is a single file with inline CSS and SVG, so it can be mailed or printed as is
+ */
+const { toDisplayValue, getUnitLabel, normalizeUnits } = require('./units');
+
+// Consensus goals (percent of readings), shown next to each range
+const RANGE_ROWS = [
+  { key: 'veryHigh', name: 'Very high', color: '#e8a33d', goal: '< 5%' },
+  { key: 'high', name: 'High', color: '#f5d36b', goal: '< 25%' },
+  { key: 'inRange', name: 'In range', color: '#4caf50', goal: '> 70%' },
+  { key: 'low', name: 'Low', color: '#e57373', goal: '< 4%' },
+  { key: 'veryLow', name: 'Very low', color: '#b71c1c', goal: '< 1%' }
+];
+
+function formatValue(mgdl, meterUnits) {
+  const value = toDisplayValue(mgdl, meterUnits);
+  return normalizeUnits(meterUnits) === 'mgdl' ? String(value) : value.toFixed(1);
+}
+
+function getRangeLabels(ranges, meterUnits) {
+  const v = mgdl => formatValue(mgdl, meterUnits);
+  return {
+    veryHigh: `> ${v(ranges.veryHigh)}`,
+    high: `${v(ranges.high)}-${v(ranges.veryHigh)}`,
+    inRange: `${v(ranges.low)}-${v(ranges.high)}`,
+    low: `${v(ranges.veryLow)}-${v(ranges.low)}`,
+    veryLow: `< ${v(ranges.veryLow)}`
+  };
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Terminal summary, one line per array element
+ */
+function formatReportLines(stats, meterUnits) {
+  const unit = getUnitLabel(meterUnits);
+  const v = mgdl => formatValue(mgdl, meterUnits);
+  const labels = getRangeLabels(stats.ranges, meterUnits);
+  const lines = [
+    `\n📊 GLUCOSE REPORT (${stats.days} days, ${stats.from.slice(0, 10)} - ${stats.to.slice(0, 10)})`,
+    `🩸 Readings: ${stats.count} (sensor wear ${stats.sensorWear}%)`
+  ];
+
+  if (stats.count === 0) {
+    lines.push('ℹ️  No readings in this period');
+    return lines;
+  }
+
+  lines.push(`🎯 Ranges (${unit}, ${stats.ranges.source === 'glooko' ? 'Glooko targets' : 'consensus'}):`);
+  RANGE_ROWS.forEach(row => {
+    lines.push(`   ${`${row.name} ${labels[row.key]}`.padEnd(24)} ${`${stats.timeInRanges[row.key]}%`.padStart(6)}  (goal ${row.goal})`);
+  });
+  lines.push(`   TIR ${stats.tir}%, TBR ${stats.tbr}%, TAR ${stats.tar}%`);
+  lines.push(`📈 Mean ${v(stats.mean)} ${unit}, GMI ${stats.gmi.percent}% (${stats.gmi.mmolMol} mmol/mol), CV ${stats.cv ?? 'n/a'}%${stats.cv !== null ? (stats.cv <= 36 ? ' (stable)' : ' (unstable, goal ≤ 36%)') : ''}`);
+
+  lines.push(`🕐 AGP by hour (${stats.timezone}): median (25-75%) [5-95%]`);
+  stats.agp.filter(band => band.p50 !== null).forEach(band => {
+    lines.push(`   ${formatHour(band.hour)}  ${v(band.p50).padStart(5)}  (${v(band.p25)}-${v(band.p75)})  [${v(band.p5)}-${v(band.p95)}]`);
+  });
+
+  return lines;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * AGP chart: 5-95% and 25-75% bands, median line and the target range, x = hour of day
+ */
+function renderAgpSvg(stats, meterUnits) {
+  const width = 720;
+  const height = 320;
+  const margin = { top: 16, right: 16, bottom: 32, left: 48 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const bands = stats.agp.filter(band => band.p50 !== null);
+  const yMax = Math.min(400, Math.max(300, ...bands.map(band => band.p95)));
+  const x = hour => margin.left + (hour / 24) * plotWidth;
+  const y = mgdl => margin.top + plotHeight - (Math.min(mgdl, yMax) / yMax) * plotHeight;
+  const point = (band, key) => `${x(band.hour + 0.5).toFixed(1)},${y(band[key]).toFixed(1)}`;
+  const area = (upper, lower) => [
+    ...bands.map(band => point(band, upper)),
+    ...bands.slice().reverse().map(band => point(band, lower))
+  ].join(' ');
+
+  const { ranges } = stats;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Ambulatory glucose profile">`,
+    `<rect x="${margin.left}" y="${y(ranges.high)}" width="${plotWidth}" height="${y(ranges.low) - y(ranges.high)}" fill="#e8f5e9"/>`
+  ];
+
+  [ranges.veryLow, ranges.low, ranges.high, ranges.veryHigh].forEach(mgdl => {
+    const color = mgdl === ranges.low || mgdl === ranges.high ? '#4caf50' : '#bbb';
+    parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(mgdl)}" y2="${y(mgdl)}" stroke="${color}" stroke-dasharray="4 3"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${y(mgdl) + 4}" text-anchor="end">${formatValue(mgdl, meterUnits)}</text>`);
+  });
+  for (let hour = 0; hour <= 24; hour += 3) {
+    parts.push(`<text x="${x(hour)}" y="${height - 10}" text-anchor="middle">${formatHour(hour % 24)}</text>`);
+  }
+
+  if (bands.length > 1) {
+    parts.push(`<polygon points="${area('p95', 'p5')}" fill="#90caf9" fill-opacity="0.45"/>`);
+    parts.push(`<polygon points="${area('p75', 'p25')}" fill="#1e88e5" fill-opacity="0.55"/>`);
+    parts.push(`<polyline points="${bands.map(band => point(band, 'p50')).join(' ')}" fill="none" stroke="#0d47a1" stroke-width="2.5"/>`);
+  }
+
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#999"/>`);
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Stacked time-in-ranges bar, very high on top as on the AGP report
+ */
+function renderRangeBarSvg(stats) {
+  const width = 60;
+  const height = 260;
+  let top = 0;
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Time in ranges">`];
+  RANGE_ROWS.forEach(row => {
+    const segment = (stats.timeInRanges[row.key] / 100) * height;
+    if (segment > 0) {
+      parts.push(`<rect x="0" y="${top.toFixed(1)}" width="${width}" height="${segment.toFixed(1)}" fill="${row.color}"/>`);
+    }
+    top += segment;
+  });
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Self-contained HTML report
+ * options: meterUnits, name (patient), generatedAt
+ */
+function renderHtmlReport(stats, options = {}) {
+  const { meterUnits, name = null, generatedAt = new Date().toISOString() } = options;
+  const unit = getUnitLabel(meterUnits);
+  const labels = getRangeLabels(stats.ranges, meterUnits);
+  const v = mgdl => (mgdl === null ? 'n/a' : formatValue(mgdl, meterUnits));
+
+  const rangeRows = RANGE_ROWS.map(row => `
+        <tr><td><span class="swatch" style="background:${row.color}"></span>${row.name}</td><td>${escapeHtml(labels[row.key])}</td><td class="num">${stats.timeInRanges[row.key]}%</td><td class="goal">${escapeHtml(row.goal)}</td></tr>`).join('');
+
+  const metrics = [
+    ['Readings', `${stats.count}`],
+    ['Sensor wear', `${stats.sensorWear}%`],
+    ['Mean glucose', `${v(stats.mean)} ${unit}`],
+    ['GMI', stats.gmi ? `${stats.gmi.percent}% (${stats.gmi.mmolMol} mmol/mol)` : 'n/a'],
+    ['Coefficient of variation', stats.cv !== null ? `${stats.cv}% (goal ≤ 36%)` : 'n/a'],
+    ['Standard deviation', stats.sd !== null ? `${v(stats.sd)} ${unit}` : 'n/a']
+  ].map(([label, value]) => `
+        <tr><td>${label}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Glucose report ${escapeHtml(stats.from.slice(0, 10))} - ${escapeHtml(stats.to.slice(0, 10))}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; max-width: 820px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 1.5em; margin-bottom: 0; }
+  .period { color: #666; margin-top: 4px; }
+  section { margin-top: 28px; }
+  h2 { font-size: 1.1em; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  table { border-collapse: collapse; }
+  td { padding: 4px 12px 4px 0; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; font-weight: 600; }
+  .goal { color: #777; }
+  .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; }
+  .ranges { display: flex; gap: 24px; align-items: center; }
+  svg text { font-size: 11px; fill: #555; }
+  footer { margin-top: 32px; color: #999; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>Glucose report${name ? ` – ${escapeHtml(name)}` : ''}</h1>
+<p class="period">${escapeHtml(stats.from.slice(0, 10))} to ${escapeHtml(stats.to.slice(0, 10))} (${stats.days} days, ${escapeHtml(stats.timezone)})</p>
+
+<section>
+  <h2>Time in ranges (${unit}, ${stats.ranges.source === 'glooko' ? 'Glooko targets' : 'consensus targets'})</h2>
+  <div class="ranges">
+    ${renderRangeBarSvg(stats)}
+    <table>${rangeRows}
+    </table>
+  </div>
+</section>
+
+<section>
+  <h2>Glucose metrics</h2>
+  <table>${metrics}
+  </table>
+</section>
+
+<section>
+  <h2>Ambulatory glucose profile (AGP)</h2>
+  <p class="goal">Median (line), 25-75% (dark band) and 5-95% (light band) by hour of day; shaded area is the target range.</p>
+  ${renderAgpSvg(stats, meterUnits)}
+</section>
+
+<footer>Generated ${escapeHtml(generatedAt)} from Glooko CGM data. Not a medical device; discuss changes to therapy with your care team.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  formatReportLines,
+  renderHtmlReport
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { nullLogger } = require('./logger');
+
+/**
+ * On-disk cache for the authenticated Glooko session
+ * Stores cookie header, patient ID and expiry with owner-only permissions and optional AES-256-GCM encryption
+ */
+class SessionCache {
+  constructor(config, logger = nullLogger) {
+    this.config = {
+      file: config.file || 'glooko-session.json',
+      encryptionKey: config.encryptionKey || null
+    };
+    this.logger = logger;
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.config.encryptionKey, salt, 32);
+  }
+
+  encrypt(payload) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+    return {
+      version: 1,
+      encrypted: true,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(stored) {
+    if (!this.config.encryptionKey) {
+      throw new Error('Session cache is encrypted but no encryption key is configured');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.deriveKey(Buffer.from(stored.salt, 'base64')),
+      Buffer.from(stored.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.config.file)) {
+        return null;
+      }
+
+      const stored = JSON.parse(fs.readFileSync(this.config.file, 'utf8'));
+      const payload = stored.encrypted ? this.decrypt(stored) : stored;
+
+      if (!payload.session || !payload.sessionExpiry) {
+        throw new Error('Invalid session cache format');
+      }
+
+      if (payload.sessionExpiry <= Date.now()) {
+        this.logger.debug('⌛ Cached session has expired');
+        return null;
+      }
+
+      return payload;
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to load session cache: ${error.message}`);
+      return null;
+    }
+  }
+
+  save(session, sessionExpiry) {
+    const payload = {
+      version: 1,
+      session,
+      sessionExpiry,
+      savedAt: new Date().toISOString()
+    };
+    const stored = this.config.encryptionKey ? this.encrypt(payload) : payload;
+
+    try {
+      // Write to a temp file first so a crash never leaves a truncated cache behind
+      const tmpFile = `${this.config.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(stored, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpFile, this.config.file);
+      fs.chmodSync(this.config.file, 0o600);
+      this.logger.debug(`💾 Session cached to ${this.config.file}`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to save session cache: ${error.message}`);
+      return false;
+    }
+  }
+
+  clear() {
+    try {
+      if (fs.existsSync(this.config.file)) {
+        fs.unlinkSync(this.config.file);
+        this.logger.debug('🗑️  Session cache cleared');
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️  Failed to clear session cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { SessionCache };
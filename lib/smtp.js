@@ -0,0 +1,163 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Minimal SMTP client for alert e-mails
+ * Implicit TLS (port 465) or STARTTLS when offered, AUTH PLAIN, one message per connection
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.deliver();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  // Replies may span lines ("250-...") and end with the "250 ..." line
+  deliver() {
+    if (!this.waiting) return;
+    const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: parseInt(lines[lines.length - 1].slice(0, 3)), text: lines.map(line => line.slice(4)).join('\n') });
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  read(expected) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    }).then(reply => {
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP server replied ${reply.code}: ${reply.text}`);
+      }
+      return reply;
+    });
+  }
+
+  command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.read(Array.isArray(expected) ? expected : [expected]);
+  }
+
+  upgrade(servername, rejectUnauthorized) {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+      this.socket.removeAllListeners('error');
+      const secure = tls.connect({ socket: this.socket, servername, rejectUnauthorized }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const connectOptions = { host: options.host, port: options.port };
+    const socket = options.secure ?
+      tls.connect({ ...connectOptions, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false }) :
+      net.connect(connectOptions);
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  // RFC 2047 encoded-word for anything outside ASCII (emoji in alert subjects)
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = text.replace(/\r?\n/g, '\r\n')
+    // Dot-stuffing so a line with a single "." does not end the message
+    .replace(/^\./gm, '..');
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send one plain-text e-mail
+ * options: host, port, secure, starttls, user, password, from, to (string or list), subject, text
+ */
+async function sendMail(options) {
+  const to = Array.isArray(options.to) ? options.to : [options.to];
+  const secure = options.secure !== undefined ? options.secure : options.port === 465;
+  const port = options.port || (secure ? 465 : 587);
+  const socket = await connect({ ...options, port, secure });
+  const connection = new SmtpConnection(socket, options.timeoutMs || 30000);
+
+  try {
+    await connection.read([220]);
+    const hello = `EHLO ${os.hostname() || 'localhost'}`;
+    let features = (await connection.command(hello, 250)).text;
+
+    if (!secure && options.starttls !== false && /^STARTTLS/m.test(features)) {
+      await connection.command('STARTTLS', 220);
+      await connection.upgrade(options.host, options.rejectUnauthorized !== false);
+      features = (await connection.command(hello, 250)).text;
+    }
+
+    if (options.user) {
+      if (!/^AUTH.*\bPLAIN\b/m.test(features)) {
+        throw new Error('SMTP server does not offer AUTH PLAIN');
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.password || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, 235);
+    }
+
+    await connection.command(`MAIL FROM:<${options.from}>`, 250);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', 354);
+    await connection.command(`${buildMessage({ ...options, to })}\r\n.`, 250);
+    await connection.command('QUIT', 221).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = { sendMail, buildMessage };
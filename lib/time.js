@@ -0,0 +1,142 @@
+/**
+ * Timestamp normalization helpers
+ * Glooko sometimes labels local wall-clock times as UTC; these helpers convert them back using IANA timezones
+ */
+
+const MINUTE_MS = 60 * 1000;
+// Epoch and label within this window are considered the same instant
+const MATCH_TOLERANCE_MS = MINUTE_MS;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getSystemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffsetMs(timeZone, instantMs) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(instantMs)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const wallClockAsUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  const wholeSeconds = Math.floor(instantMs / 1000) * 1000;
+
+  return wallClockAsUtc - wholeSeconds;
+}
+
+/**
+ * Convert a wall-clock time that was labelled as UTC into the real UTC instant
+ * Around DST changes the offset is re-checked at the candidate instant
+ */
+function localLabelToUtc(labelledMs, timeZone) {
+  const candidateMs = labelledMs - getTimezoneOffsetMs(timeZone, labelledMs);
+  return labelledMs - getTimezoneOffsetMs(timeZone, candidateMs);
+}
+
+/**
+ * Work out the real UTC instant of a Glooko point from its `timestamp` label and `x` epoch
+ * mode: 'auto' detects local labelling, 'local' always treats the label as local time, 'utc' trusts it
+ * fixedOffsetMs: legacy manual correction (GLOOKO_TZ_OFFSET), subtracted from the label when set
+ */
+function normalizeGlookoTimestamp(point, options = {}) {
+  const {
+    timeZone = getSystemTimezone(),
+    mode = 'auto',
+    fixedOffsetMs = 0,
+    now = Date.now()
+  } = options;
+
+  const labelMs = Date.parse(point.timestamp);
+  const epochMs = Number.isFinite(point.x) ? point.x * 1000 : null;
+
+  if (Number.isNaN(labelMs)) {
+    if (epochMs !== null) {
+      return { date: new Date(epochMs), method: 'epoch' };
+    }
+    throw new Error(`Invalid Glooko timestamp: ${point.timestamp}`);
+  }
+
+  if (fixedOffsetMs) {
+    return { date: new Date(labelMs - fixedOffsetMs), method: 'fixed-offset' };
+  }
+  if (mode === 'utc') {
+    return { date: new Date(labelMs), method: 'utc' };
+  }
+  if (mode === 'local') {
+    return { date: new Date(localLabelToUtc(labelMs, timeZone)), method: 'local' };
+  }
+
+  if (epochMs !== null) {
+    // The label is the epoch's wall-clock time in the configured timezone: trust the epoch
+    const labelOffset = labelMs - epochMs;
+    if (Math.abs(labelOffset - getTimezoneOffsetMs(timeZone, epochMs)) < MATCH_TOLERANCE_MS &&
+        Math.abs(labelOffset) >= MATCH_TOLERANCE_MS) {
+      return { date: new Date(epochMs), method: 'epoch' };
+    }
+
+    // The epoch is the local wall-clock time and the label is real UTC
+    const epochOffset = epochMs - labelMs;
+    if (Math.abs(epochOffset - getTimezoneOffsetMs(timeZone, labelMs)) < MATCH_TOLERANCE_MS &&
+        Math.abs(epochOffset) >= MATCH_TOLERANCE_MS) {
+      return { date: new Date(labelMs), method: 'utc' };
+    }
+
+    // Both agree: genuine UTC, unless that puts the reading in the future
+    // Only local labels east of UTC end up in the future; west of UTC they pass for UTC (use mode 'local')
+    if (Math.abs(labelOffset) < MATCH_TOLERANCE_MS && labelMs <= now + 5 * MINUTE_MS) {
+      return { date: new Date(labelMs), method: 'utc' };
+    }
+  }
+
+  // No usable epoch (or a reading from the future): treat the label as local wall-clock time
+  return { date: new Date(localLabelToUtc(labelMs, timeZone)), method: 'local' };
+}
+
+function formatLocalTime(date, timeZone, locale = 'en-FI') {
+  return new Date(date).toLocaleString(locale, { timeZone });
+}
+
+module.exports = {
+  isValidTimezone,
+  getSystemTimezone,
+  getTimezoneOffsetMs,
+  localLabelToUtc,
+  normalizeGlookoTimestamp,
+  formatLocalTime
+};
@@ -0,0 +1,118 @@
+/**
+ * Trend estimation for CGM readings
+ * The graph API returns no trend, so directions are derived from the rate of change of recent readings
+ */
+
+const MINUTE_MS = 60 * 1000;
+const WINDOW_MS = 15 * MINUTE_MS;      // readings used for the rate of change
+const MAX_GAP_MS = 15 * MINUTE_MS;     // longer gaps make the trend not computable
+const MIN_SPAN_MS = 4 * MINUTE_MS;     // two readings closer than this are too noisy to use
+const MAX_RATE = 10;                   // mg/dL/min, faster is not physiological
+
+// Standard Dexcom/Nightscout thresholds in mg/dL/min
+function rateToDirection(rate) {
+  if (rate === null || !Number.isFinite(rate)) return 'NOT COMPUTABLE';
+  if (Math.abs(rate) > MAX_RATE) return 'RATE OUT OF RANGE';
+
+  // Round to avoid floating point noise flipping a direction at the thresholds
+  const rounded = Math.round(rate * 100) / 100;
+  if (rounded > 3) return 'DoubleUp';
+  if (rounded > 2) return 'SingleUp';
+  if (rounded > 1) return 'FortyFiveUp';
+  if (rounded >= -1) return 'Flat';
+  if (rounded >= -2) return 'FortyFiveDown';
+  if (rounded >= -3) return 'SingleDown';
+  return 'DoubleDown';
+}
+
+/**
+ * Least-squares slope in mg/dL per minute, which smooths single noisy points
+ */
+function linearRate(points) {
+  const n = points.length;
+  const t0 = points[0].date;
+  const xs = points.map(p => (p.date - t0) / MINUTE_MS);
+  const ys = points.map(p => p.sgv);
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) * (xs[i] - meanX);
+  }
+  return den === 0 ? null : num / den;
+}
+
+/**
+ * Compute direction, delta and rate for each entry
+ * history: previous readings ({ date, sgv }) so incremental runs of one or two points still get a trend
+ * Returns a Map keyed on entry date
+ */
+function computeTrends(entries, history = []) {
+  const byDate = new Map();
+  [...history, ...entries].forEach(point => {
+    if (Number.isFinite(point.date) && Number.isFinite(point.sgv)) {
+      byDate.set(point.date, { date: point.date, sgv: point.sgv });
+    }
+  });
+  const series = Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+
+  const trends = new Map();
+  series.forEach((point, i) => {
+    const previous = series[i - 1];
+
+    if (!previous || point.date - previous.date > MAX_GAP_MS) {
+      trends.set(point.date, { direction: 'NOT COMPUTABLE', delta: null, rate: null });
+      return;
+    }
+
+    const windowPoints = [];
+    for (let j = i; j >= 0 && point.date - series[j].date <= WINDOW_MS; j--) {
+      // Stop at a gap inside the window
+      if (j < i && series[j + 1].date - series[j].date > MAX_GAP_MS) break;
+      windowPoints.unshift(series[j]);
+    }
+
+    // Nightscout deltas are per 5 minutes
+    const gapMinutes = (point.date - previous.date) / MINUTE_MS;
+    const delta = Math.round(((point.sgv - previous.sgv) * 5 / gapMinutes) * 10) / 10;
+
+    if (point.date - windowPoints[0].date < MIN_SPAN_MS) {
+      trends.set(point.date, { direction: 'NOT COMPUTABLE', delta, rate: null });
+      return;
+    }
+
+    const rate = linearRate(windowPoints);
+    trends.set(point.date, {
+      direction: rateToDirection(rate),
+      delta,
+      rate: rate === null ? null : Math.round(rate * 100) / 100
+    });
+  });
+
+  return trends;
+}
+
+/**
+ * Keep the newest readings needed to compute trends on the next run
+ */
+function getTrendHistory(entries, history = [], windowMs = WINDOW_MS) {
+  const points = [...history, ...entries]
+    .filter(point => Number.isFinite(point.date) && Number.isFinite(point.sgv))
+    .map(point => ({ date: point.date, sgv: point.sgv }))
+    .sort((a, b) => a.date - b.date);
+  if (points.length === 0) return [];
+
+  const newest = points[points.length - 1].date;
+  const unique = new Map();
+  points.filter(point => newest - point.date <= windowMs).forEach(point => unique.set(point.date, point));
+  return Array.from(unique.values());
+}
+
+module.exports = {
+  computeTrends,
+  getTrendHistory,
+  rateToDirection
+};
@@ -0,0 +1,91 @@
+/**
+ * Glucose unit handling
+ * Everything is kept in canonical mg/dL internally and converted to the account's preferred unit for display
+ */
+
+const MGDL_PER_MMOL = 18.0143;
+// Glooko's internal glucose values (graph `value`, preference targets) are mg/dL × 100
+const GLOOKO_INTERNAL_SCALE = 100;
+
+const UNITS = {
+  mgdl: { label: 'mg/dL', nightscout: 'mg/dl' },
+  mmoll: { label: 'mmol/L', nightscout: 'mmol' }
+};
+
+/**
+ * Normalize Glooko's meterUnits ('mmoll', 'mgdl') and common spellings to 'mmoll' or 'mgdl'
+ */
+function normalizeUnits(units) {
+  const text = String(units || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (text === 'mgdl') return 'mgdl';
+  if (text === 'mmoll' || text === 'mmol') return 'mmoll';
+  return null;
+}
+
+function mmolToMgdl(mmol) {
+  return mmol * MGDL_PER_MMOL;
+}
+
+function mgdlToMmol(mgdl) {
+  return Math.round((mgdl / MGDL_PER_MMOL) * 10) / 10;
+}
+
+/**
+ * Graph API point to mg/dL; `y` is in the account's unit, `value` is the internal mg/dL × 100
+ */
+function graphValueToMgdl(point, meterUnits) {
+  const units = normalizeUnits(meterUnits);
+  if (units === 'mgdl') return point.y;
+  if (units === 'mmoll') return mmolToMgdl(point.y);
+
+  // Unknown account units (profile not fetched): trust the internal value, then the magnitude
+  if (Number.isFinite(point.value)) return point.value / GLOOKO_INTERNAL_SCALE;
+  return point.y > 35 ? point.y : mmolToMgdl(point.y);
+}
+
+function preferenceToMgdl(value) {
+  return Number.isFinite(value) ? value / GLOOKO_INTERNAL_SCALE : null;
+}
+
+/**
+ * Both representations of a glucose value: rounded mg/dL and mmol/L to one decimal
+ */
+function toBothUnits(mgdl) {
+  return {
+    mgdl: Math.round(mgdl),
+    mmol: mgdlToMmol(mgdl)
+  };
+}
+
+function toDisplayValue(mgdl, meterUnits) {
+  return normalizeUnits(meterUnits) === 'mgdl' ? Math.round(mgdl) : mgdlToMmol(mgdl);
+}
+
+function getUnitLabel(meterUnits) {
+  return UNITS[normalizeUnits(meterUnits) || 'mmoll'].label;
+}
+
+function getNightscoutUnits(meterUnits) {
+  return UNITS[normalizeUnits(meterUnits) || 'mmoll'].nightscout;
+}
+
+function formatGlucose(mgdl, meterUnits) {
+  if (!Number.isFinite(mgdl)) return 'n/a';
+  const value = toDisplayValue(mgdl, meterUnits);
+  return `${normalizeUnits(meterUnits) === 'mgdl' ? value : value.toFixed(1)} ${getUnitLabel(meterUnits)}`;
+}
+
+module.exports = {
+  MGDL_PER_MMOL,
+  GLOOKO_INTERNAL_SCALE,
+  normalizeUnits,
+  mmolToMgdl,
+  mgdlToMmol,
+  graphValueToMgdl,
+  preferenceToMgdl,
+  toBothUnits,
+  toDisplayValue,
+  getUnitLabel,
+  getNightscoutUnits,
+  formatGlucose
+};
@@ -0,0 +1,71 @@
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Minimal ZIP reader for Glooko data exports (stored and deflated entries, no ZIP64 or encryption)
+ */
+function readZipEntries(buffer) {
+  // The end of central directory record sits in the last 64 KiB (max comment length)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a ZIP file (end of central directory not found)');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entry "${name}" is not supported`);
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP local header for "${name}"`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = raw;
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(raw);
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for "${name}"`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = { readZipEntries };
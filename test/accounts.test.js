@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadAccounts, createLimiter, MultiAccountRunner } = require('../lib/accounts');
+const { createLogger } = require('../lib/logger');
+const { GlookoCGMReader } = require('../glooko-cgm-reader');
+const { startMockGlooko, createTempDir } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+
+function writeAccounts(dir, data) {
+  const file = path.join(dir, 'accounts.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test('accounts file gives every account its own credentials, Nightscout and state files', t => {
+  const dir = createTempDir(t, 'glooko-accounts-');
+  process.env.TEST_BOB_PASSWORD = 'from-env';
+  t.after(() => delete process.env.TEST_BOB_PASSWORD);
+
+  const file = writeAccounts(dir, {
+    concurrency: 3,
+    defaults: { env: 'eu', timezone: 'Europe/Helsinki' },
+    accounts: [
+      { name: 'alice', email: 'alice@example.com', password: 'a', nightscout: { url: 'https://alice.example.com', token: 'tok' } },
+      { name: 'bob', email: 'bob@example.com', password: '${TEST_BOB_PASSWORD}', env: 'us', timezone: 'America/New_York' }
+    ]
+  });
+
+  const { accounts, concurrency, statusFile } = loadAccounts(file, { gapLookbackHours: 12, nightscoutUrl: 'https://shared.example.com' });
+  const [alice, bob] = accounts;
+
+  assert.strictEqual(concurrency, 3);
+  assert.strictEqual(statusFile, path.join(dir, 'accounts', 'status.json'));
+  assert.strictEqual(alice.config.timezone, 'Europe/Helsinki');
+  assert.strictEqual(alice.config.nightscoutUrl, 'https://alice.example.com');
+  assert.strictEqual(alice.config.nightscoutToken, 'tok');
+  assert.strictEqual(alice.config.gapLookbackHours, 12);
+  assert.strictEqual(alice.config.checkpointFile, path.join(dir, 'accounts', 'alice', 'glooko-checkpoint.json'));
+  assert.strictEqual(bob.config.password, 'from-env');
+  assert.strictEqual(bob.config.env, 'us');
+  assert.strictEqual(bob.config.timezone, 'America/New_York');
+  // A Nightscout target is never inherited from another account or the environment
+  assert.strictEqual(bob.config.nightscoutUrl, null);
+  assert.strictEqual(bob.config.sessionFile, path.join(dir, 'accounts', 'bob', 'glooko-session.json'));
+
+  const duplicate = writeAccounts(dir, { accounts: [{ name: 'a', email: 'x', password: 'y' }, { name: 'a', email: 'x', password: 'y' }] });
+  assert.throws(() => loadAccounts(duplicate), /"a" is used twice/);
+  const unset = writeAccounts(dir, { accounts: [{ name: 'a', email: 'x', password: '${TEST_UNSET_PASSWORD}' }] });
+  assert.throws(() => loadAccounts(unset), /unset environment variable TEST_UNSET_PASSWORD/);
+});
+
+test('limiter never runs more tasks than allowed', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const task = async value => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return value;
+  };
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(() => task(value))));
+
+  assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+  assert.strictEqual(peak, 2);
+});
+
+test('a failing account does not stop the others', async t => {
+  const dir = createTempDir(t, 'glooko-accounts-');
+  const servers = { alice: await startMockGlooko(t), bob: await startMockGlooko(t) };
+  Object.values(servers).forEach(server => server.addReading(Date.now() - MINUTE_MS, 120));
+  servers.bob.failNext('/api/v3/graph/data', 500, 3);
+
+  const file = writeAccounts(dir, {
+    accounts: Object.entries(servers).map(([name, server]) => ({
+      name,
+      email: server.email,
+      password: server.password,
+      webUrl: server.url,
+      apiUrl: server.url,
+      timezone: 'UTC'
+    }))
+  });
+  const { accounts, statusFile } = loadAccounts(file, { sessionCache: false, gapLookbackHours: 0, retryDelayMs: 0 });
+
+  const lines = [];
+  const runner = new MultiAccountRunner(accounts, {
+    logger: createLogger({ level: 'info', write: line => lines.push(line) }),
+    concurrency: 2,
+    statusFile,
+    createReader: config => new GlookoCGMReader(config)
+  });
+  const results = await runner.runAll(reader => reader.getLatestCGMData());
+
+  assert.deepStrictEqual(results.map(status => [status.name, status.success]), [['alice', true], ['bob', false]]);
+  assert.strictEqual(results[0].count, 1);
+  assert.match(results[1].error, /status code 500/);
+  assert.ok(fs.existsSync(path.join(dir, 'accounts', 'alice', 'glooko-checkpoint.json')));
+  assert.ok(!fs.existsSync(path.join(dir, 'accounts', 'bob', 'glooko-checkpoint.json')));
+
+  const status = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+  assert.deepStrictEqual(status.accounts.map(account => account.success), [true, false]);
+
+  // Pretty output is prefixed with the account name
+  assert.ok(lines.includes('[alice] ✅ Authentication successful'));
+  assert.ok(lines.includes('❌ bob: Request failed with status code 500'));
+  assert.ok(lines.includes('📊 1 succeeded, 1 failed'));
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { AlertEngine, loadAlertsConfig } = require('../lib/alerts');
+const { createTempDir } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-03-01T08:00:00Z');
+const targets = { normalMin: 70, afterMealMax: 180 };
+
+function reading(minutes, sgv) {
+  return { date: T0 + minutes * MINUTE_MS, sgv };
+}
+
+// A new engine per run, as with one-shot cron runs, so only the state file carries over
+function createRunner(dir, config = {}) {
+  const lines = [];
+  const run = (minutes, sgvs = [], history = []) => {
+    const engine = new AlertEngine({
+      stateFile: path.join(dir, 'alert-state.json'),
+      write: line => lines.push(line),
+      ...config
+    });
+    const entries = sgvs.map(([at, sgv]) => reading(at, sgv));
+    return engine.process({ entries, history, targets, meterUnits: 'mgdl', now: T0 + minutes * MINUTE_MS });
+  };
+  return { run, lines };
+}
+
+const statuses = alerts => alerts.map(alert => `${alert.rule}:${alert.status}`);
+
+test('low alerts use hysteresis and repeat only after the snooze window', async t => {
+  const { run, lines } = createRunner(createTempDir(t, 'glooko-alerts-'));
+
+  assert.deepStrictEqual(statuses(await run(0, [[0, 66]])), ['low:triggered']);
+  assert.strictEqual(lines[0], '⬇️ Low: 66 mg/dL is below 70 mg/dL');
+
+  // Inside the hysteresis band (70-80) the alert stays active without notifying again
+  assert.deepStrictEqual(statuses(await run(5, [[5, 74]])), []);
+  assert.deepStrictEqual(statuses(await run(10, [[10, 79]])), []);
+
+  // Still low after the 30 minute snooze
+  assert.deepStrictEqual(statuses(await run(31, [[31, 68]])), ['low:repeat']);
+  assert.deepStrictEqual(statuses(await run(36, [[36, 80]])), ['low:resolved']);
+  assert.strictEqual(lines.length, 3);
+
+  // Urgent low mutes the plain low
+  assert.deepStrictEqual(statuses(await run(41, [[41, 52]])), ['urgentLow:triggered']);
+});
+
+test('snooze silences a rule across runs and no-data fires when readings stop', async t => {
+  const dir = createTempDir(t, 'glooko-alerts-');
+  const { run } = createRunner(dir, { rules: { high: { mgdl: 200, snoozeMinutes: 60 } } });
+
+  new AlertEngine({ stateFile: path.join(dir, 'alert-state.json') }).snooze('high', 90, T0);
+  assert.deepStrictEqual(statuses(await run(0, [[0, 240]])), []);
+  assert.deepStrictEqual(statuses(await run(60, [[60, 245]])), []);
+  assert.deepStrictEqual(statuses(await run(95, [[95, 250]])), ['high:repeat']);
+
+  // Glooko stops syncing: glucose rules go quiet and the no-data rule takes over
+  const stale = await run(130);
+  assert.deepStrictEqual(statuses(stale), ['staleData:triggered']);
+  assert.match(stale[0].message, /^No readings for 35 min \(last 250 mg\/dL/);
+
+  const back = await run(135, [[134, 150]]);
+  assert.deepStrictEqual(statuses(back), ['high:resolved', 'staleData:resolved']);
+});
+
+test('rapid fall uses the trend rate and alerts file validation', async t => {
+  const dir = createTempDir(t, 'glooko-alerts-');
+  const { run, lines } = createRunner(dir);
+  const history = [reading(0, 160), reading(5, 148), reading(10, 136)];
+
+  const alerts = await run(15, [[15, 124]], history);
+  assert.deepStrictEqual(statuses(alerts), ['fallingFast:triggered']);
+  assert.strictEqual(lines[0], '⏬ Falling fast: 124 mg/dL, falling 2.4 mg/dL/min');
+
+  const file = path.join(dir, 'alerts.json');
+  fs.writeFileSync(file, JSON.stringify({ rules: { risingFast: false }, notifiers: [{ type: 'webhook' }] }));
+  assert.throws(() => loadAlertsConfig(file), /webhook notifier needs a "url"/);
+
+  process.env.TEST_ALERT_WEBHOOK = 'https://hooks.example.com/glucose';
+  t.after(() => delete process.env.TEST_ALERT_WEBHOOK);
+  fs.writeFileSync(file, JSON.stringify({
+    rules: { risingFast: false },
+    hysteresisMgdl: 5,
+    notifiers: [{ type: 'webhook', url: '${TEST_ALERT_WEBHOOK}' }]
+  }));
+  const config = loadAlertsConfig(file);
+  assert.strictEqual(config.notifiers[0].url, 'https://hooks.example.com/glucose');
+  assert.strictEqual(new AlertEngine(config).rules.risingFast.enabled, false);
+  assert.strictEqual(new AlertEngine(config).options.hysteresisMgdl, 5);
+});
+
+test('webhook, exec and SMTP notifiers deliver, and one failing channel does not block the others', async t => {
+  const dir = createTempDir(t, 'glooko-alerts-');
+
+  const posts = [];
+  const webhook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+  t.after(() => webhook.close());
+
+  // Just enough SMTP to accept one message
+  const smtpLines = [];
+  const smtp = net.createServer(socket => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 mock ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        smtpLines.push(line);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          }
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250-mock\r\n250 AUTH PLAIN\r\n');
+        } else if (line.startsWith('AUTH')) {
+          socket.write('235 ok\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+  t.after(() => smtp.close());
+
+  const execFile = path.join(dir, 'exec.json');
+  const { run } = createRunner(dir, {
+    notifiers: [
+      { type: 'webhook', url: 'http://127.0.0.1:1/unreachable', timeoutMs: 1000 },
+      { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/alert` },
+      { type: 'exec', command: `cat > "${execFile}"` },
+      { type: 'smtp', host: '127.0.0.1', port: smtp.address().port, user: 'me', password: 'pw', from: 'cgm@example.com', to: 'parent@example.com' }
+    ]
+  });
+
+  const alerts = await run(0, [[0, 50]]);
+  assert.deepStrictEqual(statuses(alerts), ['urgentLow:triggered']);
+
+  assert.strictEqual(posts.length, 1);
+  assert.strictEqual(posts[0].rule, 'urgentLow');
+  assert.strictEqual(posts[0].severity, 'urgent');
+
+  assert.strictEqual(JSON.parse(fs.readFileSync(execFile, 'utf8')).message, '50 mg/dL is below 55 mg/dL');
+
+  assert.ok(smtpLines.includes(`AUTH PLAIN ${Buffer.from('\0me\0pw').toString('base64')}`));
+  assert.ok(smtpLines.includes('RCPT TO:<parent@example.com>'));
+  assert.ok(smtpLines.includes(`Subject: =?UTF-8?B?${Buffer.from('🚨 Urgent low').toString('base64')}?=`));
+  assert.ok(smtpLines.includes('50 mg/dL is below 55 mg/dL'));
+});
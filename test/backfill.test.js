@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { GlookoBackfill } = require('../lib/backfill');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+
+const HOUR_MS = 60 * 60 * 1000;
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+async function setup(t) {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t, 'glooko-backfill-');
+
+  // One reading every two hours on 1-3 January
+  for (let time = Date.parse('2025-01-01T00:30:00Z'); time < Date.parse('2025-01-04T00:00:00Z'); time += 2 * HOUR_MS) {
+    server.addReading(time, 120);
+  }
+
+  const reader = createTestReader(server, dir);
+
+  const createBackfill = (options = {}) => new GlookoBackfill(reader, {
+    from: '2025-01-01',
+    to: '2025-01-03',
+    delayMs: 0,
+    exportFile: path.join(dir, 'backfill.jsonl'),
+    checkpointFile: path.join(dir, 'glooko-backfill-checkpoint.json'),
+    ...options
+  });
+
+  const graphStarts = () => server.requestsTo('/api/v3/graph/data').map(request => request.query.get('startDate'));
+  const exported = () => fs.readFileSync(path.join(dir, 'backfill.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  return { server, dir, reader, createBackfill, graphStarts, exported };
+}
+
+test('the range is split into inclusive day or week chunks and bad options are refused', async t => {
+  const { createBackfill } = await setup(t);
+
+  assert.deepStrictEqual(createBackfill().getChunks(), [
+    { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-01T23:59:59.999Z' },
+    { startDate: '2025-01-02T00:00:00.000Z', endDate: '2025-01-02T23:59:59.999Z' },
+    { startDate: '2025-01-03T00:00:00.000Z', endDate: '2025-01-03T23:59:59.999Z' }
+  ]);
+
+  // The last week is cut at --to
+  const weeks = createBackfill({ to: '2025-01-10', chunk: 'week' }).getChunks();
+  assert.deepStrictEqual(weeks.map(chunk => [chunk.startDate, chunk.endDate]), [
+    ['2025-01-01T00:00:00.000Z', '2025-01-07T23:59:59.999Z'],
+    ['2025-01-08T00:00:00.000Z', '2025-01-10T23:59:59.999Z']
+  ]);
+
+  assert.throws(() => createBackfill({ from: '01.01.2025' }), /--from must be a date in YYYY-MM-DD format/);
+  assert.throws(() => createBackfill({ from: '2025-01-05' }), /--from must not be after --to/);
+  assert.throws(() => createBackfill({ chunk: 'month' }), /Unknown chunk size "month"/);
+  assert.throws(() => createBackfill({ format: 'csv' }), /Backfill exports JSON Lines only; .*--export --format csv --since 2025-01-01 --until 2025-01-03/);
+});
+
+test('a failure part-way keeps the finished chunks and the next run resumes after them', async t => {
+  const { server, dir, reader, createBackfill, graphStarts, exported } = await setup(t);
+  const checkpointFile = path.join(dir, 'glooko-backfill-checkpoint.json');
+
+  // Glooko fails every retry for the second day
+  server.failNext('/api/v3/graph/data', 503, 3, { startDate: '2025-01-02T00:00:00.000Z' });
+  await assert.rejects(createBackfill().run(), /status code 503/);
+
+  const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  assert.strictEqual(saved.completedChunks, 1);
+  assert.strictEqual(saved.entries, 12);
+  assert.strictEqual(exported().length, 12);
+
+  const progress = await createBackfill().run();
+
+  assert.deepStrictEqual(graphStarts().slice(4), ['2025-01-02T00:00:00.000Z', '2025-01-03T00:00:00.000Z']);
+  assert.strictEqual(progress.completedChunks, 3);
+  assert.strictEqual(progress.entries, 36);
+  assert.strictEqual(exported().length, 36);
+  assert.deepStrictEqual([...new Set(exported().map(line => line.dateString.slice(0, 10)))], ['2025-01-01', '2025-01-02', '2025-01-03']);
+  // Backfilled history lands in the local store for later range exports
+  assert.strictEqual(reader.getReadingStore().query().length, 36);
+
+  // A crash after appending a chunk but before saving the progress: the rerun does not export it twice
+  fs.writeFileSync(checkpointFile, JSON.stringify({ ...saved, completedChunks: 2, entries: 24 }));
+  const rerun = await createBackfill().run();
+  assert.strictEqual(rerun.completedChunks, 3);
+  assert.strictEqual(exported().length, 36);
+  assert.strictEqual(new Set(exported().map(line => line.glookoGuid)).size, 36);
+
+  // A finished range makes no more requests
+  await createBackfill().run();
+  assert.strictEqual(graphStarts().length, 7);
+
+  // A different range does not reuse the progress
+  const other = await createBackfill({ to: '2025-01-01' }).run();
+  assert.strictEqual(other.completedChunks, 1);
+  assert.deepStrictEqual(graphStarts().slice(7), ['2025-01-01T00:00:00.000Z']);
+});
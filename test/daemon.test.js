@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GlookoDaemon } = require('../lib/daemon');
+const { createLogger } = require('../lib/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Stands in for GlookoCGMReader: answers each poll with the next result (or throws it, if it is an Error)
+function fakeReader(results, lines = []) {
+  const reader = {
+    logger: createLogger({ level: 'error', format: 'json', write: line => lines.push(JSON.parse(line)) }),
+    calls: 0,
+    async getLatestCGMData() {
+      const result = results[Math.min(reader.calls++, results.length - 1)];
+      if (result instanceof Error) throw result;
+      return typeof result === 'function' ? result() : result;
+    }
+  };
+  return reader;
+}
+
+test('polls without new readings back off up to the maximum interval', () => {
+  const daemon = new GlookoDaemon(fakeReader([]), { intervalMinutes: 5, maxIntervalMinutes: 30 });
+  const now = Date.parse('2025-03-01T12:00:00Z');
+
+  // An incremental fetch returns the checkpoint reading again, so count alone is not new data
+  const idle = { success: true, count: 1, stored: 0, newReadings: 0 };
+  const delays = [1, 2, 3, 4, 5].map(() => daemon.getNextDelay(idle, now) / MINUTE_MS);
+  assert.deepStrictEqual(delays, [5, 10, 20, 30, 30]);
+
+  // Failures back off from twice the interval and reset the idle count
+  assert.deepStrictEqual([1, 2, 3].map(() => daemon.getNextDelay({ success: false }, now) / MINUTE_MS), [10, 20, 30]);
+  assert.strictEqual(daemon.idleRuns, 0);
+
+  // New readings count even when the local store is off and nothing is stored
+  const fresh = { success: true, count: 3, stored: undefined, newReadings: 2, latestReading: { date: now - 2 * MINUTE_MS } };
+  assert.strictEqual(daemon.getNextDelay(fresh, now), 4 * MINUTE_MS);
+  assert.deepStrictEqual([daemon.failedRuns, daemon.idleRuns], [0, 0]);
+});
+
+test('polls line up with the CGM cadence plus the sync lag', () => {
+  const daemon = new GlookoDaemon(fakeReader([]), { intervalMinutes: 5, syncLagMs: 30 * 1000 });
+  const now = Date.parse('2025-03-01T12:00:00Z');
+  const delayAfter = latestMinutesAgo => daemon.getNextDelay({ success: true, newReadings: 1, latestReading: { date: now - latestMinutesAgo * MINUTE_MS } }, now);
+
+  // Next reading due 5 min after the latest one, then 30 s for Glooko to sync it
+  assert.strictEqual(delayAfter(1), 4.5 * MINUTE_MS);
+  // Several readings behind: wait for the next slot, not one already past
+  assert.strictEqual(delayAfter(12), 3.5 * MINUTE_MS);
+  // A reading dated in the future (clock skew) falls back to the plain interval
+  assert.strictEqual(delayAfter(-2), 5 * MINUTE_MS);
+});
+
+test('stop() waits for the poll in flight and schedules nothing after it', async () => {
+  let finishPoll;
+  const reader = fakeReader([() => new Promise(resolve => { finishPoll = resolve; })]);
+  const results = [];
+  const daemon = new GlookoDaemon(reader, { onResult: result => results.push(result) });
+
+  const done = daemon.start();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(reader.calls, 1);
+
+  let stopped = false;
+  const stopping = daemon.stop('SIGTERM').then(() => { stopped = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(stopped, false);
+
+  finishPoll({ success: true, count: 1, newReadings: 1, latestReading: { date: Date.now() } });
+  await stopping;
+  await done;
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(daemon.timer, null);
+  assert.strictEqual(daemon.runCount, 1);
+  assert.strictEqual(reader.calls, 1);
+});
+
+test('a poll that throws is logged and the daemon keeps polling', async () => {
+  const lines = [];
+  const reader = fakeReader([new Error('Glooko is down'), { success: true, count: 0, newReadings: 0 }], lines);
+  let notified = 0;
+  // Minimum interval in milliseconds so the retries happen within the test
+  const daemon = new GlookoDaemon(reader, {
+    intervalMinutes: 1 / MINUTE_MS,
+    maxIntervalMinutes: 4 / MINUTE_MS,
+    onResult: () => {
+      notified++;
+      if (notified === 2) throw new Error('Result handler broke');
+    }
+  });
+
+  const done = daemon.start();
+  while (reader.calls < 3) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await daemon.stop();
+  await done;
+
+  // A failed fetch goes to onResult; a throwing onResult is logged and backs off like a failure
+  assert.ok(notified >= 3);
+  assert.deepStrictEqual(lines.map(line => line.msg), ['❌ Poll failed: Result handler broke']);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyDataQuality, isTrendable, NIGHTSCOUT_LOW, NIGHTSCOUT_HIGH } = require('../lib/data-quality');
+const { mgdlToMmol } = require('../lib/units');
+const { createTempDir, createTestReader } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-09-01T10:00:00Z');
+
+function entry(minutes, sgv, extra = {}) {
+  const date = T0 + minutes * MINUTE_MS;
+  return {
+    type: 'sgv',
+    sgv,
+    date,
+    dateString: new Date(date).toISOString(),
+    direction: 'NONE',
+    glookoGuid: `glooko_${date / 1000}_${sgv}`,
+    ...extra
+  };
+}
+
+test('sensor limits become Nightscout LOW/HIGH special values', () => {
+  const { entries, rejected } = applyDataQuality([entry(0, 40), entry(5, 120), entry(10, 400)]);
+
+  assert.strictEqual(rejected.length, 0);
+  const [high, normal, low] = entries;
+  assert.strictEqual(low.sgv, NIGHTSCOUT_LOW);
+  assert.strictEqual(low.glookoSgv, 40);
+  assert.deepStrictEqual(low.qualityFlags, ['sensor-low']);
+  assert.strictEqual(high.sgv, NIGHTSCOUT_HIGH);
+  assert.strictEqual(high.direction, 'NOT COMPUTABLE');
+  assert.strictEqual(isTrendable(high), false);
+  assert.strictEqual(isTrendable(normal), true);
+});
+
+test('calculated points are flagged, kept or dropped', () => {
+  const calculated = () => [entry(0, 120, { calculated: true })];
+
+  const flagged = applyDataQuality(calculated()).entries[0];
+  assert.deepStrictEqual(flagged.qualityFlags, ['calculated']);
+  assert.strictEqual(flagged.noise, 2);
+
+  assert.strictEqual(applyDataQuality(calculated(), { calculated: 'keep' }).entries[0].qualityFlags, undefined);
+
+  const dropped = applyDataQuality(calculated(), { calculated: 'drop' });
+  assert.strictEqual(dropped.entries.length, 0);
+  assert.strictEqual(dropped.rejected[0].reason, 'calculated');
+});
+
+test('duplicate timestamps keep the measured point', () => {
+  const { entries, rejected } = applyDataQuality([
+    entry(0, 125, { calculated: true }),
+    entry(0, 120)
+  ]);
+
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].sgv, 120);
+  assert.strictEqual(rejected[0].reason, 'duplicate-timestamp');
+});
+
+test('impossible jumps and invalid values are rejected with a reason', () => {
+  const { entries, rejected } = applyDataQuality([
+    entry(0, 110),
+    entry(5, 250),
+    entry(10, 115),
+    entry(15, 0),
+    // Jumps next to a sensor limit are not judged
+    entry(20, 40),
+    entry(25, 90)
+  ]);
+
+  assert.deepStrictEqual(entries.map(e => e.sgv), [90, NIGHTSCOUT_LOW, 115, 110]);
+  assert.deepStrictEqual(rejected.map(r => r.reason).sort(), ['implausible-jump', 'invalid-value']);
+  assert.match(rejected.find(r => r.reason === 'implausible-jump').detail, /110 to 250 and back to 115 mg\/dL in 10\.0 min/);
+
+  assert.strictEqual(applyDataQuality([entry(0, 110), entry(5, 250), entry(10, 115)], { maxRateMgdlPerMin: 0 }).entries.length, 3);
+});
+
+test('a fast drop that stays is kept, only the isolated outlier is rejected', () => {
+  // 148 to 65 in five minutes and staying low is a real drop, not a spike
+  const drop = applyDataQuality([entry(0, 148), entry(5, 65), entry(10, 62), entry(15, 60)]);
+  assert.deepStrictEqual(drop.entries.map(e => e.sgv), [60, 62, 65, 148]);
+  assert.strictEqual(drop.rejected.length, 0);
+
+  // The readings after a spike are judged against the last good one, not the spike
+  const spike = applyDataQuality([entry(0, 120), entry(5, 122), entry(10, 300), entry(15, 124), entry(20, 126)]);
+  assert.deepStrictEqual(spike.entries.map(e => e.sgv), [126, 124, 122, 120]);
+  assert.deepStrictEqual(spike.rejected.map(r => r.sgv), [300]);
+});
+
+test('history from the previous run catches a spike at the start of a batch', () => {
+  const history = [{ date: T0 - 10 * MINUTE_MS, sgv: 118 }, { date: T0 - 5 * MINUTE_MS, sgv: 120 }];
+  const batch = () => [entry(0, 300), entry(5, 121), entry(10, 123), entry(15, 124)];
+
+  const { entries, rejected } = applyDataQuality(batch(), {}, history);
+  assert.deepStrictEqual(entries.map(e => e.sgv), [124, 123, 121]);
+  assert.deepStrictEqual(rejected.map(r => [r.sgv, r.reason]), [[300, 'implausible-jump']]);
+  assert.match(rejected[0].detail, /120 to 300 and back to 121 mg\/dL/);
+
+  // Without history the first point has only one neighbour and cannot be judged
+  assert.strictEqual(applyDataQuality(batch()).entries.length, 4);
+
+  // A spike that ended the previous run does not get the real readings after it rejected
+  const afterSpike = applyDataQuality([entry(0, 121), entry(5, 123)], {}, [{ date: T0 - 5 * MINUTE_MS, sgv: 300 }]);
+  assert.deepStrictEqual([afterSpike.entries.length, afterSpike.rejected.length], [2, 0]);
+});
+
+test('the reader seeds the jump check from the checkpoint readings', t => {
+  const reader = createTestReader(null, createTempDir(t));
+  reader.recentReadings = [{ date: T0 - 5 * MINUTE_MS, sgv: 120 }];
+  const reading = (minutes, value) => {
+    const timestamp = new Date(T0 + minutes * MINUTE_MS).toISOString();
+    return { timestamp, x: Date.parse(timestamp) / 1000, value, y_mmol: mgdlToMmol(value), guid: `glooko_${minutes}_${value}` };
+  };
+
+  const entries = reader.transformToNightscout([reading(5, 122), reading(0, 300)]);
+  assert.deepStrictEqual(entries.map(e => e.sgv), [122]);
+  assert.deepStrictEqual(reader.rejectedReadings.map(r => r.sgv), [300]);
+});
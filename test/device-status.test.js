@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+const { startMockNightscout } = require('./mock-nightscout-server');
+
+const MINUTE_MS = 60 * 1000;
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+async function setup(t, user) {
+  const glooko = await startMockGlooko(t, { user });
+  const nightscout = await startMockNightscout(t);
+  const reader = createTestReader(glooko, createTempDir(t), {
+    nightscoutUrl: nightscout.url,
+    nightscoutApiSecret: 'test-secret-123',
+    nightscoutApi: 'v1',
+    gapLookbackHours: 0,
+    env: 'eu'
+  });
+  return { glooko, nightscout, reader };
+}
+
+test('every upload run posts the connected devices, sync times and fetch outcome', async t => {
+  const { glooko, nightscout, reader } = await setup(t, mgdlUser);
+  glooko.addReading(Date.now() - MINUTE_MS, 120);
+
+  const result = await reader.getLatestCGMData({ upload: true });
+  assert.strictEqual(result.upload.deviceStatus, true);
+  assert.strictEqual(nightscout.deviceStatus.length, 1);
+
+  const [record] = nightscout.deviceStatus;
+  assert.deepStrictEqual(record, result.deviceStatusRecord);
+  assert.strictEqual(record.device, 'glooko2nightscout');
+  assert.deepStrictEqual(Object.keys(record.uploader), ['name', 'version']);
+  assert.deepStrictEqual([record.glooko.region, record.glooko.cgm, record.glooko.pump], ['eu', [], ['Omnipod 5']]);
+  assert.deepStrictEqual(record.glooko.lastSyncTimestamps, mgdlUser.lastSyncTimestamps);
+  assert.strictEqual(record.glooko.lastReadingTime, glooko.points[0].timestamp);
+  assert.deepStrictEqual([record.glooko.lastFetch.success, record.glooko.lastFetch.count], [true, 1]);
+});
+
+test('Glooko has no battery or reservoir levels, so Nightscout gets no pump or uploader battery', async t => {
+  const { reader } = await setup(t, mgdlUser);
+  await reader.authenticate();
+
+  const record = reader.buildDeviceStatus({ success: true, count: 0 });
+  // The pump name stays under glooko; a top-level pump object is read by Nightscout's pump plugin
+  assert.strictEqual(record.pump, undefined);
+  assert.strictEqual(record.uploader.battery, undefined);
+  assert.deepStrictEqual(record.glooko.pump, ['Omnipod 5']);
+});
+
+test('a failed fetch is reported, and nothing is posted without device data', async t => {
+  const { glooko, nightscout, reader } = await setup(t, mgdlUser);
+  glooko.failNext('/api/v3/graph/data', 500, 3);
+
+  const failed = await reader.getLatestCGMData({ upload: true });
+  assert.strictEqual(failed.success, false);
+  assert.deepStrictEqual([nightscout.deviceStatus.length, nightscout.deviceStatus[0].glooko.lastFetch.success], [1, false]);
+  assert.match(nightscout.deviceStatus[0].glooko.lastFetch.error, /status code 500/);
+
+  // No connected devices and no device syncs: nothing to tell caregivers
+  const noDevices = { ...mgdlUser, hasOmnipod5: false, lastSyncTimestamps: { cgmDevice: null, meter: null, pump: null } };
+  const empty = await setup(t, noDevices);
+  empty.glooko.addReading(Date.now() - MINUTE_MS, 120);
+  const result = await empty.reader.getLatestCGMData({ upload: true });
+  assert.deepStrictEqual([result.success, result.deviceStatusRecord, result.upload.deviceStatus], [true, null, false]);
+  assert.strictEqual(empty.nightscout.requestsTo('POST', '/api/v1/devicestatus').length, 0);
+  assert.strictEqual(empty.nightscout.entries.length, 1);
+});
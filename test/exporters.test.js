@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getExporter, getFormats, filterByTimeRange, registerExporter } = require('../lib/exporters');
+const { applyDataQuality } = require('../lib/data-quality');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-07-01T10:00:00Z');
+
+function entry(minutes, sgv, extra = {}) {
+  const date = T0 + minutes * MINUTE_MS;
+  return {
+    type: 'sgv',
+    sgv,
+    sgv_mmol: Math.round(sgv / 18.0182 * 10) / 10,
+    date,
+    dateString: new Date(date).toISOString(),
+    direction: 'Flat',
+    delta: 0,
+    device: 'glooko-cgm',
+    glookoGuid: `glooko_${date / 1000}_${sgv}`,
+    ...extra
+  };
+}
+
+// Newest first like the reader; 40 and 400 become Nightscout's LOW and HIGH placeholders
+function exportData() {
+  const { entries } = applyDataQuality([entry(0, 40), entry(5, 52), entry(30, 250), entry(35, 400)]);
+  return {
+    exportedAt: '2025-07-01T12:00:00.000Z',
+    patientId: 'us-test-0002',
+    entries,
+    treatments: [{ eventType: 'Correction Bolus', created_at: new Date(T0).toISOString(), insulin: 1.5 }]
+  };
+}
+
+test('csv writes one row per reading and leaves LOW/HIGH placeholders out of the glucose columns', () => {
+  const lines = getExporter('csv').serialize(exportData()).trim().split('\n');
+
+  assert.strictEqual(lines[0], 'dateString,localTime,date,sgv,sgv_mmol,direction,delta,device,glookoGuid,sensorLimit');
+  assert.strictEqual(lines.length, 5);
+  const rows = lines.slice(1).map(line => line.split(','));
+  assert.deepStrictEqual(rows.map(row => [row[3], row[9]]), [['', 'low'], ['52', ''], ['250', ''], ['', 'high']]);
+  assert.strictEqual(rows[0][4], '');
+  assert.strictEqual(rows[0][2], String(T0));
+
+  const quoted = getExporter('csv').serialize({ entries: [entry(0, 100, { device: 'xDrip, "phone"' })] });
+  assert.match(quoted, /,"xDrip, ""phone""",/);
+});
+
+test('fhir Observations use comparators and interpretations at the sensor limits', () => {
+  const bundle = JSON.parse(getExporter('fhir').serialize(exportData()));
+
+  assert.strictEqual(bundle.resourceType, 'Bundle');
+  assert.strictEqual(bundle.type, 'collection');
+  assert.strictEqual(bundle.entry.length, 4);
+  const [low, measured, , high] = bundle.entry.map(item => item.resource);
+
+  assert.deepStrictEqual(measured.valueQuantity, { value: 52, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' });
+  assert.strictEqual(measured.interpretation, undefined);
+  assert.strictEqual(measured.code.coding[0].code, '99504-3');
+  assert.strictEqual(measured.effectiveDateTime, new Date(T0 + 5 * MINUTE_MS).toISOString());
+
+  assert.deepStrictEqual([low.valueQuantity.comparator, low.valueQuantity.value, low.interpretation[0].coding[0].code], ['<=', 40, 'LL']);
+  assert.deepStrictEqual([high.valueQuantity.comparator, high.valueQuantity.value, high.interpretation[0].coding[0].code], ['>=', 400, 'HH']);
+
+  // Stable ids, so a re-export gives the same resources
+  const again = JSON.parse(getExporter('fhir').serialize(exportData()));
+  assert.deepStrictEqual(again.entry.map(item => item.fullUrl), bundle.entry.map(item => item.fullUrl));
+  assert.match(bundle.entry[0].fullUrl, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.match(low.id, /^[A-Za-z0-9\-.]{1,64}$/);
+});
+
+test('tidepool cbg records carry local device time and out-of-range annotations', () => {
+  const records = JSON.parse(getExporter('tidepool').serialize(exportData(), { timezone: 'Europe/Helsinki' }));
+
+  assert.strictEqual(records.length, 4);
+  const [low, measured, , high] = records;
+  assert.deepStrictEqual(
+    [measured.type, measured.units, measured.value, measured.time, measured.deviceTime, measured.timezoneOffset],
+    ['cbg', 'mg/dL', 52, '2025-07-01T10:05:00.000Z', '2025-07-01T13:05:00', 180]
+  );
+  // The patient ID is a secret; the device ID only has to stay the same per account
+  assert.match(measured.deviceId, /^glooko2nightscout-[0-9a-f]{16}$/);
+  assert.ok(!measured.deviceId.includes('us-test-0002'));
+  const other = JSON.parse(getExporter('tidepool').serialize({ ...exportData(), patientId: 'us-test-0003' }));
+  assert.notStrictEqual(other[0].deviceId, measured.deviceId);
+  assert.strictEqual(measured.annotations, undefined);
+
+  assert.deepStrictEqual(low.annotations, [{ code: 'bg/out-of-range', value: 'low', threshold: 40 }]);
+  assert.deepStrictEqual(high.annotations, [{ code: 'bg/out-of-range', value: 'high', threshold: 400 }]);
+});
+
+test('nightscout keeps the placeholders, the registry rejects bad formats and ranges include whole days', () => {
+  const entries = JSON.parse(getExporter('nightscout').serialize(exportData()));
+  assert.deepStrictEqual(entries.map(item => item.sgv), [401, 250, 52, 39]);
+
+  const wrapper = JSON.parse(getExporter('json').serialize(exportData()));
+  assert.deepStrictEqual([wrapper.count, wrapper.treatmentCount, wrapper.source], [4, 1, 'Glooko']);
+
+  assert.deepStrictEqual(getFormats().slice(0, 5), ['json', 'csv', 'nightscout', 'tidepool', 'fhir']);
+  assert.throws(() => getExporter('xml'), /Unknown export format "xml" \(available: json, csv/);
+  assert.throws(() => registerExporter({ name: 'broken' }), /needs a name and a serialize\(\) function/);
+
+  const items = [entry(-24 * 60, 100), entry(0, 110), { created_at: '2025-07-01T23:59:00.000Z' }, entry(24 * 60, 120)];
+  assert.strictEqual(filterByTimeRange(items, { from: '2025-07-01', to: '2025-07-01' }).length, 2);
+  assert.strictEqual(filterByTimeRange(items, { to: '2025-07-01T10:00:00Z' }).length, 2);
+  assert.strictEqual(filterByTimeRange(items).length, 4);
+
+  // Plain dates are local days: 1 July in Helsinki is 30 June 21:00 to 1 July 20:59:59.999 UTC
+  const helsinki = { from: '2025-07-01', to: '2025-07-01', timezone: 'Europe/Helsinki' };
+  const around = [Date.parse('2025-06-30T20:59:00Z'), Date.parse('2025-06-30T21:00:00Z'), Date.parse('2025-07-01T20:59:00Z'), Date.parse('2025-07-01T21:00:00Z')];
+  assert.deepStrictEqual(filterByTimeRange(around.map(date => ({ date })), helsinki).map(item => item.date), around.slice(1, 3));
+  // West of UTC the day ends the next morning in UTC
+  const newYork = filterByTimeRange([{ date: Date.parse('2025-07-02T03:59:00Z') }, { date: Date.parse('2025-07-02T04:00:00Z') }], { to: '2025-07-01', timezone: 'America/New_York' });
+  assert.strictEqual(newYork.length, 1);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SLOT_MS, toSlot, addSeenSlots, pruneSlots, findGaps } = require('../lib/gaps');
+const { createLogger } = require('../lib/logger');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+test('gaps are runs of two or more missing slots between seen readings', () => {
+  // Sensor clock drift of a minute stays in the same slot
+  assert.strictEqual(toSlot(100 * DEFAULT_SLOT_MS + MINUTE_MS), 100);
+  assert.strictEqual(toSlot(100 * DEFAULT_SLOT_MS - MINUTE_MS), 100);
+
+  const seen = addSeenSlots([18, 10], [{ date: 11 * DEFAULT_SLOT_MS }, { date: 14 * DEFAULT_SLOT_MS }, { date: NaN }, { date: 15 * DEFAULT_SLOT_MS }, { date: 20 * DEFAULT_SLOT_MS }]);
+  assert.deepStrictEqual(pruneSlots(seen, 0), [10, 11, 14, 15, 18, 20]);
+  assert.deepStrictEqual(pruneSlots(seen, 14), [14, 15, 18, 20]);
+
+  // 19 alone is not a gap; nothing before the first reading counts
+  assert.deepStrictEqual(findGaps(seen, 0), [
+    { startSlot: 12, endSlot: 13, slots: 2, start: new Date(12 * DEFAULT_SLOT_MS).toISOString(), end: new Date(13 * DEFAULT_SLOT_MS).toISOString() },
+    { startSlot: 16, endSlot: 17, slots: 2, start: new Date(16 * DEFAULT_SLOT_MS).toISOString(), end: new Date(17 * DEFAULT_SLOT_MS).toISOString() }
+  ]);
+  assert.deepStrictEqual(findGaps(seen, 14).map(gap => gap.startSlot), [16]);
+  assert.deepStrictEqual(findGaps(seen, 0, { minGapSlots: 1 }).map(gap => gap.slots), [2, 2, 1]);
+});
+
+test('healGaps re-queries the newest gaps, fills late syncs and gives up after the attempt limit', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+
+  // Readings every 5 minutes for the last 100 minutes; three gaps in what the fetch delivered
+  const base = (toSlot(Date.now()) - 20) * DEFAULT_SLOT_MS;
+  const slotAt = i => base + i * DEFAULT_SLOT_MS;
+  const gapA = [3, 4];
+  const gapB = [8, 9, 10];
+  const gapC = [14, 15];
+  for (let i = 0; i <= 18; i++) {
+    // Glooko never gets gap B
+    if (!gapB.includes(i)) server.addReading(slotAt(i), 120 + (i % 3));
+  }
+  const delivered = [];
+  for (let i = 0; i <= 18; i++) {
+    if (![...gapA, ...gapB, ...gapC].includes(i)) delivered.push({ date: slotAt(i), sgv: 120 });
+  }
+
+  const reader = createTestReader(server, createTempDir(t), { gapLookbackHours: 2, gapMaxAttempts: 2, gapMaxWindows: 2 });
+  const graphRequests = () => server.requestsTo('/api/v3/graph/data').length;
+  const heal = async entries => {
+    const report = await reader.healGaps(entries);
+    reader.seenSlots = report.seenSlots;
+    reader.gapAttempts = report.gapAttempts;
+    return report;
+  };
+
+  // Only the two newest gaps are queried
+  const first = await heal(delivered);
+  assert.strictEqual(graphRequests(), 2);
+  assert.deepStrictEqual(first.entries.map(entry => entry.date).sort(), gapC.map(slotAt));
+  assert.deepStrictEqual(first.filled, [{ start: new Date(slotAt(14)).toISOString(), end: new Date(slotAt(15)).toISOString(), recovered: 2 }]);
+  assert.deepStrictEqual(first.missing.map(gap => [gap.start, gap.attempts]), [
+    [new Date(slotAt(3)).toISOString(), 0],
+    [new Date(slotAt(8)).toISOString(), 1]
+  ]);
+
+  // The next run gets to the older gap
+  const second = await heal([]);
+  assert.strictEqual(graphRequests(), 4);
+  assert.deepStrictEqual(second.entries.map(entry => entry.date).sort(), gapA.map(slotAt));
+  assert.deepStrictEqual(second.missing.map(gap => [gap.slots, gap.attempts]), [[3, 2]]);
+
+  // Gap B has used its attempts
+  const third = await heal([]);
+  assert.strictEqual(graphRequests(), 4);
+  assert.deepStrictEqual(third.entries, []);
+  assert.deepStrictEqual(third.missing.map(gap => [gap.slots, gap.attempts]), [[3, 2]]);
+  assert.deepStrictEqual(Object.values(reader.gapAttempts), [2]);
+});
+
+test('a healed gap gets trends from the surrounding readings and reports only its own rejections', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+
+  // Rising 5 mg/dL per reading; the fetch missed slots 6 and 7
+  const base = (toSlot(Date.now()) - 12) * DEFAULT_SLOT_MS;
+  const slotAt = i => base + i * DEFAULT_SLOT_MS;
+  const delivered = [];
+  for (let i = 0; i <= 10; i++) {
+    server.addReading(slotAt(i), 100 + i * 5);
+    if (i < 6 || i > 7) delivered.push({ date: slotAt(i), sgv: 100 + i * 5 });
+  }
+  // Invalid points next to a delivered reading and inside the gap
+  server.addReading(slotAt(5) + MINUTE_MS, 0);
+  server.addReading(slotAt(7) + MINUTE_MS, 0);
+
+  const lines = [];
+  const reader = createTestReader(server, createTempDir(t), {
+    gapLookbackHours: 2,
+    logger: createLogger({ level: 'info', format: 'json', write: line => lines.push(JSON.parse(line)) })
+  });
+  const report = await reader.healGaps(delivered);
+
+  const recovered = report.entries.sort((a, b) => a.date - b.date);
+  assert.deepStrictEqual(recovered.map(entry => [entry.date, entry.sgv]), [[slotAt(6), 130], [slotAt(7), 135]]);
+  // The query alone starts one reading before the gap, too short for a direction
+  assert.notStrictEqual(recovered[0].direction, 'NOT COMPUTABLE');
+  assert.strictEqual(recovered[0].delta, 5);
+
+  // The point next to slot 5 was already handled by the run that delivered it
+  assert.deepStrictEqual(reader.rejectedReadings.map(point => [point.date, point.reason]), [[slotAt(7) + MINUTE_MS, 'invalid-value']]);
+  assert.deepStrictEqual(lines.filter(line => /Transformed/.test(line.msg)), []);
+});
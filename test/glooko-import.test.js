@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { GlookoExportImporter, parseCsv, parseLocalTimestamp, detectDateOrder } = require('../lib/glooko-import');
+const { readZipEntries } = require('../lib/zip');
+const { createTempDir, createTestReader } = require('./mock-glooko-server');
+
+// Hand-written CSVs laid out like Glooko's "Export to CSV" files, one per regional variant
+const FIXTURES = path.join(__dirname, 'fixtures', 'glooko-export');
+const fixture = name => path.join(FIXTURES, name);
+
+const importFile = (name, config = {}) => new GlookoExportImporter({ timezone: 'UTC', ...config }).parse(fixture(name));
+
+test('parseCsv handles semicolons, quoted fields, escaped quotes and CRLF', () => {
+  assert.deepStrictEqual(parseCsv('a;b;c\r\n1;"x;y";3\r\n\r\n4;5;6'), [['a', 'b', 'c'], ['1', 'x;y', '3'], ['4', '5', '6']]);
+  assert.deepStrictEqual(parseCsv('Timestamp,Value\n"say ""hi""","1,5"\n'), [['Timestamp', 'Value'], ['say "hi"', '1,5']]);
+  // A quoted first line with a comma still picks the comma delimiter
+  assert.deepStrictEqual(parseCsv('"Name:A, Date Range:B"\nx,y\n'), [['Name:A, Date Range:B'], ['x', 'y']]);
+});
+
+test('detectDateOrder looks at the whole column', () => {
+  assert.strictEqual(detectDateOrder(['2025-01-14 08:05']), 'ymd');
+  // One day past 12 settles it either way
+  assert.strictEqual(detectDateOrder(['01/02/2025 08:00', '13/02/2025 08:00']), 'dmy');
+  assert.strictEqual(detectDateOrder(['01/02/2025 08:00', '02/13/2025 08:00']), 'mdy');
+  // Ambiguous: 12-hour clocks mean a US export, 24-hour ones day-first
+  assert.strictEqual(detectDateOrder(['01/02/25 08:00 AM']), 'mdy');
+  assert.strictEqual(detectDateOrder(['01.02.2025 08:00']), 'dmy');
+  assert.strictEqual(detectDateOrder([]), 'dmy');
+});
+
+test('parseLocalTimestamp reads 12-hour clocks, two-digit years and dotted dates', () => {
+  const utc = text => new Date(text).getTime();
+
+  assert.strictEqual(parseLocalTimestamp('01/14/25 12:05 AM', 'mdy'), utc('2025-01-14T00:05:00Z'));
+  assert.strictEqual(parseLocalTimestamp('01/14/25 12:10 PM', 'mdy'), utc('2025-01-14T12:10:00Z'));
+  assert.strictEqual(parseLocalTimestamp('01/14/25 1:15 pm', 'mdy'), utc('2025-01-14T13:15:00Z'));
+  assert.strictEqual(parseLocalTimestamp('02/03/2025 14:07:30', 'dmy'), utc('2025-03-02T14:07:30Z'));
+  assert.strictEqual(parseLocalTimestamp('02/03/2025 14:07:30', 'mdy'), utc('2025-02-03T14:07:30Z'));
+  assert.strictEqual(parseLocalTimestamp('14.01.2025 08:05', 'dmy'), utc('2025-01-14T08:05:00Z'));
+  assert.strictEqual(parseLocalTimestamp('2025-01-14T08:05:09', 'dmy'), utc('2025-01-14T08:05:09Z'));
+  // Day-first dates read month-first do not roll over into another year
+  assert.strictEqual(parseLocalTimestamp('14.01.2025 08:05', 'mdy'), null);
+  assert.strictEqual(parseLocalTimestamp('31/02/2025 08:05', 'dmy'), null);
+  assert.strictEqual(parseLocalTimestamp('yesterday', 'dmy'), null);
+  assert.strictEqual(parseLocalTimestamp('', 'dmy'), null);
+});
+
+test('mmol/L and mg/dL columns, decimal commas and regional dates become mg/dL readings', () => {
+  const mmol = importFile('cgm_data_mmol_semicolon.csv');
+  assert.deepStrictEqual(mmol.files, [{ name: 'cgm_data_mmol_semicolon.csv', kind: 'cgm', dateOrder: 'dmy', records: 3 }]);
+  // Newest first; the empty value is skipped
+  assert.deepStrictEqual(mmol.readings.map(reading => [reading.timestamp, reading.value, reading.y_mmol]), [
+    ['2025-01-14T08:20:00.000Z', 126, 7],
+    ['2025-01-14T08:10:00.000Z', 110, 6.1],
+    ['2025-01-14T08:05:00.000Z', 101, 5.6]
+  ]);
+
+  const mgdl = importFile('cgm_data_mgdl_us.csv');
+  assert.strictEqual(mgdl.files[0].dateOrder, 'mdy');
+  assert.deepStrictEqual(mgdl.readings.map(reading => [reading.timestamp.slice(11, 16), reading.value]), [
+    ['13:15', 162], ['12:10', 150], ['11:55', 143], ['00:05', 101]
+  ]);
+
+  // The dates say a wall-clock time; --timezone turns it into the real instant
+  const helsinki = importFile('cgm_data_mmol_semicolon.csv', { timezone: 'Europe/Helsinki' });
+  assert.strictEqual(helsinki.readings[0].timestamp, '2025-01-14T08:20:00.000Z');
+  assert.strictEqual(helsinki.readings[0].x, Date.parse('2025-01-14T06:20:00Z') / 1000);
+
+  // --date-format overrides detection; the wrong order finds no valid dates here
+  const forced = importFile('cgm_data_mmol_semicolon.csv', { dateFormat: 'mdy' });
+  assert.strictEqual(forced.files[0].dateOrder, 'mdy');
+  assert.strictEqual(forced.readings.length, 0);
+});
+
+test('a column without a unit is mg/dL only when a value is above 35', () => {
+  const mgdl = importFile('cgm_data_no_unit_mgdl.csv');
+  assert.deepStrictEqual(mgdl.readings.map(reading => reading.value), [98, 112]);
+  assert.strictEqual(mgdl.files[0].dateOrder, 'dmy');
+
+  const mmol = importFile('cgm_data_no_unit_mmol.csv');
+  assert.deepStrictEqual(mmol.readings.map(reading => [reading.value, reading.y_mmol]), [[97, 5.4], [112, 6.2]]);
+});
+
+test('readZipEntries reads stored and deflated entries, and the importer takes a whole ZIP', () => {
+  const entries = readZipEntries(fs.readFileSync(fixture('glooko-export.zip')));
+  assert.deepStrictEqual(entries.map(entry => entry.name), [
+    'glooko-export/cgm_data_1.csv', 'glooko-export/bolus_data_1.csv', 'glooko-export/basal_data_1.csv', 'glooko-export/readme.txt'
+  ]);
+  assert.strictEqual(entries[0].data.toString('utf8'), fs.readFileSync(fixture('cgm_data_mmol_semicolon.csv'), 'utf8'));
+  assert.strictEqual(entries[1].data.toString('utf8'), fs.readFileSync(fixture('bolus_data.csv'), 'utf8'));
+  assert.throws(() => readZipEntries(Buffer.from('not a zip file at all, just some text')), /Not a ZIP file/);
+
+  const result = new GlookoExportImporter({ timezone: 'UTC' }).parse(fixture('glooko-export.zip'));
+  assert.deepStrictEqual(result.files.map(file => [file.name, file.kind, file.records]), [
+    ['cgm_data_1.csv', 'cgm', 3], ['bolus_data_1.csv', 'bolus', 2], ['basal_data_1.csv', 'basal', 4]
+  ]);
+
+  const { boluses, basals, suspends } = result.treatmentData;
+  assert.deepStrictEqual(boluses.map(bolus => [bolus.insulin, bolus.carbs, bolus.bolusType]), [[4.5, 45, 'pump'], [0.35, 0, 'automatic']]);
+  // Scheduled segments last until the next one; the last one is still running
+  assert.deepStrictEqual(basals.map(basal => [basal.basalType, basal.rate, basal.durationMinutes]), [
+    ['scheduled', 0.8, 60], ['temporary', 0.4, 30], ['scheduled', 0.8, null]
+  ]);
+  assert.deepStrictEqual(suspends.map(suspend => [suspend.timestamp, suspend.durationMinutes]), [['2025-01-14T08:00:00.000Z', 15]]);
+});
+
+test('an import does not move the incremental fetch checkpoint', async t => {
+  const dir = createTempDir(t, 'glooko-import-');
+  const checkpointFile = path.join(dir, 'checkpoint.json');
+  const checkpoint = { lastGuid: 'glooko_1704067200_100', lastReadingTime: '2024-01-01T00:00:00.000Z', recentReadings: [] };
+  fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint));
+
+  const reader = createTestReader(null, dir);
+  const result = await reader.importGlookoExport(fixture('glooko-export.zip'));
+
+  assert.strictEqual(result.count, 3);
+  assert.strictEqual(reader.getReadingStore().query().length, 3);
+  assert.deepStrictEqual([reader.lastGuid, reader.lastReadingTime], [checkpoint.lastGuid, checkpoint.lastReadingTime]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')), checkpoint);
+});
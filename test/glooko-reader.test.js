@@ -0,0 +1,296 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { SESSION_COOKIE, startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+const { startMockNightscout } = require('./mock-nightscout-server');
+
+const MINUTE_MS = 60 * 1000;
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+// Gap re-queries have their own tests; here they would add graph requests to every run
+const createReader = (server, dir, overrides = {}) => createTestReader(server, dir, { gapLookbackHours: 0, ...overrides });
+
+// One reading every 5 minutes up to `newest`, rising 8 mg/dL per reading from 100 mg/dL
+function addRisingReadings(server, count, newest = Date.now() - MINUTE_MS) {
+  for (let i = 0; i < count; i++) {
+    server.addReading(newest - (count - 1 - i) * 5 * MINUTE_MS, 100 + i * 8);
+  }
+}
+
+// Minimal puppeteer stand-in that submits the login form against the mock server's session store
+function createFakeBrowser(server) {
+  const typed = {};
+  let currentUrl = 'about:blank';
+  let sessionId = null;
+
+  const page = {
+    on() {},
+    async setUserAgent() {},
+    async setViewport() {},
+    async goto(url) { currentUrl = url; },
+    url: () => currentUrl,
+    async waitForSelector() {},
+    async type(selector, text) { typed[selector] = text; },
+    async click() {},
+    async waitForNavigation() {
+      if (typed['input[name="user[email]"]'] === server.email && typed['input[name="user[password]"]'] === server.password) {
+        sessionId = server.createSession();
+        currentUrl = `${server.url}/dashboard`;
+      }
+    },
+    async $() { return null; },
+    async evaluate() { return server.patientId; },
+    async cookies() { return [{ name: SESSION_COOKIE, value: sessionId }]; }
+  };
+
+  return {
+    closed: false,
+    async newPage() { return page; },
+    async close() { this.closed = true; }
+  };
+}
+
+test('HTTP login goes through the injected client and loads the profile', async t => {
+  const server = await startMockGlooko(t);
+  const calls = [];
+  const httpClient = {
+    request: config => {
+      calls.push(`${config.method} ${new URL(config.url).pathname}`);
+      return axios.request(config);
+    },
+    get: (url, config) => {
+      calls.push(`GET ${new URL(url).pathname}`);
+      return axios.get(url, config);
+    }
+  };
+
+  const reader = createReader(server, createTempDir(t), { httpClient });
+  const session = await reader.authenticate();
+
+  assert.strictEqual(session.patientId, 'fi-test-0001');
+  assert.match(session.cookieHeader, new RegExp(`${SESSION_COOKIE}=mock-session-1`));
+  assert.deepStrictEqual(calls, ['GET /users/sign_in', 'POST /users/sign_in', 'GET /dashboard', 'GET /api/v3/session/users']);
+  assert.match(server.requestsTo('/users/sign_in')[1].body, /authenticity_token=mock-csrf-token/);
+  assert.strictEqual(reader.userProfile.meterUnits, 'mmoll');
+  assert.strictEqual(reader.userProfile.glucoseTargets.normalMin, 70);
+
+  const rejected = createReader(server, createTempDir(t), { password: 'wrong-password' });
+  await assert.rejects(rejected.loginWithHttp(), /Login failed: Invalid email or password/);
+});
+
+test('browser login uses the injected launcher', async t => {
+  const server = await startMockGlooko(t);
+  const browser = createFakeBrowser(server);
+  const launches = [];
+  const reader = createReader(server, createTempDir(t), {
+    authStrategy: 'browser',
+    launchBrowser: async options => {
+      launches.push(options);
+      return browser;
+    }
+  });
+
+  const session = await reader.authenticate();
+
+  assert.strictEqual(launches.length, 1);
+  assert.strictEqual(launches[0].headless, true);
+  assert.strictEqual(browser.closed, true);
+  assert.strictEqual(session.patientId, 'fi-test-0001');
+  // The browser's cookies are valid for the API
+  assert.strictEqual(reader.userProfile.glookoCode, 'fi-test-0001');
+});
+
+test('full fetch, checkpoint, then incremental fetch from the newest reading', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t);
+  const newest = Date.now() - MINUTE_MS;
+  addRisingReadings(server, 12, newest - 5 * MINUTE_MS);
+
+  const first = await createReader(server, dir).getLatestCGMData();
+
+  assert.strictEqual(first.success, true);
+  assert.strictEqual(first.count, 12);
+  assert.strictEqual(first.newReadings, 12);
+  const [fullRequest] = server.requestsTo('/api/v3/graph/data');
+  assert.ok(Date.parse(fullRequest.query.get('startDate')) <= Date.now() - 23 * 60 * MINUTE_MS);
+  assert.deepStrictEqual(fullRequest.query.getAll('series[]').slice(0, 3), ['cgmHigh', 'cgmNormal', 'cgmLow']);
+
+  // Graph points become mg/dL Nightscout entries, newest first
+  const latest = first.entries[0];
+  assert.strictEqual(latest.sgv, 188);
+  assert.strictEqual(latest.sgv_mmol, 10.4);
+  assert.strictEqual(latest.dateString, server.points[11].timestamp);
+  assert.strictEqual(latest.direction, 'FortyFiveUp');
+  assert.strictEqual(latest.delta, 8);
+  assert.strictEqual(first.entries[11].sgv, 100);
+
+  const checkpoint = JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8'));
+  assert.strictEqual(checkpoint.lastReadingTime, latest.dateString);
+  assert.strictEqual(checkpoint.patientId, 'us-test-0002');
+  assert.ok(checkpoint.recentReadings.length > 0);
+
+  // A new process picks up from the checkpoint
+  server.addReading(newest, 196);
+  const second = await createReader(server, dir).getLatestCGMData();
+
+  const incrementalRequest = server.requestsTo('/api/v3/graph/data')[1];
+  assert.strictEqual(incrementalRequest.query.get('startDate'), checkpoint.lastReadingTime);
+  // The overlapping reading comes back, but only the new one counts and is stored
+  assert.strictEqual(second.count, 2);
+  assert.strictEqual(second.newReadings, 1);
+  assert.strictEqual(second.stored, 1);
+
+  // Nothing new since the checkpoint (the daemon backs off), with or without the local store
+  const idle = await createReader(server, dir, { store: false }).getLatestCGMData();
+  assert.deepStrictEqual([idle.count, idle.newReadings, idle.stored], [1, 0, null]);
+  assert.strictEqual(second.entries[0].sgv, 196);
+  assert.strictEqual(second.entries[0].direction, 'FortyFiveUp');
+  assert.strictEqual(second.checkpoint.lastReadingTime, server.points[12].timestamp);
+});
+
+test('expired sessions are renewed on 401 and persistent errors give up', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  addRisingReadings(server, 3);
+  const reader = createReader(server, createTempDir(t));
+  const start = new Date(Date.now() - 60 * MINUTE_MS).toISOString();
+  const end = new Date().toISOString();
+
+  await reader.authenticate();
+  server.expireSessions();
+  const { readings } = await reader.fetchGraphRange(start, end);
+
+  assert.strictEqual(readings.length, 3);
+  assert.strictEqual(server.logins, 2);
+  assert.deepStrictEqual(server.requestsTo('/api/v3/graph/data').map(request => request.query.get('patient')), ['us-test-0002', 'us-test-0002']);
+
+  server.failNext('/api/v3/graph/data', 500, 2);
+  await assert.rejects(reader.fetchGraphRange(start, end, { maxRetries: 2 }), /status code 500/);
+  // Every retry starts from a fresh login
+  assert.strictEqual(server.logins, 3);
+});
+
+test('the session cache survives validation errors and is cleared only when Glooko rejects it', async t => {
+  const server = await startMockGlooko(t);
+  const dir = createTempDir(t);
+  const sessionFile = path.join(dir, 'session.json');
+  const cached = () => createReader(server, dir, { sessionCache: true, sessionFile });
+
+  await cached().authenticate();
+  assert.strictEqual(server.logins, 1);
+  assert.ok(fs.existsSync(sessionFile));
+
+  // A server error while checking the cookies keeps them
+  server.failNext('/api/v3/session/users', 503);
+  await cached().authenticate();
+  assert.strictEqual(server.logins, 1);
+  assert.ok(fs.existsSync(sessionFile));
+
+  server.expireSessions();
+  await cached().authenticate();
+  assert.strictEqual(server.logins, 2);
+});
+
+test('the running basal segment waits in the checkpoint until the next one gives its duration', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t);
+  const newest = Date.now() - MINUTE_MS;
+  addRisingReadings(server, 3, newest - 5 * MINUTE_MS);
+  server.addSeriesPoint('scheduledBasal', newest - 60 * MINUTE_MS, { rate: 0.8 });
+
+  const first = await createReader(server, dir).getLatestCGMData();
+  assert.strictEqual(first.treatments.filter(treatment => treatment.eventType === 'Temp Basal').length, 0);
+  const checkpoint = JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8'));
+  assert.strictEqual(checkpoint.openBasal.rate, 0.8);
+
+  // The next segment starts after the incremental window opens, so the first one only comes from the checkpoint
+  server.addReading(newest, 124);
+  server.addSeriesPoint('temporaryBasal', newest - MINUTE_MS, { rate: 1.5 });
+  const second = await createReader(server, dir).getLatestCGMData();
+
+  const basals = second.treatments.filter(treatment => treatment.eventType === 'Temp Basal');
+  assert.deepStrictEqual(basals.map(treatment => [treatment.rate, treatment.duration]), [[0.8, 59]]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8')).openBasal.rate, 1.5);
+});
+
+test('the store does not hide readings from a later upload or export', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t);
+  addRisingReadings(server, 4);
+
+  const nightscout = await startMockNightscout(t);
+  const withNightscout = { nightscoutUrl: nightscout.url, nightscoutApiSecret: 'test-secret-123', nightscoutApi: 'v1' };
+
+  // A plain fetch stores the readings
+  assert.strictEqual((await createReader(server, dir).getLatestCGMData()).stored, 4);
+
+  // ...and a later `--full --upload` run still sends them; the uploader's own dedupe stops repeats
+  const uploaded = await createReader(server, dir, withNightscout).getLatestCGMData({ upload: true, forceFullFetch: true });
+  assert.deepStrictEqual([uploaded.count, uploaded.stored, uploaded.upload.uploaded], [4, 0, 4]);
+  assert.strictEqual(nightscout.entries.length, 4);
+  const again = await createReader(server, dir, withNightscout).getLatestCGMData({ upload: true, forceFullFetch: true });
+  assert.deepStrictEqual([again.upload.uploaded, again.upload.skipped], [0, 4]);
+
+  // Every export of the same day has the whole window, not just what the incremental fetch returned
+  const exportFile = path.join(dir, 'export.json');
+  for (let run = 0; run < 2; run++) {
+    await createReader(server, dir).exportToFile(exportFile);
+    assert.strictEqual(JSON.parse(fs.readFileSync(exportFile, 'utf8')).entries.length, 4);
+  }
+});
+
+test('--since/--until exports stored history that the fetch did not return', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t);
+  addRisingReadings(server, 2);
+
+  // Readings an earlier run stored three days ago
+  const earlier = Date.now() - 3 * 24 * 60 * MINUTE_MS;
+  const reader = createReader(server, dir);
+  reader.getReadingStore().append([0, 5].map(minutes => ({ type: 'sgv', sgv: 140, date: earlier + minutes * MINUTE_MS, glookoGuid: `old-${minutes}` })));
+
+  const exportFile = path.join(dir, 'history.csv');
+  await reader.exportToFile(exportFile, { format: 'csv', since: new Date(earlier - MINUTE_MS).toISOString(), until: new Date(earlier + 60 * MINUTE_MS).toISOString() });
+  const rows = fs.readFileSync(exportFile, 'utf8').trim().split('\n').slice(1);
+  assert.deepStrictEqual(rows.map(row => row.split(',')[3]), ['140', '140']);
+
+  await reader.exportToFile(exportFile, { format: 'csv', since: new Date(earlier - MINUTE_MS).toISOString() });
+  assert.strictEqual(fs.readFileSync(exportFile, 'utf8').trim().split('\n').length, 5);
+});
+
+test('a failed run leaves the checkpoint where it was and the next run fetches the readings again', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t);
+  const newest = Date.now() - MINUTE_MS;
+  addRisingReadings(server, 3, newest - 5 * MINUTE_MS);
+  const nightscout = await startMockNightscout(t);
+  // One reader for every run, like daemon mode
+  const reader = createReader(server, dir, { nightscoutUrl: nightscout.url, nightscoutApiSecret: 'test-secret-123', nightscoutApi: 'v1' });
+  const checkpoint = () => JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8'));
+
+  assert.strictEqual((await reader.getLatestCGMData({ upload: true })).success, true);
+  const saved = checkpoint();
+  assert.strictEqual(saved.lastReadingTime, server.points[2].timestamp);
+
+  server.addReading(newest, 124);
+  nightscout.failNext('POST', '/api/v1/entries', 500);
+  const failed = await reader.getLatestCGMData({ upload: true });
+  assert.strictEqual(failed.success, false);
+  assert.match(failed.error, /Nightscout upload failed/);
+  assert.deepStrictEqual(checkpoint(), saved);
+  assert.deepStrictEqual([reader.lastGuid, reader.lastReadingTime], [saved.lastGuid, saved.lastReadingTime]);
+
+  // Any other failure after the fetch puts the cursor back as well
+  const getReadingStore = reader.getReadingStore;
+  reader.getReadingStore = () => { throw new Error('disk full'); };
+  assert.strictEqual((await reader.getLatestCGMData({ upload: true })).success, false);
+  assert.strictEqual(reader.lastReadingTime, saved.lastReadingTime);
+  reader.getReadingStore = getReadingStore;
+
+  const retried = await reader.getLatestCGMData({ upload: true });
+  assert.strictEqual(retried.success, true);
+  assert.deepStrictEqual(server.requestsTo('/api/v3/graph/data').slice(1).map(request => request.query.get('startDate')), Array(3).fill(saved.lastReadingTime));
+  assert.deepStrictEqual(nightscout.entries.map(entry => entry.sgv), [116, 108, 100, 124]);
+  assert.strictEqual(checkpoint().lastReadingTime, server.points[3].timestamp);
+});
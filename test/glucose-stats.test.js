@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getRanges, computeGlycemicStats } = require('../lib/glucose-stats');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-01-10T00:00:00Z');
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+const SAMPLE = [50, 60, 80, 100, 120, 150, 180, 200, 260, 300];
+const sampleEntries = () => SAMPLE.map((sgv, i) => ({ date: T0 + i * 5 * MINUTE_MS, sgv }));
+
+test('time in ranges, mean, GMI, CV and sensor wear', () => {
+  const stats = computeGlycemicStats(sampleEntries(), { from: T0, to: T0 + 100 * MINUTE_MS });
+
+  assert.strictEqual(stats.count, 10);
+  assert.strictEqual(stats.ranges.source, 'consensus');
+  assert.deepStrictEqual(stats.timeInRanges, { veryLow: 10, low: 10, inRange: 50, high: 10, veryHigh: 20 });
+  assert.deepStrictEqual([stats.tir, stats.tbr, stats.tar], [50, 20, 30]);
+  assert.strictEqual(stats.mean, 150);
+  assert.strictEqual(stats.sd, 84.6);
+  assert.strictEqual(stats.cv, 56.4);
+  assert.deepStrictEqual(stats.gmi, { percent: 6.9, mmolMol: 52 });
+  assert.strictEqual(stats.sensorWear, 50);
+
+  // Personal targets move the in-range band; very low/high stay at the consensus limits
+  const ranges = getRanges({ normalMin: 80, afterMealMax: 200 });
+  assert.deepStrictEqual(ranges, { veryLow: 54, low: 80, high: 200, veryHigh: 250, source: 'glooko' });
+  const personal = computeGlycemicStats(sampleEntries(), { from: T0, to: T0 + 100 * MINUTE_MS, ranges });
+  assert.deepStrictEqual(personal.timeInRanges, { veryLow: 10, low: 10, inRange: 60, high: 0, veryHigh: 20 });
+
+  assert.strictEqual(getRanges({ normalMin: 80, afterMealMax: 200 }, 'consensus').source, 'consensus');
+  assert.throws(() => getRanges(null, 'glooko'), /Glooko targets are not available/);
+});
+
+test('AGP bands are hourly percentiles by local time', () => {
+  // 22:xx UTC is 00:xx in Helsinki (UTC+2 in January)
+  const entries = [100, 110, 120, 130, 140, 150].map((sgv, i) => ({
+    date: T0 + (i % 3) * 24 * 60 * MINUTE_MS - 2 * 60 * MINUTE_MS + i * MINUTE_MS,
+    sgv
+  }));
+  entries.push(...[90, 95, 99].map((sgv, i) => ({ date: T0 - MINUTE_MS * (60 - i), sgv })));
+
+  const stats = computeGlycemicStats(entries, { from: T0 - 24 * 60 * MINUTE_MS, to: T0 + 3 * 24 * 60 * MINUTE_MS, timezone: 'Europe/Helsinki' });
+
+  assert.deepStrictEqual(stats.agp[0], { hour: 0, count: 6, p5: 102.5, p25: 112.5, p50: 125, p75: 137.5, p95: 147.5 });
+  // Too few readings for percentiles
+  assert.strictEqual(stats.agp[1].count, 3);
+  assert.strictEqual(stats.agp[1].p50, null);
+  assert.strictEqual(stats.agp.length, 24);
+});
+
+test('report fetches the period, writes HTML and JSON and leaves the checkpoint alone', async t => {
+  const server = await startMockGlooko(t, { user: mgdlUser });
+  const dir = createTempDir(t, 'glooko-report-');
+
+  const newest = Date.now() - MINUTE_MS;
+  for (let i = 0; i < 36; i++) {
+    server.addReading(newest - i * 5 * MINUTE_MS, 100 + Math.abs((i % 12) - 6) * 10);
+  }
+
+  const reader = createTestReader(server, dir);
+
+  const htmlFile = path.join(dir, 'report.html');
+  const jsonFile = path.join(dir, 'report.json');
+  const stats = await reader.generateReport({ days: 1, htmlFile, jsonFile });
+
+  assert.strictEqual(stats.count, 36);
+  assert.strictEqual(stats.ranges.source, 'glooko');
+  assert.strictEqual(stats.sensorWear, 12.5);
+  assert.strictEqual(reader.lastReadingTime, null);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'checkpoint.json')), false);
+
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<svg [^>]*aria-label="Ambulatory glucose profile"/);
+  assert.match(html, /<polyline points="[\d., ]+"/);
+  assert.doesNotMatch(html, /<script|<link|src="http/);
+
+  const json = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  assert.strictEqual(json.units, 'mgdl');
+  assert.strictEqual(json.agp.length, 24);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, REDACTED } = require('../lib/logger');
+
+function capture(options) {
+  const lines = [];
+  const logger = createLogger({ ...options, write: line => lines.push(line) });
+  return { logger, lines };
+}
+
+test('levels filter output', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+  logger.error('bad');
+  logger.warn('careful');
+  logger.info('hello');
+  logger.trace('raw');
+
+  assert.deepStrictEqual(lines, ['bad', 'careful']);
+  assert.strictEqual(logger.isLevelEnabled('trace'), false);
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level/);
+});
+
+test('json format writes one record per line with child fields', () => {
+  const { logger, lines } = capture({ level: 'info', format: 'json' });
+  logger.child({ component: 'uploader' }).info('\n✅ Uploaded 3 entries', { uploaded: 3 });
+
+  const record = JSON.parse(lines[0]);
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(record.level, 'info');
+  assert.strictEqual(record.component, 'uploader');
+  assert.strictEqual(record.msg, '✅ Uploaded 3 entries');
+  assert.deepStrictEqual(record.data, { uploaded: 3 });
+  assert.ok(!Number.isNaN(Date.parse(record.time)));
+});
+
+test('secrets are redacted from messages and data', () => {
+  const { logger, lines } = capture({ level: 'debug', format: 'json' });
+  logger.addSecret('hunter2-password');
+  logger.child({ component: 'auth' }).addSecret('patient-1234');
+
+  logger.debug('Login with hunter2-password for patient-1234');
+  logger.debug('GET https://eu.api.glooko.com/api/v3/graph/data?patient=abcd-9999&startDate=2025-01-01');
+  logger.debug('Set-Cookie: _logbook-web_session=c2VjcmV0; path=/');
+  logger.debug('session', {
+    cookieHeader: '_logbook-web_session=c2VjcmV0',
+    patientId: 'abcd-9999',
+    nested: { password: 'x', apiSecret: 'y', count: 2 }
+  });
+
+  const records = lines.map(line => JSON.parse(line));
+  assert.strictEqual(records[0].msg, `Login with ${REDACTED} for ${REDACTED}`);
+  assert.match(records[1].msg, /patient=\[REDACTED\]&startDate=2025-01-01/);
+  assert.match(records[2].msg, /_logbook-web_session=\[REDACTED\]; path=\//);
+  assert.deepStrictEqual(records[3].data, {
+    cookieHeader: REDACTED,
+    patientId: REDACTED,
+    nested: { password: REDACTED, apiSecret: REDACTED, count: 2 }
+  });
+  assert.ok(!lines.join('\n').includes('c2VjcmV0'));
+  assert.ok(!lines.join('\n').includes('abcd-9999'));
+});
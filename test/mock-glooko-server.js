@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { mgdlToMmol } = require('../lib/units');
+
+const SESSION_COOKIE = '_logbook-web_session';
+const CSRF_TOKEN = 'mock-csrf-token';
+const CGM_SERIES = ['cgmHigh', 'cgmNormal', 'cgmLow'];
+
+/**
+ * Local stand-in for the Glooko web and API hosts
+ * Serves the sign-in form, dashboard, /api/v3/session/users and /api/v3/graph/data from fixtures,
+ * and records every request so tests can check what the reader asked for
+ */
+class MockGlookoServer {
+  constructor(options = {}) {
+    this.email = options.email || 'patient@example.com';
+    this.password = options.password || 'correct-password';
+    this.user = options.user || require('./fixtures/session-users-mmol.json').currentUser;
+    this.patientId = options.patientId || this.user.glookoCode;
+    this.points = [];
+    this.otherSeries = {};
+    this.sessions = new Set();
+    this.failures = [];
+    this.requests = [];
+    this.logins = 0;
+    this.nextSession = 1;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Add a CGM point the way the graph API reports it: `y` in the account unit, `value` in mg/dL × 100
+   */
+  addReading(date, mgdl, extra = {}) {
+    // Glooko timestamps have whole seconds
+    const time = new Date(Math.floor(new Date(date).getTime() / 1000) * 1000);
+    this.points.push({
+      x: time.getTime() / 1000,
+      y: this.user.meterUnits === 'mgdl' ? mgdl : mgdlToMmol(mgdl),
+      value: mgdl * 100,
+      timestamp: time.toISOString(),
+      mealTag: 'none',
+      calculated: false,
+      ...extra
+    });
+  }
+
+  /**
+   * Add a point to a treatment series (boluses, carbs, basal, suspends), e.g. { rate, duration } for basal
+   */
+  addSeriesPoint(name, date, fields = {}) {
+    const time = new Date(Math.floor(new Date(date).getTime() / 1000) * 1000);
+    (this.otherSeries[name] = this.otherSeries[name] || []).push({
+      x: time.getTime() / 1000,
+      timestamp: time.toISOString(),
+      ...fields
+    });
+  }
+
+  createSession() {
+    const id = `mock-session-${this.nextSession++}`;
+    this.sessions.add(id);
+    return id;
+  }
+
+  // Glooko expiring the session cookies server-side
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  // Answer the next `count` requests to a path (and with these query values, if given) with an error status
+  failNext(path, status, count = 1, query = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ path, status, query });
+    }
+  }
+
+  requestsTo(path) {
+    return this.requests.filter(request => request.path === path);
+  }
+
+  getSession(req) {
+    const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='));
+    const session = cookies.find(([name]) => name === SESSION_COOKIE);
+    return session && this.sessions.has(session[1]) ? session[1] : null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+    this.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+    const failure = this.failures.findIndex(item => item.path === url.pathname &&
+      Object.entries(item.query).every(([name, value]) => url.searchParams.get(name) === value));
+    if (failure !== -1) {
+      const { status } = this.failures.splice(failure, 1)[0];
+      return this.send(res, status, { error: 'Mock failure' });
+    }
+
+    const session = this.getSession(req);
+    const route = `${req.method} ${url.pathname}`;
+
+    switch (route) {
+      case 'GET /users/sign_in':
+        if (session) return this.redirect(res, '/dashboard');
+        return this.send(res, 200, this.signInPage(), {
+          'Set-Cookie': `${SESSION_COOKIE}=anonymous; path=/; HttpOnly`
+        });
+
+      case 'POST /users/sign_in': {
+        const form = new URLSearchParams(body);
+        if (form.get('authenticity_token') !== CSRF_TOKEN ||
+            form.get('user[email]') !== this.email ||
+            form.get('user[password]') !== this.password) {
+          return this.send(res, 422, this.signInPage('Invalid email or password.'));
+        }
+        this.logins++;
+        return this.redirect(res, '/dashboard', {
+          'Set-Cookie': `${SESSION_COOKIE}=${this.createSession()}; path=/; HttpOnly`
+        });
+      }
+
+      case 'GET /dashboard':
+        if (!session) return this.redirect(res, '/users/sign_in');
+        return this.send(res, 200, `<html><body><script>window.patient = "${this.patientId}";</script></body></html>`);
+
+      case 'GET /api/v3/session/users':
+        if (!session) return this.send(res, 401, { error: 'Unauthorized' });
+        return this.send(res, 200, { currentUser: this.user });
+
+      case 'GET /api/v3/graph/data':
+        if (!session) return this.send(res, 401, { error: 'Unauthorized' });
+        if (url.searchParams.get('patient') !== this.patientId) return this.send(res, 403, { error: 'Forbidden' });
+        return this.send(res, 200, { series: this.graphSeries(url.searchParams) });
+
+      default:
+        return this.send(res, 404, { error: 'Not found' });
+    }
+  }
+
+  graphSeries(params) {
+    const start = Date.parse(params.get('startDate'));
+    const end = Date.parse(params.get('endDate'));
+    const inRange = this.points.filter(point => {
+      const time = Date.parse(point.timestamp);
+      return time >= start && time <= end;
+    });
+
+    const series = {};
+    params.getAll('series[]').forEach(name => { series[name] = []; });
+    inRange.forEach(point => {
+      const mgdl = point.value / 100;
+      const name = mgdl < 70 ? 'cgmLow' : (mgdl > 180 ? 'cgmHigh' : 'cgmNormal');
+      if (series[name]) series[name].push(point);
+    });
+    CGM_SERIES.forEach(name => {
+      if (series[name]) series[name].sort((a, b) => a.x - b.x);
+    });
+    Object.keys(series).filter(name => this.otherSeries[name]).forEach(name => {
+      series[name] = this.otherSeries[name].filter(point => point.x * 1000 >= start && point.x * 1000 <= end);
+    });
+    return series;
+  }
+
+  signInPage(error = null) {
+    return `<html><body>
+      ${error ? `<div class="alert alert-danger">${error}</div>` : ''}
+      <form class="new_user" id="new_user" action="/users/sign_in" method="post">
+        <input type="hidden" name="authenticity_token" value="${CSRF_TOKEN}" />
+        <input type="email" name="user[email]" />
+        <input type="password" name="user[password]" />
+        <input type="submit" value="Sign in" />
+      </form>
+    </body></html>`;
+  }
+
+  redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+  }
+
+  send(res, status, body, headers = {}) {
+    const json = typeof body !== 'string';
+    res.writeHead(status, {
+      'Content-Type': json ? 'application/json' : 'text/html',
+      ...headers
+    });
+    res.end(json ? JSON.stringify(body) : body);
+  }
+}
+
+/**
+ * Start a mock Glooko server for one test; it is stopped when the test ends
+ */
+async function startMockGlooko(t, options = {}) {
+  const server = new MockGlookoServer(options);
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+/**
+ * Temporary directory for checkpoint, store and export files, removed when the test ends
+ */
+function createTempDir(t, prefix = 'glooko-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Reader logged in against the mock server (or offline without one), with its state files in `dir`,
+ * no session cache, no retry delays and no log output
+ */
+function createTestReader(server, dir, overrides = {}) {
+  // Required here so the mock server itself does not depend on the reader
+  const { GlookoCGMReader } = require('../glooko-cgm-reader');
+  return new GlookoCGMReader({
+    email: server ? server.email : 'patient@example.com',
+    password: server ? server.password : 'unused',
+    ...(server ? { webUrl: server.url, apiUrl: server.url } : {}),
+    timezone: 'UTC',
+    checkpointFile: path.join(dir, 'checkpoint.json'),
+    storeFile: path.join(dir, 'readings.jsonl'),
+    profileStateFile: path.join(dir, 'profile-state.json'),
+    sessionCache: false,
+    retryDelayMs: 0,
+    logLevel: 'silent',
+    ...overrides
+  });
+}
+
+module.exports = { MockGlookoServer, SESSION_COOKIE, startMockGlooko, createTempDir, createTestReader };
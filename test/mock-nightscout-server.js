@@ -0,0 +1,118 @@
+const http = require('http');
+
+/**
+ * Local stand-in for a Nightscout site's v1 API
+ * Keeps posted entries, treatments, profiles and device status in memory and records every request
+ */
+class MockNightscoutServer {
+  constructor(options = {}) {
+    this.apiSecretHash = options.apiSecretHash || null;
+    this.entries = options.entries || [];
+    this.treatments = [];
+    this.profiles = options.profiles || [];
+    this.deviceStatus = [];
+    this.posts = [];
+    this.failures = [];
+    this.requests = [];
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Answer the next `count` requests with this method and path with an error status
+  failNext(method, path, status, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ method, path, status });
+    }
+  }
+
+  requestsTo(method, path) {
+    return this.requests.filter(request => request.method === method && request.path === path);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+    this.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+    const failure = this.failures.findIndex(item => item.method === req.method && item.path === url.pathname);
+    if (failure !== -1) {
+      const { status } = this.failures.splice(failure, 1)[0];
+      return this.send(res, status, { status, message: 'Mock failure' });
+    }
+    if (this.apiSecretHash && req.headers['api-secret'] !== this.apiSecretHash) {
+      return this.send(res, 401, { status: 401, message: 'Unauthorized' });
+    }
+
+    const documents = body ? JSON.parse(body) : null;
+    const range = (field, toValue) => {
+      const from = url.searchParams.get(`find[${field}][$gte]`);
+      const to = url.searchParams.get(`find[${field}][$lte]`);
+      return item => (from === null || toValue(item[field]) >= toValue(from)) && (to === null || toValue(item[field]) <= toValue(to));
+    };
+
+    switch (`${req.method} ${url.pathname}`) {
+      case 'GET /api/v1/entries/sgv.json':
+        return this.send(res, 200, this.entries.filter(range('date', Number)).sort((a, b) => b.date - a.date));
+
+      case 'POST /api/v1/entries':
+        this.posts.push({ path: url.pathname, count: documents.length });
+        this.entries.push(...documents);
+        return this.send(res, 200, documents);
+
+      case 'GET /api/v1/treatments.json':
+        return this.send(res, 200, this.treatments.filter(range('created_at', Date.parse)));
+
+      case 'POST /api/v1/treatments':
+        this.posts.push({ path: url.pathname, count: documents.length });
+        this.treatments.push(...documents);
+        return this.send(res, 200, documents);
+
+      case 'GET /api/v1/profile.json':
+        return this.send(res, 200, this.profiles.slice().reverse().slice(0, Number(url.searchParams.get('count')) || undefined));
+
+      case 'POST /api/v1/profile':
+        this.profiles.push(documents);
+        return this.send(res, 200, documents);
+
+      case 'POST /api/v1/devicestatus':
+        this.deviceStatus.push(documents);
+        return this.send(res, 200, documents);
+
+      default:
+        return this.send(res, 404, { status: 404, message: 'Not found' });
+    }
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Start a mock Nightscout for one test; it is stopped when the test ends
+ */
+async function startMockNightscout(t, options = {}) {
+  const server = new MockNightscoutServer(options);
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+module.exports = { MockNightscoutServer, startMockNightscout };
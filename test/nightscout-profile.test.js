@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildNightscoutProfile, buildProfileTargets } = require('../lib/nightscout-profile');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+const { startMockNightscout } = require('./mock-nightscout-server');
+
+const mgdlUser = require('./fixtures/session-users-mgdl.json').currentUser;
+
+// A profile someone set up in Nightscout by hand, in mmol/L
+const mmolProfile = {
+  defaultProfile: 'Default',
+  units: 'mmol',
+  store: {
+    Default: {
+      units: 'mmol',
+      timezone: 'Europe/Oslo',
+      dia: 5,
+      basal: [{ time: '00:00', value: 0.85, timeAsSeconds: 0 }],
+      sens: [{ time: '00:00', value: 2.5, timeAsSeconds: 0 }],
+      carbratio: [{ time: '00:00', value: 12, timeAsSeconds: 0 }],
+      target_low: [{ time: '00:00', value: 4.5, timeAsSeconds: 0 }],
+      target_high: [{ time: '00:00', value: 8, timeAsSeconds: 0 }]
+    }
+  }
+};
+
+async function setup(t, nightscoutOptions = {}) {
+  const glooko = await startMockGlooko(t, { user: mgdlUser });
+  const nightscout = await startMockNightscout(t, nightscoutOptions);
+  const dir = createTempDir(t);
+  const reader = createTestReader(glooko, dir, {
+    nightscoutUrl: nightscout.url,
+    nightscoutApiSecret: 'test-secret-123',
+    nightscoutApi: 'v1'
+  });
+  return { nightscout, dir, reader };
+}
+
+test('an empty Nightscout gets a new profile with the targets and placeholder schedules', async t => {
+  const { nightscout, dir, reader } = await setup(t);
+
+  const result = await reader.syncNightscoutProfile();
+  assert.strictEqual(result.pushed, true);
+  assert.strictEqual(nightscout.requestsTo('POST', '/api/v1/profile').length, 1);
+
+  const [pushed] = nightscout.profiles;
+  assert.deepStrictEqual([pushed.defaultProfile, pushed.units, pushed.enteredBy], ['Glooko', 'mg/dl', 'glooko2nightscout']);
+  const profile = pushed.store.Glooko;
+  assert.deepStrictEqual([profile.units, profile.timezone], ['mg/dl', 'UTC']);
+  assert.deepStrictEqual(profile.target_low, [{ time: '00:00', value: 70, timeAsSeconds: 0 }]);
+  assert.deepStrictEqual([...new Set(profile.target_high.map(block => block.value))].sort(), [140, 180]);
+  // Nightscout needs these; Glooko does not have them
+  assert.deepStrictEqual([profile.basal[0].value, profile.sens[0].value, profile.carbratio[0].value, profile.dia], [0, 2, 10, 4]);
+
+  const state = JSON.parse(fs.readFileSync(path.join(dir, 'profile-state.json'), 'utf8'));
+  assert.deepStrictEqual(state.targets, result.targets);
+});
+
+test('unchanged targets are not pushed again unless forced', async t => {
+  const { nightscout, reader } = await setup(t);
+
+  await reader.syncNightscoutProfile();
+  const skipped = await reader.syncNightscoutProfile();
+  assert.deepStrictEqual([skipped.pushed, skipped.changed], [false, false]);
+  // Not even the current profile is fetched
+  assert.strictEqual(nightscout.requestsTo('GET', '/api/v1/profile.json').length, 1);
+  assert.strictEqual(nightscout.profiles.length, 1);
+
+  const forced = await reader.syncNightscoutProfile({ force: true });
+  assert.strictEqual(forced.pushed, true);
+  assert.strictEqual(nightscout.profiles.length, 2);
+
+  // Changed targets in Glooko are pushed
+  reader.userProfile.glucoseTargets.normalMin = 80;
+  assert.strictEqual((await reader.syncNightscoutProfile()).pushed, true);
+  assert.strictEqual(nightscout.profiles[2].store.Glooko.target_low[0].value, 80);
+});
+
+test('an existing profile keeps its units, schedules and other profiles; only the targets change', async t => {
+  const { nightscout, reader } = await setup(t, {
+    profiles: [{ ...mmolProfile, store: { ...mmolProfile.store, Sport: { units: 'mmol', basal: [] } } }]
+  });
+
+  const result = await reader.syncNightscoutProfile();
+  const pushed = nightscout.profiles[1];
+  const profile = pushed.store.Default;
+
+  // The mg/dL account's targets are converted, not the sensitivity and carb ratio relabelled
+  assert.deepStrictEqual([pushed.defaultProfile, pushed.units, profile.units, result.targets.units], ['Default', 'mmol', 'mmol', 'mmol']);
+  assert.deepStrictEqual(profile.target_low, [{ time: '00:00', value: 3.9, timeAsSeconds: 0 }]);
+  assert.deepStrictEqual([...new Set(profile.target_high.map(block => block.value))].sort((a, b) => a - b), [7.8, 10]);
+  assert.deepStrictEqual([profile.sens, profile.carbratio, profile.basal, profile.dia], [
+    mmolProfile.store.Default.sens, mmolProfile.store.Default.carbratio, mmolProfile.store.Default.basal, 5
+  ]);
+  assert.strictEqual(profile.timezone, 'UTC');
+  assert.deepStrictEqual(pushed.store.Sport, { units: 'mmol', basal: [] });
+});
+
+test('buildNightscoutProfile refuses targets in other units than the profile it updates', () => {
+  const targets = buildProfileTargets({ meterUnits: 'mgdl', glucoseTargets: { normalMin: 70, beforeMealMax: 130, afterMealMax: 180 } }, 'UTC');
+  assert.throws(() => buildNightscoutProfile(targets, mmolProfile), /Targets are in mg\/dl but the Nightscout profile "Default" is in mmol/);
+
+  const mmolTargets = buildProfileTargets({ meterUnits: 'mgdl', glucoseTargets: { normalMin: 70, beforeMealMax: 130, afterMealMax: 180 } }, 'UTC', 'mmol');
+  assert.deepStrictEqual(buildNightscoutProfile(mmolTargets, mmolProfile).store.Default.target_high, [{ time: '00:00', value: 10, timeAsSeconds: 0 }]);
+});
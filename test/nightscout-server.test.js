@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const crypto = require('crypto');
+const { NightscoutServer } = require('../lib/nightscout-server');
+
+const MINUTE_MS = 60 * 1000;
+const mmolProfile = { meterUnits: 'mmoll', glucoseTargets: { normalMin: 70, afterMealMax: 180 } };
+
+function entry(minutesAgo, sgv, extra = {}) {
+  const date = Math.floor((Date.now() - minutesAgo * MINUTE_MS) / 1000) * 1000;
+  return {
+    type: 'sgv',
+    sgv,
+    sgv_mmol: Math.round(sgv / 18.0143 * 10) / 10,
+    date,
+    dateString: new Date(date).toISOString(),
+    localTime: 'internal',
+    direction: 'FortyFiveUp',
+    delta: 9,
+    device: 'glooko-cgm',
+    glookoGuid: `glooko_${date / 1000}_${sgv}`,
+    ...extra
+  };
+}
+
+async function startServer(t, config = {}) {
+  const server = new NightscoutServer({ port: 0, ...config });
+  server.update({ success: true, entries: [entry(12, 120), entry(7, 130), entry(2, 139)] }, mmolProfile);
+  await server.start();
+  t.after(() => server.stop());
+  const get = (path, options = {}) => axios.get(`${server.url}${path}`, { validateStatus: () => true, ...options });
+  return { server, get };
+}
+
+test('entries endpoints support count and find[date] queries', async t => {
+  const { server, get } = await startServer(t);
+  const [newest, middle] = server.entries;
+
+  const all = await get('/api/v1/entries/sgv.json?count=2');
+  assert.strictEqual(all.status, 200);
+  assert.deepStrictEqual(all.data.map(e => e.sgv), [139, 130]);
+  assert.deepStrictEqual(Object.keys(all.data[0]).sort(),
+    ['_id', 'date', 'dateString', 'delta', 'device', 'direction', 'sgv', 'sysTime', 'trend', 'type']);
+  assert.strictEqual(all.data[0].trend, 3);
+
+  const since = await get(`/api/v1/entries.json?find[date][$gte]=${middle.date}`);
+  assert.deepStrictEqual(since.data.map(e => e.sgv), [139, 130]);
+
+  const between = await get(`/api/v1/entries/sgv.json?find[dateString][$gt]=${middle.dateString}&find[date][$lte]=${newest.date}`);
+  assert.deepStrictEqual(between.data.map(e => e.sgv), [139]);
+
+  const current = await get('/api/v1/entries/current.json');
+  assert.strictEqual(current.data.length, 1);
+  assert.strictEqual(current.data[0].date, newest.date);
+});
+
+test('pebble and status follow the Glooko units and targets', async t => {
+  const { get } = await startServer(t);
+
+  const pebble = await get('/pebble?count=2');
+  assert.deepStrictEqual(pebble.data.bgs.map(bg => [bg.sgv, bg.bgdelta, bg.trend]), [['7.7', '0.5', 3], ['7.2', '0.5', 3]]);
+  assert.strictEqual((await get('/pebble?units=mg/dl')).data.bgs[0].sgv, '139');
+
+  const status = await get('/api/v1/status.json');
+  assert.strictEqual(status.data.status, 'ok');
+  assert.strictEqual(status.data.settings.units, 'mmol');
+  assert.strictEqual(status.data.settings.thresholds.bgTargetBottom, 70);
+  assert.strictEqual(status.data.settings.thresholds.bgTargetTop, 180);
+  assert.strictEqual(status.data.glooko.entries, 3);
+});
+
+test('token auth accepts ?token=, Bearer and api-secret', async t => {
+  const { get } = await startServer(t, { token: 'follower-1234' });
+
+  assert.strictEqual((await get('/api/v1/entries.json')).status, 401);
+  assert.strictEqual((await get('/api/v1/entries.json?token=wrong')).status, 401);
+  assert.strictEqual((await get('/api/v1/entries.json?token=follower-1234')).status, 200);
+  assert.strictEqual((await get('/pebble', { headers: { Authorization: 'Bearer follower-1234' } })).status, 200);
+  const hashed = crypto.createHash('sha1').update('follower-1234').digest('hex');
+  assert.strictEqual((await get('/api/v1/status.json', { headers: { 'api-secret': hashed } })).status, 200);
+});
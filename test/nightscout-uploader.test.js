@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { NightscoutUploader } = require('../lib/nightscout-uploader');
+const { startMockNightscout } = require('./mock-nightscout-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-04-01T08:00:00Z');
+const API_SECRET = 'test-secret-123';
+
+const entry = (minutes, sgv) => ({
+  type: 'sgv',
+  sgv,
+  date: T0 + minutes * MINUTE_MS,
+  dateString: new Date(T0 + minutes * MINUTE_MS).toISOString(),
+  glookoGuid: `glooko_${(T0 + minutes * MINUTE_MS) / 1000}_${sgv}`
+});
+
+test('entries go up in batches, skipping what Nightscout already has by date or guid', async t => {
+  const secretHash = crypto.createHash('sha1').update(API_SECRET).digest('hex');
+  const nightscout = await startMockNightscout(t, {
+    apiSecretHash: secretHash,
+    // The same reading from an earlier upload, and one with the same guid at a corrected time
+    entries: [entry(0, 100), { ...entry(5, 105), date: T0 + 5 * MINUTE_MS + 1000 }]
+  });
+  const uploader = new NightscoutUploader({ url: `${nightscout.url}/`, apiSecret: API_SECRET, batchSize: 2 });
+
+  const entries = [0, 5, 10, 15, 20, 25, 30].map((minutes, i) => entry(minutes, 100 + i * 5));
+  assert.deepStrictEqual(await uploader.uploadEntries(entries), { uploaded: 5, skipped: 2 });
+  assert.deepStrictEqual(nightscout.posts.map(post => post.count), [2, 2, 1]);
+  assert.deepStrictEqual(nightscout.entries.slice(2).map(item => item.sgv), [110, 115, 120, 125, 130]);
+
+  // The existing-entry lookup covers the batch's time range
+  const [lookup] = nightscout.requestsTo('GET', '/api/v1/entries/sgv.json');
+  assert.deepStrictEqual([lookup.query.get('find[date][$gte]'), lookup.query.get('find[date][$lte]')], [String(T0), String(T0 + 30 * MINUTE_MS)]);
+  assert.strictEqual(lookup.headers['api-secret'], secretHash);
+
+  assert.deepStrictEqual(await uploader.uploadEntries(entries), { uploaded: 0, skipped: 7 });
+  assert.deepStrictEqual(await uploader.uploadEntries([]), { uploaded: 0, skipped: 0 });
+  assert.strictEqual(nightscout.posts.length, 3);
+});
+
+test('a failing batch stops the upload with the error, and tokens go in the query string', async t => {
+  const nightscout = await startMockNightscout(t);
+  const uploader = new NightscoutUploader({ url: nightscout.url, token: 'glooko-0123456789abcdef', batchSize: 2 });
+
+  nightscout.failNext('POST', '/api/v1/entries', 500);
+  await assert.rejects(uploader.uploadEntries([entry(0, 100), entry(5, 105), entry(10, 110)]), /status code 500/);
+  assert.strictEqual(nightscout.entries.length, 0);
+  assert.strictEqual(nightscout.requestsTo('POST', '/api/v1/entries')[0].query.get('token'), 'glooko-0123456789abcdef');
+
+  assert.throws(() => new NightscoutUploader({ url: nightscout.url }), /API secret or access token is required/);
+  assert.throws(() => new NightscoutUploader({ apiSecret: API_SECRET }), /Nightscout URL is required/);
+});
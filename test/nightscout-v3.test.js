@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createNightscoutClient } = require('../lib/nightscout-client');
+const { NightscoutV3Client, toIdentifier } = require('../lib/nightscout-v3');
+
+const ACCESS_TOKEN = 'glooko-0123456789abcdef';
+
+/**
+ * Just enough Nightscout: v2 JWT issuing, v3 upsert/search and the v1 entries endpoints
+ */
+async function startNightscout(t, options = {}) {
+  const ns = { v3: options.v3 !== false, jwtLifetimeSec: options.jwtLifetimeSec || 3600, jwts: 0, currentJwt: null, documents: new Map(), v1Posts: [], requests: [] };
+
+  ns.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      ns.requests.push(`${req.method} ${url.pathname}`);
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (url.pathname === '/api/v3/version') {
+        return ns.v3 ? send(200, { status: 200, result: { version: '15.0.2', apiVersion: '3.0.4' } }) : send(404, {});
+      }
+      const jwtRequest = url.pathname.match(/^\/api\/v2\/authorization\/request\/(.+)$/);
+      if (jwtRequest) {
+        if (decodeURIComponent(jwtRequest[1]) !== ACCESS_TOKEN) return send(401, { status: 401 });
+        ns.currentJwt = `jwt-${++ns.jwts}`;
+        return send(200, { token: ns.currentJwt, sub: 'glooko', iat: Math.floor(Date.now() / 1000), exp: Math.floor(Date.now() / 1000) + ns.jwtLifetimeSec });
+      }
+
+      const v3 = url.pathname.match(/^\/api\/v3\/(\w+)(?:\/([\w-]+))?$/);
+      if (v3 && ns.v3) {
+        if (req.headers.authorization !== `Bearer ${ns.currentJwt}`) return send(401, { status: 401 });
+        const [, collection, identifier] = v3;
+        if (req.method === 'PUT') {
+          const key = `${collection}/${identifier}`;
+          const created = !ns.documents.has(key);
+          ns.documents.set(key, JSON.parse(body));
+          return send(created ? 201 : 200, { status: created ? 201 : 200, identifier });
+        }
+        const result = Array.from(ns.documents.entries())
+          .filter(([key]) => key.startsWith(`${collection}/`))
+          .map(([, doc]) => doc)
+          .sort((a, b) => b.date - a.date);
+        return send(200, { status: 200, result: result.slice(0, Number(url.searchParams.get('limit')) || result.length) });
+      }
+
+      if (url.pathname === '/api/v1/entries/sgv.json') return send(200, []);
+      if (url.pathname === '/api/v1/entries' && req.method === 'POST') {
+        ns.v1Posts.push(...JSON.parse(body));
+        return send(200, []);
+      }
+      return send(404, {});
+    });
+  });
+
+  await new Promise(resolve => ns.server.listen(0, '127.0.0.1', resolve));
+  ns.url = `http://127.0.0.1:${ns.server.address().port}`;
+  t.after(() => new Promise(resolve => ns.server.close(resolve)));
+  return ns;
+}
+
+const entries = [
+  { type: 'sgv', sgv: 120, date: 1735725600000, dateString: '2025-01-01T10:00:00.000Z', device: 'glooko-cgm', glookoGuid: 'glooko_1735725600_6.7' },
+  { type: 'sgv', sgv: 126, date: 1735725900000, dateString: '2025-01-01T10:05:00.000Z', device: 'glooko-cgm', glookoGuid: 'glooko_1735725900_7' }
+];
+
+test('auto mode picks v3 and upserts by an identifier derived from the Glooko guid', async t => {
+  const ns = await startNightscout(t);
+  const client = createNightscoutClient({ url: ns.url, token: ACCESS_TOKEN, api: 'auto' });
+
+  assert.deepStrictEqual(await client.uploadEntries(entries), { uploaded: 2, skipped: 0 });
+  // Re-uploading the same readings replaces them instead of duplicating
+  assert.deepStrictEqual(await client.uploadEntries(entries), { uploaded: 0, skipped: 2 });
+
+  const identifier = toIdentifier('entries', 'glooko_1735725600_6.7');
+  assert.match(identifier, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  const stored = ns.documents.get(`entries/${identifier}`);
+  assert.strictEqual(stored.sgv, 120);
+  assert.strictEqual(stored.app, 'glooko2nightscout');
+  assert.strictEqual(stored.identifier, identifier);
+
+  await client.uploadDeviceStatus({ device: 'glooko2nightscout', created_at: '2025-01-01T10:06:00.000Z', mills: 1735725960000 });
+  await client.uploadProfile({ defaultProfile: 'Glooko', startDate: '2025-01-01T10:06:00.000Z', mills: 1735725960000, store: {} });
+  assert.strictEqual((await client.fetchCurrentProfile()).defaultProfile, 'Glooko');
+
+  assert.strictEqual(ns.jwts, 1);
+  assert.strictEqual(ns.documents.size, 4);
+});
+
+test('the JWT is renewed before it expires and when Nightscout rejects it', async t => {
+  // Expires inside the renewal margin, so every request needs a new one
+  const ns = await startNightscout(t, { jwtLifetimeSec: 30 });
+  const client = new NightscoutV3Client({ url: ns.url, token: ACCESS_TOKEN });
+
+  await client.uploadEntries(entries.slice(0, 1));
+  await client.uploadEntries(entries.slice(1));
+  assert.strictEqual(ns.jwts, 2);
+
+  ns.jwtLifetimeSec = 3600;
+  await client.uploadEntries(entries.slice(0, 1));
+  assert.strictEqual(ns.jwts, 3);
+
+  // Revoked on the server side: one 401, a new JWT and the request goes through
+  ns.currentJwt = 'rotated';
+  assert.deepStrictEqual(await client.uploadEntries(entries.slice(1)), { uploaded: 0, skipped: 1 });
+  assert.strictEqual(ns.jwts, 4);
+
+  assert.throws(() => new NightscoutV3Client({ url: ns.url, apiSecret: 'secret' }), /needs an access token/);
+});
+
+test('auto mode falls back to v1 on older servers or without an access token', async t => {
+  const ns = await startNightscout(t, { v3: false });
+
+  const client = createNightscoutClient({ url: ns.url, token: ACCESS_TOKEN });
+  assert.deepStrictEqual(await client.uploadEntries(entries), { uploaded: 2, skipped: 0 });
+  assert.strictEqual(ns.v1Posts.length, 2);
+  assert.strictEqual(ns.jwts, 0);
+
+  const v3 = await startNightscout(t);
+  await createNightscoutClient({ url: v3.url, apiSecret: 'secret-secret' }).uploadEntries(entries);
+  assert.strictEqual(v3.requests.includes('GET /api/v3/version'), false);
+  assert.strictEqual(v3.documents.size, 0);
+
+  assert.throws(() => createNightscoutClient({ url: ns.url, token: ACCESS_TOKEN, api: 'v4' }), /Unknown Nightscout API "v4"/);
+});
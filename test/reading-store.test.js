@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ReadingStore } = require('../lib/reading-store');
+const { createTempDir } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-03-01T08:00:00Z');
+
+const entry = (minutes, sgv) => ({
+  type: 'sgv',
+  sgv,
+  date: T0 + minutes * MINUTE_MS,
+  glookoGuid: `glooko_${(T0 + minutes * MINUTE_MS) / 1000}_${sgv}`
+});
+
+function storeFile(t) {
+  return path.join(createTempDir(t, 'glooko-store-'), 'readings.jsonl');
+}
+
+const lines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test('append keeps one copy per guid or timestamp and query returns newest first', t => {
+  const file = storeFile(t);
+  const store = new ReadingStore({ file });
+
+  assert.strictEqual(store.append([entry(0, 100), entry(5, 105), entry(5, 105)]), 2);
+  // Same guid, and a different guid at a stored timestamp
+  assert.deepStrictEqual(store.filterNew([entry(0, 100), entry(5, 106), entry(10, 110)]).map(e => e.sgv), [110]);
+  assert.strictEqual(store.append([entry(0, 100), entry(10, 110)]), 1);
+  assert.strictEqual(store.append([]), 0);
+
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepStrictEqual(lines(file).map(e => e.sgv), [100, 105, 110]);
+
+  // A new process reads the file back
+  const reopened = new ReadingStore({ file });
+  assert.deepStrictEqual(reopened.query().map(e => e.sgv), [110, 105, 100]);
+  assert.deepStrictEqual(reopened.query({ from: T0 + 5 * MINUTE_MS }).map(e => e.sgv), [110, 105]);
+  assert.deepStrictEqual(reopened.query({ to: new Date(T0 + 5 * MINUTE_MS).toISOString() }).map(e => e.sgv), [105, 100]);
+  assert.deepStrictEqual(reopened.query({ limit: 1 }).map(e => e.sgv), [110]);
+  assert.strictEqual(reopened.has(entry(5, 105)), true);
+});
+
+test('a partial last line from a crash is skipped and the store rewritten', t => {
+  const file = storeFile(t);
+  const valid = [entry(0, 100), entry(5, 104)].map(e => JSON.stringify(e)).join('\n');
+  fs.writeFileSync(file, `${valid}\n{"type":"sgv","sgv":10`);
+
+  const warnings = [];
+  const logger = { debug() {}, warn: message => warnings.push(message) };
+  const store = new ReadingStore({ file }, logger);
+
+  assert.strictEqual(store.load(), 2);
+  assert.match(warnings[0], /Skipped 1 unreadable lines/);
+  assert.deepStrictEqual(lines(file).map(e => e.sgv), [100, 104]);
+  assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+
+  // Later appends start on a clean line
+  store.append([entry(10, 108)]);
+  assert.deepStrictEqual(lines(file).map(e => e.sgv), [100, 104, 108]);
+  assert.strictEqual(new ReadingStore({ file }, logger).load(), 3);
+  assert.strictEqual(warnings.length, 1);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconcileEntries, getSourceRank } = require('../lib/reconcile');
+const { startMockGlooko, createTempDir, createTestReader } = require('./mock-glooko-server');
+const { startMockNightscout } = require('./mock-nightscout-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-02-01T12:00:00Z');
+
+const glookoAt = (minutes, sgv) => ({ date: T0 + minutes * MINUTE_MS, sgv, device: 'glooko-cgm' });
+const phoneAt = (minutes, seconds, sgv) => ({ date: T0 + minutes * MINUTE_MS + seconds * 1000, sgv, device: 'xDrip-DexcomG6' });
+
+test('readings are matched on time, and source priority picks the copy that counts', () => {
+  const glooko = [glookoAt(0, 100), glookoAt(5, 104), glookoAt(10, 110), glookoAt(15, 118), glookoAt(20, 125)];
+  const nightscout = [
+    // Bridged and phone copies of the same reading, seconds apart
+    glookoAt(0, 100), phoneAt(0, 8, 101),
+    phoneAt(5, -20, 104),
+    // The phone app disagrees beyond the conflict limit
+    phoneAt(10, 30, 122),
+    glookoAt(20, 125),
+    // Nothing from Glooko near this one
+    phoneAt(32, 0, 140)
+  ];
+
+  const result = reconcileEntries(glooko, nightscout);
+  assert.deepStrictEqual(result.summary, { glooko: 5, nightscout: 6, matched: 4, missing: 1, outranked: 0, extra: 1, conflicts: 1, duplicates: 1 });
+  assert.deepStrictEqual(result.missing.map(entry => entry.sgv), [118]);
+  assert.strictEqual(result.extra[0].sgv, 140);
+  assert.deepStrictEqual([result.conflicts[0].glooko.sgv, result.conflicts[0].nightscout.sgv, result.conflicts[0].difference], [110, 122, 12]);
+
+  // By default any other uploader beats the Glooko bridge
+  assert.strictEqual(result.duplicates[0].kept.device, 'xDrip-DexcomG6');
+  assert.deepStrictEqual(result.duplicates[0].redundant.map(entry => entry.device), ['glooko-cgm']);
+
+  const glookoFirst = reconcileEntries(glooko, nightscout, { priority: ['glooko', '*'] });
+  assert.strictEqual(glookoFirst.duplicates[0].kept.device, 'glooko-cgm');
+  // Readings only the phone app stored still need the preferred Glooko copy
+  assert.deepStrictEqual(glookoFirst.outranked.map(entry => entry.sgv), [104, 110]);
+  assert.deepStrictEqual(glookoFirst.missing.map(entry => entry.sgv), [118]);
+
+  // A tight tolerance no longer pairs the 30-second offset
+  const strict = reconcileEntries(glooko, nightscout, { toleranceMs: 25 * 1000 });
+  assert.deepStrictEqual(strict.missing.map(entry => entry.sgv), [110, 118]);
+
+  // Every copy is compared with Glooko, not only the one that is kept
+  const mixed = reconcileEntries([glookoAt(0, 100)], [glookoAt(0, 100), phoneAt(0, 10, 92), phoneAt(0, 20, 103)], { priority: ['glooko', '*'] });
+  assert.deepStrictEqual(mixed.conflicts.map(conflict => [conflict.nightscout.sgv, conflict.difference]), [[92, -8]]);
+  assert.strictEqual(mixed.outranked.length, 0);
+
+  assert.deepStrictEqual(['xDrip-DexcomG6', 'glooko-cgm', 'Spike'].map(device => getSourceRank(device, ['xdrip', '*', 'glooko'])), [0, 2, 1]);
+});
+
+test('reconcile fetches both sides and uploads the missing and outranked readings', async t => {
+  const glookoServer = await startMockGlooko(t, { user: require('./fixtures/session-users-mgdl.json').currentUser });
+
+  const newest = Math.floor((Date.now() - MINUTE_MS) / 1000) * 1000;
+  const readings = [0, 1, 2, 3, 4, 5].map(i => ({ date: newest - (5 - i) * 5 * MINUTE_MS, sgv: 100 + i * 4 }));
+  readings.forEach(reading => glookoServer.addReading(reading.date, reading.sgv));
+
+  // A phone uploader already sent every reading but the two newest, a few seconds off
+  const nightscout = await startMockNightscout(t, {
+    entries: readings.slice(0, 4).map(reading => ({ type: 'sgv', date: reading.date + 6000, sgv: reading.sgv, device: 'xDrip-LimiTTer' }))
+  });
+  const posted = () => nightscout.entries.slice(4).map(entry => entry.sgv);
+
+  const reader = createTestReader(glookoServer, createTempDir(t), {
+    nightscoutUrl: nightscout.url,
+    nightscoutApiSecret: 'test-secret-123',
+    nightscoutApi: 'v1'
+  });
+
+  const result = await reader.reconcileNightscout({ days: 1, upload: true });
+  assert.strictEqual(result.summary.matched, 4);
+  assert.strictEqual(result.summary.missing, 2);
+  assert.deepStrictEqual(posted(), [116, 120]);
+  assert.deepStrictEqual(result.upload, { uploaded: 2, skipped: 0 });
+
+  // Preferring Glooko uploads its copy of the readings only the phone app sent
+  const preferred = await reader.reconcileNightscout({ days: 1, upload: true, priority: ['glooko', '*'] });
+  assert.deepStrictEqual([preferred.summary.missing, preferred.summary.outranked], [0, 4]);
+  assert.deepStrictEqual(posted(), [116, 120, 100, 104, 108, 112]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidTimezone,
+  getTimezoneOffsetMs,
+  localLabelToUtc,
+  normalizeGlookoTimestamp,
+  formatLocalTime
+} = require('../lib/time');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('getTimezoneOffsetMs follows DST', () => {
+  assert.strictEqual(getTimezoneOffsetMs('Europe/Helsinki', Date.parse('2025-01-15T12:00:00Z')), 2 * HOUR_MS);
+  assert.strictEqual(getTimezoneOffsetMs('Europe/Helsinki', Date.parse('2025-07-15T12:00:00Z')), 3 * HOUR_MS);
+  assert.strictEqual(getTimezoneOffsetMs('America/New_York', Date.parse('2025-07-15T12:00:00Z')), -4 * HOUR_MS);
+  assert.strictEqual(getTimezoneOffsetMs('UTC', Date.parse('2025-07-15T12:00:00Z')), 0);
+});
+
+test('localLabelToUtc converts wall-clock labels in winter and summer', () => {
+  assert.strictEqual(
+    new Date(localLabelToUtc(Date.parse('2025-01-15T10:00:00Z'), 'Europe/Helsinki')).toISOString(),
+    '2025-01-15T08:00:00.000Z'
+  );
+  assert.strictEqual(
+    new Date(localLabelToUtc(Date.parse('2025-07-15T10:00:00Z'), 'Europe/Helsinki')).toISOString(),
+    '2025-07-15T07:00:00.000Z'
+  );
+  assert.strictEqual(
+    new Date(localLabelToUtc(Date.parse('2025-07-15T10:00:00Z'), 'America/Los_Angeles')).toISOString(),
+    '2025-07-15T17:00:00.000Z'
+  );
+});
+
+test('localLabelToUtc handles the hours around a DST change', () => {
+  // Helsinki moved from UTC+2 to UTC+3 at 2025-03-30 01:00 UTC (03:00 local)
+  assert.strictEqual(
+    new Date(localLabelToUtc(Date.parse('2025-03-30T02:30:00Z'), 'Europe/Helsinki')).toISOString(),
+    '2025-03-30T00:30:00.000Z'
+  );
+  assert.strictEqual(
+    new Date(localLabelToUtc(Date.parse('2025-03-30T04:30:00Z'), 'Europe/Helsinki')).toISOString(),
+    '2025-03-30T01:30:00.000Z'
+  );
+});
+
+test('normalizeGlookoTimestamp trusts the epoch when the label is local time', () => {
+  const epoch = Date.parse('2025-07-15T07:00:00Z') / 1000;
+  const result = normalizeGlookoTimestamp(
+    { timestamp: '2025-07-15T10:00:00.000Z', x: epoch },
+    { timeZone: 'Europe/Helsinki' }
+  );
+  assert.strictEqual(result.method, 'epoch');
+  assert.strictEqual(result.date.toISOString(), '2025-07-15T07:00:00.000Z');
+});
+
+test('normalizeGlookoTimestamp trusts the label when the epoch is local time', () => {
+  const localEpoch = Date.parse('2025-01-15T10:00:00Z') / 1000;
+  const result = normalizeGlookoTimestamp(
+    { timestamp: '2025-01-15T08:00:00.000Z', x: localEpoch },
+    { timeZone: 'Europe/Helsinki' }
+  );
+  assert.strictEqual(result.method, 'utc');
+  assert.strictEqual(result.date.toISOString(), '2025-01-15T08:00:00.000Z');
+});
+
+test('normalizeGlookoTimestamp keeps genuine UTC values', () => {
+  const result = normalizeGlookoTimestamp(
+    { timestamp: '2025-07-15T07:00:00.000Z', x: Date.parse('2025-07-15T07:00:00Z') / 1000 },
+    { timeZone: 'Europe/Helsinki', now: Date.parse('2025-07-15T08:00:00Z') }
+  );
+  assert.strictEqual(result.method, 'utc');
+  assert.strictEqual(result.date.toISOString(), '2025-07-15T07:00:00.000Z');
+});
+
+test('normalizeGlookoTimestamp treats future or epoch-less labels as local time', () => {
+  const future = normalizeGlookoTimestamp(
+    { timestamp: '2025-07-15T10:00:00.000Z', x: Date.parse('2025-07-15T10:00:00Z') / 1000 },
+    { timeZone: 'Europe/Helsinki', now: Date.parse('2025-07-15T07:05:00Z') }
+  );
+  assert.strictEqual(future.method, 'local');
+  assert.strictEqual(future.date.toISOString(), '2025-07-15T07:00:00.000Z');
+
+  const noEpoch = normalizeGlookoTimestamp({ timestamp: '2025-01-15T10:00:00.000Z' }, { timeZone: 'Europe/Helsinki' });
+  assert.strictEqual(noEpoch.date.toISOString(), '2025-01-15T08:00:00.000Z');
+});
+
+test('west of UTC, local labels with a matching epoch pass for UTC unless the mode is local', () => {
+  // 06:00 in New York (10:00 UTC), with label and epoch both holding the wall-clock time
+  const point = { timestamp: '2025-07-15T06:00:00.000Z', x: Date.parse('2025-07-15T06:00:00Z') / 1000 };
+  const now = Date.parse('2025-07-15T10:05:00Z');
+
+  // Four hours in the past is plausible, so auto mode cannot tell it from genuine UTC
+  const auto = normalizeGlookoTimestamp(point, { timeZone: 'America/New_York', now });
+  assert.strictEqual(auto.method, 'utc');
+  assert.strictEqual(auto.date.toISOString(), '2025-07-15T06:00:00.000Z');
+
+  const local = normalizeGlookoTimestamp(point, { timeZone: 'America/New_York', mode: 'local', now });
+  assert.strictEqual(local.date.toISOString(), '2025-07-15T10:00:00.000Z');
+});
+
+test('normalizeGlookoTimestamp honours explicit modes and the legacy fixed offset', () => {
+  const point = { timestamp: '2025-07-15T10:00:00.000Z' };
+  assert.strictEqual(
+    normalizeGlookoTimestamp(point, { mode: 'utc', timeZone: 'Europe/Helsinki' }).date.toISOString(),
+    '2025-07-15T10:00:00.000Z'
+  );
+  assert.strictEqual(
+    normalizeGlookoTimestamp(point, { mode: 'local', timeZone: 'Europe/Helsinki' }).date.toISOString(),
+    '2025-07-15T07:00:00.000Z'
+  );
+  assert.strictEqual(
+    normalizeGlookoTimestamp(point, { fixedOffsetMs: 2 * HOUR_MS }).date.toISOString(),
+    '2025-07-15T08:00:00.000Z'
+  );
+});
+
+test('formatLocalTime and isValidTimezone', () => {
+  assert.strictEqual(formatLocalTime('2025-07-15T07:00:00Z', 'UTC', 'en-GB'), '15/07/2025, 07:00:00');
+  assert.strictEqual(isValidTimezone('Europe/Helsinki'), true);
+  assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+});
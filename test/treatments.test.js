@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTempDir, createTestReader } = require('./mock-glooko-server');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-03-01T12:00:00Z');
+
+// A graph API point `minutes` after T0, with the `x` epoch in seconds like Glooko sends it
+const point = (minutes, fields) => ({
+  x: (T0 + minutes * MINUTE_MS) / 1000,
+  timestamp: new Date(T0 + minutes * MINUTE_MS).toISOString(),
+  ...fields
+});
+
+const series = () => ({
+  deliveredBolus: [
+    // Carbs from the bolus wizard
+    point(0, { y: 4.5, data: { carbsInput: 45 } }),
+    // Carbs logged separately, 10 minutes later
+    point(120, { y: 3 }),
+    // Nothing within 15 minutes: a correction
+    point(240, { y: 1.25 })
+  ],
+  automaticBolus: [point(300, { y: 0.3 })],
+  injectionBolus: [point(360, { y: 0 })],
+  carbAll: [
+    point(130, { y: 30 }),
+    // 20 minutes from the correction, too far to pair
+    point(260, { y: 15 })
+  ]
+});
+
+const transform = (reader, data) => reader.transformTreatmentsToNightscout(reader.parseTreatmentSeries(data));
+
+test('boluses with carbs are meal boluses and the rest are corrections', t => {
+  const treatments = transform(createTestReader(null, createTempDir(t)), series());
+  const at = minutes => treatments.filter(treatment => treatment.date === T0 + minutes * MINUTE_MS);
+
+  assert.deepStrictEqual(at(0).map(treatment => [treatment.eventType, treatment.insulin, treatment.carbs]), [['Meal Bolus', 4.5, 45]]);
+  assert.strictEqual(at(0)[0].notes, 'Glooko pump bolus');
+  assert.strictEqual(at(0)[0].created_at, '2025-03-01T12:00:00.000Z');
+  assert.strictEqual(at(0)[0].enteredBy, 'glooko2nightscout');
+
+  const [correction] = at(240);
+  assert.deepStrictEqual([correction.eventType, correction.insulin, correction.carbs], ['Correction Bolus', 1.25, undefined]);
+
+  const [automatic] = at(300);
+  assert.deepStrictEqual([automatic.eventType, automatic.automatic, automatic.notes], ['Correction Bolus', true, 'Glooko automatic bolus']);
+
+  // Zero-unit boluses are not treatments; newest first like the entries
+  assert.strictEqual(at(360).length, 0);
+  assert.deepStrictEqual(treatments.map(treatment => treatment.date), treatments.map(treatment => treatment.date).sort((a, b) => b - a));
+});
+
+test('carbs within 15 minutes of a bolus join it, the rest stand alone', t => {
+  const treatments = transform(createTestReader(null, createTempDir(t)), series());
+  const byType = type => treatments.filter(treatment => treatment.eventType === type);
+
+  // The 30 g logged 10 minutes after the 3 U bolus become one meal bolus at the bolus time
+  const paired = byType('Meal Bolus').find(treatment => treatment.insulin === 3);
+  assert.deepStrictEqual([paired.carbs, paired.date], [30, T0 + 120 * MINUTE_MS]);
+
+  // The 15 g are 20 minutes from the correction bolus
+  assert.deepStrictEqual(byType('Carb Correction').map(treatment => [treatment.carbs, treatment.date]), [[15, T0 + 260 * MINUTE_MS]]);
+
+  // A carb entry pairs with one bolus only; a second bolus in the window stays a correction
+  const twice = transform(createTestReader(null, createTempDir(t)), {
+    deliveredBolus: [point(0, { y: 2 }), point(5, { y: 1 })],
+    carbAll: [point(2, { y: 20 })]
+  });
+  assert.deepStrictEqual(twice.map(treatment => [treatment.eventType, treatment.insulin, treatment.carbs]), [
+    ['Correction Bolus', 1, undefined],
+    ['Meal Bolus', 2, 20]
+  ]);
+});
+
+test('treatment guids are the same on every run, so Nightscout dedupe works', t => {
+  const dir = createTempDir(t);
+  const first = transform(createTestReader(null, dir), series());
+  // A new process, with the points in a different order
+  const reordered = series();
+  reordered.deliveredBolus.reverse();
+  reordered.carbAll.reverse();
+  const second = transform(createTestReader(null, dir), reordered);
+
+  const guids = treatments => treatments.map(treatment => treatment.glookoGuid);
+  assert.deepStrictEqual(guids(second), guids(first));
+  assert.strictEqual(new Set(guids(first)).size, first.length);
+  assert.deepStrictEqual(guids(first).filter(guid => guid.startsWith('glooko_carbs_')), [`glooko_carbs_${(T0 + 260 * MINUTE_MS) / 1000}_15`]);
+  assert.ok(guids(first).includes(`glooko_bolus_${T0 / 1000}_4.5`));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeTrends, getTrendHistory, rateToDirection } = require('../lib/trend');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse('2025-09-01T10:00:00Z');
+
+const at = (minutes, sgv) => ({ date: T0 + minutes * MINUTE_MS, sgv });
+const trendAt = (trends, minutes) => trends.get(T0 + minutes * MINUTE_MS);
+
+test('rateToDirection switches exactly past each threshold', () => {
+  const cases = [
+    [3.01, 'DoubleUp'], [3, 'SingleUp'],
+    [2.01, 'SingleUp'], [2, 'FortyFiveUp'],
+    [1.01, 'FortyFiveUp'], [1, 'Flat'],
+    [0, 'Flat'], [-1, 'Flat'],
+    [-1.01, 'FortyFiveDown'], [-2, 'FortyFiveDown'],
+    [-2.01, 'SingleDown'], [-3, 'SingleDown'],
+    [-3.01, 'DoubleDown']
+  ];
+  cases.forEach(([rate, direction]) => assert.strictEqual(rateToDirection(rate), direction, `rate ${rate}`));
+
+  // Floating point noise does not cross a threshold
+  assert.strictEqual(rateToDirection(1.0000000001), 'Flat');
+  assert.strictEqual(rateToDirection(10.5), 'RATE OUT OF RANGE');
+  assert.strictEqual(rateToDirection(-10.5), 'RATE OUT OF RANGE');
+  assert.strictEqual(rateToDirection(null), 'NOT COMPUTABLE');
+  assert.strictEqual(rateToDirection(NaN), 'NOT COMPUTABLE');
+});
+
+test('no direction across a gap or from two readings too close together', () => {
+  const trends = computeTrends([at(0, 100), at(5, 110), at(10, 120), at(30, 130), at(35, 140), at(37, 150)]);
+
+  assert.deepStrictEqual(trendAt(trends, 0), { direction: 'NOT COMPUTABLE', delta: null, rate: null });
+  assert.deepStrictEqual(trendAt(trends, 10), { direction: 'FortyFiveUp', delta: 10, rate: 2 });
+
+  // 20 minutes without data: nothing to compare with
+  assert.deepStrictEqual(trendAt(trends, 30), { direction: 'NOT COMPUTABLE', delta: null, rate: null });
+  // The window after the gap holds only readings from after it
+  assert.deepStrictEqual(trendAt(trends, 35), { direction: 'FortyFiveUp', delta: 10, rate: 2 });
+
+  // Two minutes apart on their own, but the window reaches back to the 30-minute reading
+  assert.strictEqual(trendAt(trends, 37).delta, 25);
+  const close = computeTrends([at(0, 100), at(2, 110)]);
+  assert.deepStrictEqual(trendAt(close, 2), { direction: 'NOT COMPUTABLE', delta: 25, rate: null });
+});
+
+test('least-squares smoothing keeps sensor noise flat while the delta follows the last step', () => {
+  const trends = computeTrends([at(0, 100), at(5, 110), at(10, 100), at(15, 110), at(20, 100), at(25, 110)]);
+
+  assert.deepStrictEqual(trendAt(trends, 25), { direction: 'Flat', delta: 10, rate: 0.4 });
+  assert.deepStrictEqual(trendAt(trends, 20), { direction: 'Flat', delta: -10, rate: -0.4 });
+
+  // A steady fall of 3.5 mg/dL/min over the same window
+  const falling = computeTrends([at(0, 200), at(5, 182.5), at(10, 165), at(15, 147.5)]);
+  assert.deepStrictEqual(trendAt(falling, 15), { direction: 'DoubleDown', delta: -17.5, rate: -3.5 });
+});
+
+test('history lets an incremental run of one reading get a trend, and only the window is kept', () => {
+  // Repeated readings are kept once
+  const history = getTrendHistory([at(0, 90), at(5, 95), at(10, 100), at(15, 105), at(15, 105)]);
+  assert.deepStrictEqual(history, [at(0, 90), at(5, 95), at(10, 100), at(15, 105)]);
+
+  const trends = computeTrends([at(20, 120)], history);
+  assert.deepStrictEqual(trendAt(trends, 20), { direction: 'FortyFiveUp', delta: 15, rate: 1.6 });
+
+  // The first reading is more than 15 minutes older than the new one, and invalid points are dropped
+  const next = getTrendHistory([at(20, 120), { date: T0, sgv: null }], history);
+  assert.deepStrictEqual(next.map(point => point.sgv), [95, 100, 105, 120]);
+  assert.deepStrictEqual(getTrendHistory([]), []);
+});
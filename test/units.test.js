@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeUnits,
+  mgdlToMmol,
+  graphValueToMgdl,
+  preferenceToMgdl,
+  toBothUnits,
+  formatGlucose
+} = require('../lib/units');
+const { buildProfileTargets } = require('../lib/nightscout-profile');
+const { GlookoCGMReader } = require('../glooko-cgm-reader');
+
+// Hand-written fixtures shaped like /api/v3/session/users and /api/v3/graph/data responses;
+// they are not captured from real accounts
+const fixtures = {
+  mmolUser: require('./fixtures/session-users-mmol.json').currentUser,
+  mgdlUser: require('./fixtures/session-users-mgdl.json').currentUser,
+  mmolGraph: require('./fixtures/graph-data-mmol.json').series,
+  mgdlGraph: require('./fixtures/graph-data-mgdl.json').series
+};
+
+function createReader(user) {
+  const reader = new GlookoCGMReader({ email: 'patient@example.com', password: 'secret', timezone: 'UTC', logLevel: 'error' });
+  reader.applyUserProfile(user);
+  return reader;
+}
+
+test('normalizeUnits accepts Glooko and display spellings', () => {
+  assert.strictEqual(normalizeUnits('mmoll'), 'mmoll');
+  assert.strictEqual(normalizeUnits('mmol/L'), 'mmoll');
+  assert.strictEqual(normalizeUnits('mgdl'), 'mgdl');
+  assert.strictEqual(normalizeUnits('mg/dL'), 'mgdl');
+  assert.strictEqual(normalizeUnits(undefined), null);
+});
+
+test('graph values are normalized to mg/dL by account units', () => {
+  assert.strictEqual(Math.round(graphValueToMgdl({ y: 8.2, value: 14772 }, 'mmoll')), 148);
+  assert.strictEqual(graphValueToMgdl({ y: 148, value: 14800 }, 'mgdl'), 148);
+  // Without a profile the internal mg/dL × 100 value is used
+  assert.strictEqual(graphValueToMgdl({ y: 148, value: 14800 }, null), 148);
+  assert.strictEqual(Math.round(graphValueToMgdl({ y: 8.2 }, null)), 148);
+});
+
+test('toBothUnits and formatGlucose follow the preferred unit', () => {
+  assert.deepStrictEqual(toBothUnits(180.1), { mgdl: 180, mmol: 10 });
+  assert.strictEqual(mgdlToMmol(70), 3.9);
+  assert.strictEqual(formatGlucose(130, 'mmoll'), '7.2 mmol/L');
+  assert.strictEqual(formatGlucose(130, 'mgdl'), '130 mg/dL');
+  assert.strictEqual(formatGlucose(180, undefined), '10.0 mmol/L');
+});
+
+test('preference targets are mg/dL × 100 whatever the account unit', () => {
+  assert.strictEqual(preferenceToMgdl(7000), 70);
+  assert.strictEqual(preferenceToMgdl(18000), 180);
+  assert.strictEqual(preferenceToMgdl(undefined), null);
+});
+
+test('mmol/L account: targets and readings from hand-written fixtures', () => {
+  const reader = createReader(fixtures.mmolUser);
+  const targets = reader.userProfile.glucoseTargets;
+
+  assert.strictEqual(preferenceToMgdl(fixtures.mmolUser.preference.normalGlucoseMin), 70);
+  assert.deepStrictEqual(
+    [targets.normalMin, targets.beforeMealMax, targets.afterMealMax],
+    [70, 130, 180]
+  );
+  assert.deepStrictEqual(targets.mmol, { normalMin: 3.9, beforeMealMax: 7.2, afterMealMax: 10 });
+
+  const readings = reader.parseCGMSeries(fixtures.mmolGraph);
+  assert.deepStrictEqual(readings.map(r => r.value), [191, 148, 142, 65]);
+  assert.deepStrictEqual(readings.map(r => r.y_mmol), [10.6, 8.2, 7.9, 3.6]);
+  // mg/dL agrees with Glooko's internal value
+  readings.forEach(r => assert.strictEqual(r.value, Math.round(r.glookoValue / 100)));
+
+  const entries = reader.transformToNightscout(readings, []);
+  assert.deepStrictEqual(entries.map(e => [e.sgv, e.sgv_mmol]), [[191, 10.6], [148, 8.2], [142, 7.9], [65, 3.6]]);
+  assert.strictEqual(reader.formatGlucose(entries[0].sgv), '10.6 mmol/L');
+});
+
+test('mg/dL account: targets and readings from hand-written fixtures', () => {
+  const reader = createReader(fixtures.mgdlUser);
+  const targets = reader.userProfile.glucoseTargets;
+
+  assert.deepStrictEqual(
+    [targets.normalMin, targets.beforeMealMax, targets.afterMealMax],
+    [70, 140, 180]
+  );
+
+  const readings = reader.parseCGMSeries(fixtures.mgdlGraph);
+  assert.deepStrictEqual(readings.map(r => r.value), [191, 148, 65]);
+  assert.deepStrictEqual(readings.map(r => r.y_mmol), [10.6, 8.2, 3.6]);
+
+  // Before the fix every mg/dL reading was multiplied by 18 and dropped as out of range
+  const entries = reader.transformToNightscout(readings, []);
+  assert.strictEqual(entries.length, 3);
+  assert.strictEqual(reader.formatGlucose(entries[0].sgv), '191 mg/dL');
+
+  const profileTargets = buildProfileTargets(reader.userProfile, 'America/New_York');
+  assert.strictEqual(profileTargets.units, 'mg/dl');
+  assert.strictEqual(profileTargets.target_low[0].value, 70);
+  assert.deepStrictEqual([...new Set(profileTargets.target_high.map(block => block.value))].sort(), [140, 180]);
+});